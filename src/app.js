@@ -11,12 +11,15 @@ const path = require('path');
 
 // Import configurations
 const sequelize = require('./config/database');
-const redisClient = require('./config/redis');
+require('./config/redis'); // connects on load
 const gameEngine = require('./services/gameEngine');
+const tournamentService = require('./services/tournamentService');
+const depositService = require('./services/depositService');
+const withdrawalService = require('./services/withdrawalService');
 const socketHandler = require('./socket');
 
 // Import models and routes
-const models = require('./models');
+require('./models'); // defines the models and their associations
 const routes = require('./routes');
 
 const app = express();
@@ -53,12 +56,20 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Payment providers call back from a few shared IPs; their callbacks are signed instead
+  // (paths here are relative to /api)
+  skip: (req) => /^\/payments\/[^/]+\/webhook\/?$/.test(req.path)
 });
 app.use('/api/', limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware; payment webhooks check signatures against the raw bytes
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression
@@ -78,6 +89,9 @@ app.use('/api/auth', routes.auth);
 app.use('/api/games', routes.games);
 app.use('/api/wallet', routes.wallet);
 app.use('/api/admin', routes.admin);
+app.use('/api/tournaments', routes.tournaments);
+app.use('/api/autobuy', routes.autobuy);
+app.use('/api/payments', routes.payments);
 app.use('/api/telegram', routes.telegram);
 
 // Health check endpoint
@@ -123,6 +137,11 @@ socketHandler(io);
 // Initialize game engine
 gameEngine.initialize();
 
+// Tournament rounds, the deposit watcher and withdrawal payouts run on the engine leader
+tournamentService.start();
+depositService.start();
+withdrawalService.start();
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
@@ -0,0 +1,51 @@
+require('dotenv').config();
+
+// USDT deposit networks. A network is watched only when it is listed in
+// DEPOSIT_NETWORKS and has an extended public key to derive player addresses from.
+// TRON nodes answer the same JSON-RPC log queries as Ethereum ones, so both
+// networks are read the same way; only the address format differs.
+const NETWORKS = {
+  TRC20: {
+    network: 'TRC20',
+    addressFormat: 'tron',
+    rpcUrl: process.env.TRC20_RPC_URL || 'https://api.trongrid.io/jsonrpc',
+    tokenAddress: process.env.TRC20_USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+    decimals: 6,
+    confirmations: parseInt(process.env.TRC20_CONFIRMATIONS || 20),
+    xpub: process.env.TRC20_DEPOSIT_XPUB || null,
+    startBlock: process.env.TRC20_START_BLOCK ? parseInt(process.env.TRC20_START_BLOCK) : null
+  },
+  ERC20: {
+    network: 'ERC20',
+    addressFormat: 'ethereum',
+    rpcUrl: process.env.ERC20_RPC_URL || null,
+    tokenAddress: process.env.ERC20_USDT_CONTRACT || '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+    decimals: 6,
+    confirmations: parseInt(process.env.ERC20_CONFIRMATIONS || 12),
+    xpub: process.env.ERC20_DEPOSIT_XPUB || null,
+    startBlock: process.env.ERC20_START_BLOCK ? parseInt(process.env.ERC20_START_BLOCK) : null
+  }
+};
+
+const enabledNetworks = () => (process.env.DEPOSIT_NETWORKS || '')
+  .split(',')
+  .map(name => name.trim().toUpperCase())
+  .filter(name => NETWORKS[name] && NETWORKS[name].rpcUrl && NETWORKS[name].xpub);
+
+const getNetwork = (name) => {
+  const config = NETWORKS[String(name || '').toUpperCase()];
+  if (!config || !enabledNetworks().includes(config.network)) {
+    throw new Error('Unsupported deposit network');
+  }
+  return config;
+};
+
+module.exports = {
+  NETWORKS,
+  enabledNetworks,
+  getNetwork,
+  // Smallest deposit credited, in USDT; anything below is left uncredited
+  minDeposit: parseFloat(process.env.MIN_DEPOSIT || 1),
+  // Blocks per log query
+  scanBatch: parseInt(process.env.DEPOSIT_SCAN_BATCH || 500)
+};
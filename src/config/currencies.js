@@ -0,0 +1,32 @@
+// Currencies players can hold. USDT is the base: it is what crypto deposits and
+// withdrawals move, what users.balance caches, and what the lifetime totals on a
+// player (total_won, total_deposited, total_withdrawn) are counted in.
+const BASE_CURRENCY = 'USDT';
+
+const CURRENCIES = {
+  USDT: {
+    code: 'USDT',
+    name: 'Tether USD'
+  },
+  ETB: {
+    code: 'ETB',
+    name: 'Ethiopian Birr'
+  }
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+const getCurrency = (code) => {
+  const config = CURRENCIES[String(code || '').toUpperCase()];
+  if (!config) {
+    throw new Error('Unsupported currency');
+  }
+  return config;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  CURRENCY_CODES,
+  getCurrency
+};
@@ -95,6 +95,93 @@ class RedisClient {
     }
   }
   
+  // SET NX PX: true when this owner now holds the lock
+  async acquireLock(key, owner, ttlMs) {
+    try {
+      const result = await this.client.set(key, owner, { NX: true, PX: ttlMs });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Redis acquireLock error:', error);
+      return false;
+    }
+  }
+  
+  // Extend the lock only while this owner still holds it
+  async renewLock(key, owner, ttlMs) {
+    try {
+      const result = await this.client.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end",
+        { keys: [key], arguments: [owner, String(ttlMs)] }
+      );
+      return result === 1;
+    } catch (error) {
+      console.error('Redis renewLock error:', error);
+      return false;
+    }
+  }
+  
+  async releaseLock(key, owner) {
+    try {
+      await this.client.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        { keys: [key], arguments: [owner] }
+      );
+      return true;
+    } catch (error) {
+      console.error('Redis releaseLock error:', error);
+      return false;
+    }
+  }
+  
+  // Run a Lua script atomically; null when Redis fails
+  async eval(script, keys, args = []) {
+    try {
+      return await this.client.eval(script, { keys, arguments: args.map(String) });
+    } catch (error) {
+      console.error('Redis eval error:', error);
+      return null;
+    }
+  }
+  
+  async mget(keys) {
+    try {
+      return keys.length > 0 ? await this.client.mGet(keys) : [];
+    } catch (error) {
+      console.error('Redis mget error:', error);
+      return keys.map(() => null);
+    }
+  }
+  
+  async sadd(key, member, expire = null) {
+    try {
+      await this.client.sAdd(key, String(member));
+      if (expire) await this.client.expire(key, expire);
+      return true;
+    } catch (error) {
+      console.error('Redis sadd error:', error);
+      return false;
+    }
+  }
+  
+  async srem(key, member) {
+    try {
+      await this.client.sRem(key, String(member));
+      return true;
+    } catch (error) {
+      console.error('Redis srem error:', error);
+      return false;
+    }
+  }
+  
+  async smembers(key) {
+    try {
+      return await this.client.sMembers(key);
+    } catch (error) {
+      console.error('Redis smembers error:', error);
+      return [];
+    }
+  }
+  
   async incr(key) {
     try {
       return await this.client.incr(key);
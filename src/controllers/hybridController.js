@@ -1,6 +1,15 @@
 const TelegramService = require('../services/telegramService');
 const GameService = require('../services/gameService');
 const UserService = require('../services/userService');
+const GameEngine = require('../services/gameEngine');
+const AutoBuyService = require('../services/autoBuyService');
+const { User } = require('../models');
+const { formatMoney } = require('../utils/money');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+// What the welcome message promises new players; 0 leaves the bonus line out
+const WELCOME_BONUS = parseFloat(process.env.WELCOME_BONUS || 100);
+const WELCOME_BONUS_CURRENCY = process.env.WELCOME_BONUS_CURRENCY || BASE_CURRENCY;
 
 class HybridController {
     async handleTelegramWebhook(req, res) {
@@ -64,12 +73,110 @@ class HybridController {
                 await this.showUserCards(chatId, user);
                 break;
                 
+            case '/autobuy':
+                await this.handleAutoBuyCommand(chatId, text, user);
+                break;
+                
             default:
                 await TelegramService.sendMessage(chatId, 
                     'Unknown command. Use /help for available commands.');
         }
     }
     
+    async handleCallback(query) {
+        const chatId = query.message.chat.id;
+        const data = query.data || '';
+        
+        if (data.startsWith('claim_')) {
+            await this.handleClaim(chatId, query.from, data.slice('claim_'.length));
+        }
+    }
+    
+    async handleClaim(chatId, telegramUser, gameId) {
+        const user = await User.findOne({ where: { telegram_id: telegramUser.id } });
+        if (!user) {
+            await TelegramService.sendMessage(chatId, 'Please /start the bot first.');
+            return;
+        }
+        
+        try {
+            const results = await GameEngine.claimBingo(gameId, user.id);
+            const accepted = results.filter(r => r.status === 'accepted');
+            const missed = results.filter(r => r.status === 'missed');
+            const forwarded = results.filter(r => r.status === 'forwarded');
+            
+            if (forwarded.length > 0) {
+                await TelegramService.sendMessage(chatId, '📨 Claim received, checking your cards...');
+            } else if (accepted.length > 0) {
+                const cards = accepted.map(r => `#${r.cardNumber}`).join(', ');
+                await TelegramService.sendMessage(chatId, `🏆 <b>BINGO!</b> Claim accepted for card ${cards}.`);
+            } else if (missed.length > 0) {
+                await TelegramService.sendMessage(chatId, '⏰ Too late! The claim window for your bingo has closed.');
+            } else {
+                await TelegramService.sendMessage(chatId, '🚫 No bingo on your cards. False claims are penalised.');
+            }
+        } catch (error) {
+            await TelegramService.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+    
+    // /autobuy                               list rules
+    // /autobuy <room> <games> [cards...] [min=<balance>]
+    // /autobuy stop <room>
+    async handleAutoBuyCommand(chatId, text, telegramUser) {
+        const user = await User.findOne({ where: { telegram_id: telegramUser.id } });
+        if (!user) {
+            await TelegramService.sendMessage(chatId, 'Please /start the bot first.');
+            return;
+        }
+        
+        const args = text.trim().split(/\s+/).slice(1);
+        
+        try {
+            if (args.length === 0) {
+                const rules = (await AutoBuyService.list(user.id)).filter(rule => rule.is_active);
+                if (rules.length === 0) {
+                    await TelegramService.sendMessage(chatId,
+                        'No auto-buys yet.\nExample: <code>/autobuy standard 20 7 12 33 min=50</code>');
+                    return;
+                }
+                
+                const lines = rules.map(rule => {
+                    const cards = rule.card_numbers.length > 0 ? rule.card_numbers.map(n => `#${n}`).join(' ') : 'random';
+                    const games = rule.games_remaining === null ? 'until stopped' : `${rule.games_remaining} games left`;
+                    return `• <b>${rule.room.name}</b>: ${rule.cards_per_game} card(s), ${cards}, ${games}`;
+                });
+                await TelegramService.sendMessage(chatId, `🔁 <b>Your auto-buys</b>\n\n${lines.join('\n')}`);
+                return;
+            }
+            
+            if (args[0].toLowerCase() === 'stop') {
+                const room = await AutoBuyService.findRoom(args[1]);
+                const rules = (await AutoBuyService.list(user.id))
+                    .filter(rule => rule.is_active && rule.room_id === room.id);
+                for (const rule of rules) {
+                    await AutoBuyService.stop(user.id, rule.id);
+                }
+                await TelegramService.sendMessage(chatId, `⏹️ Auto-buy stopped in ${room.name}.`);
+                return;
+            }
+            
+            const [room, games, ...rest] = args;
+            const minArg = rest.find(arg => arg.startsWith('min='));
+            const rule = await AutoBuyService.create(user.id, {
+                room,
+                games_remaining: parseInt(games),
+                card_numbers: rest.filter(arg => arg !== minArg).map(n => parseInt(n)),
+                min_balance: minArg ? parseFloat(minArg.slice(4)) : 0
+            });
+            
+            await TelegramService.sendMessage(chatId,
+                `✅ Auto-buy set: ${rule.cards_per_game} card(s) in each of the next ${rule.games_remaining} games.`);
+        } catch (error) {
+            await TelegramService.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+    
     async handlePlayCommand(chatId, user) {
         // Get current or create new game
         const game = await GameService.getCurrentGame();
@@ -83,12 +190,18 @@ class HybridController {
     }
     
     async sendGameInvitation(chatId, user, game) {
+        const jackpot = GameEngine.getJackpot(game.room_id);
+        const settings = game.settings || {};
+        const cardPrice = formatMoney(settings.bet_amount, settings.currency);
+        const jackpotLine = jackpot
+            ? `\n💎 Jackpot: <b>${formatMoney(jackpot.amount, jackpot.currency)}</b> for a full card within ${jackpot.calls} calls`
+            : '';
         const message = `
 🎮 <b>Join Game #${game.id.slice(0, 8)}</b>
 
 Status: ${game.status}
 Players: ${game.playerCount}
-Pot: $${game.pot.toFixed(2)}
+Pot: ${formatMoney(game.pot, settings.currency)}${jackpotLine}
 Time left: ${game.timeLeft} seconds
 
 Choose how to play:
@@ -108,7 +221,7 @@ Choose how to play:
                 ],
                 [
                     {
-                        text: '🎲 Buy Random Card ($10)',
+                        text: `🎲 Buy Random Card (${cardPrice})`,
                         callback_data: `buy_random_${game.id}`
                     }
                 ]
@@ -120,19 +233,30 @@ Choose how to play:
     
     async sendWelcomeMessage(chatId, user) {
         const referralCode = await UserService.generateReferralCode(user.id);
-        const deepLink = `https://t.me/${process.env.TELEGRAM_BOT_USERNAME}?start=${referralCode}`;
+        const bonusLine = WELCOME_BONUS > 0
+            ? `💰 <b>Get ${formatMoney(WELCOME_BONUS, WELCOME_BONUS_CURRENCY)} welcome bonus!</b>\n`
+            : '';
+        const rooms = [...GameEngine.rooms.values()];
+        const prices = rooms
+            .map(room => `${room.name} ${formatMoney(room.bet_amount, room.currency)}`)
+            .join(', ');
+        
+        // Winners share what is left of the pot after the room's house fee
+        const prizeShares = [...new Set(rooms.map(room => Math.round((1 - parseFloat(room.house_fee)) * 1000) / 10))];
+        const prizeLine = prizeShares.length === 0
+            ? 'Win the pot!'
+            : `Win ${prizeShares.length > 1 ? 'up to ' : ''}${Math.max(...prizeShares)}% of the pot!`;
         
         const message = `
 🎉 <b>Welcome to Geez Bingo, ${user.first_name}!</b>
 
-💰 <b>Get $100 welcome bonus!</b>
-🔑 <b>Your referral code:</b> <code>${referralCode}</code>
+${bonusLine}🔑 <b>Your referral code:</b> <code>${referralCode}</code>
 
 🎮 <b>How to play:</b>
 1. Join a game with /play
-2. Buy cards ($10 each)
+2. Buy cards (${prices || 'price depends on the room'})
 3. Watch numbers called automatically
-4. Win 95% of the pot!
+4. ${prizeLine}
 
 📱 <b>Quick actions:</b>
         `;
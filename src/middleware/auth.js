@@ -0,0 +1,54 @@
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+
+// Resolve the bearer token to an active user on req.user
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findByPk(payload.id);
+
+    if (!user || user.is_banned) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account not available'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token'
+    });
+  }
+};
+
+// Admins are listed by user id in ADMIN_USER_IDS
+const requireAdmin = (req, res, next) => {
+  const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim());
+
+  if (!req.user || !adminIds.includes(req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAdmin
+};
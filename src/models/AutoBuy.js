@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Standing order to buy cards in every new game of a room
+const AutoBuy = sequelize.define('AutoBuy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  room_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Favourite card numbers, tried in order before random free cards
+  card_numbers: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  cards_per_game: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  // Null runs until stopped
+  games_remaining: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Stop once a purchase would take the balance below this
+  min_balance: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  stopped_reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  games_bought: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  last_game_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'auto_buys',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['room_id', 'is_active']
+    },
+    // One active rule per player and room
+    {
+      name: 'auto_buys_one_active',
+      unique: true,
+      fields: ['user_id', 'room_id'],
+      where: { is_active: true }
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = AutoBuy;
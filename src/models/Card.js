@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
 
+// Ownership of one catalogue card in one game; rows exist only for purchased cards
 const Card = sequelize.define('Card', {
   id: {
     type: DataTypes.UUID,
@@ -16,9 +17,11 @@ const Card = sequelize.define('Card', {
     allowNull: false,
     validate: {
       min: 1,
-      max: 400
+      // Largest variant catalogue (90-ball)
+      max: 600
     }
   },
+  // Copy of the catalogue layout taken at purchase
   numbers: {
     type: DataTypes.JSONB,
     allowNull: false
@@ -27,6 +30,11 @@ const Card = sequelize.define('Card', {
     type: DataTypes.UUID,
     allowNull: true
   },
+  // Seed the buyer chose for the draw, if any; part of the game's client seed
+  client_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
   marked_numbers: {
     type: DataTypes.JSONB,
     defaultValue: []
@@ -35,6 +43,14 @@ const Card = sequelize.define('Card', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  winning_pattern: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  locked_out: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
   purchased_at: {
     type: DataTypes.DATE,
     allowNull: true
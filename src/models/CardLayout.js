@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One layout of a season's card catalogue; games reference layouts by card number
+const CardLayout = sequelize.define('CardLayout', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  variant: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  season: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  card_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 600
+    }
+  },
+  numbers: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'card_layouts',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['variant', 'season', 'card_number']
+    }
+  ]
+});
+
+module.exports = CardLayout;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A player's own deposit address on one network, derived from the network's
+// extended public key at `derivation_index`
+const DepositAddress = sequelize.define('DepositAddress', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  network: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  derivation_index: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Chain-native form, as shown to the player
+  address: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // 0x form, as it appears in transfer logs
+  hex_address: {
+    type: DataTypes.STRING(42),
+    allowNull: false
+  }
+}, {
+  tableName: 'deposit_addresses',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['network', 'user_id']
+    },
+    {
+      unique: true,
+      fields: ['network', 'derivation_index']
+    },
+    {
+      unique: true,
+      fields: ['network', 'hex_address']
+    }
+  ]
+});
+
+module.exports = DepositAddress;
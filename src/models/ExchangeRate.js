@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { CURRENCY_CODES } = require('../config/currencies');
+
+// An admin-set rate: one unit of `base` buys `rate` units of `quote`. A pair is
+// stored once and used both ways.
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  base: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      isIn: [CURRENCY_CODES]
+    }
+  },
+  quote: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      isIn: [CURRENCY_CODES]
+    }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(20, 8),
+    allowNull: false,
+    validate: {
+      min: 0.00000001
+    }
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'exchange_rates',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['base', 'quote']
+    }
+  ]
+});
+
+module.exports = ExchangeRate;
@@ -12,6 +12,10 @@ const Game = sequelize.define('Game', {
     unique: true,
     allowNull: false
   },
+  room_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   status: {
     type: DataTypes.ENUM('waiting', 'active', 'completed', 'cancelled'),
     defaultValue: 'waiting'
@@ -28,6 +32,23 @@ const Game = sequelize.define('Game', {
     type: DataTypes.JSONB,
     defaultValue: []
   },
+  draw_sequence: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  call_index: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Set while an admin holds the calls; elapsed_ms stops counting
+  paused: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  elapsed_ms: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
   winner_id: {
     type: DataTypes.UUID,
     allowNull: true
@@ -36,6 +57,39 @@ const Game = sequelize.define('Game', {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  winning_pattern: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  winners: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  prize_stage: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  tournament_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  tournament_round: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  countdown_extensions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // House top-up paid so far towards a guaranteed prize
+  prize_subsidy: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  jackpot_won: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
   start_time: {
     type: DataTypes.DATE,
     allowNull: false
@@ -44,14 +98,40 @@ const Game = sequelize.define('Game', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  server_seed_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  server_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  client_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
   settings: {
     type: DataTypes.JSONB,
     defaultValue: {
+      variant: 'bingo75',
+      card_season: 'default',
       bet_amount: 10.00,
       house_fee: 0.05,
       game_duration: 180,
       max_cards_per_player: 5,
-      min_players: 1
+      min_players: 1,
+      min_cards: 1,
+      max_extensions: 0,
+      extension_seconds: 30,
+      guaranteed_prize: 0,
+      patterns: ['line'],
+      claim_mode: 'auto',
+      claim_window: 10,
+      false_claim_penalty: 'lockout',
+      false_claim_fine: 0,
+      call_interval: 3,
+      call_interval_min: 3,
+      call_acceleration: 0
     }
   },
   metadata: {
@@ -63,4 +143,14 @@ const Game = sequelize.define('Game', {
   timestamps: true
 });
 
+// The server seed and the upcoming draw stay secret until the game is over
+Game.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  if (['waiting', 'active'].includes(values.status)) {
+    delete values.server_seed;
+    delete values.draw_sequence;
+  }
+  return values;
+};
+
 module.exports = Game;
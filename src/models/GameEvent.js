@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const immutable = () => {
+  throw new Error('Game events are append-only');
+};
+
+// Append-only log of everything the engine announced about a game, in emit order
+const GameEvent = sequelize.define('GameEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  node_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Engine clock time of the event; createdAt is when it was written
+  occurred_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'game_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['game_id', 'id']
+    }
+  ],
+  hooks: {
+    beforeUpdate: immutable,
+    beforeBulkUpdate: immutable,
+    beforeDestroy: immutable,
+    beforeBulkDestroy: immutable
+  }
+});
+
+module.exports = GameEvent;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { BASE_CURRENCY, CURRENCY_CODES } = require('../config/currencies');
+
+// A wallet account in the double-entry ledger, in one currency. `balance` always
+// equals the sum of the account's entries; users' balances are cached from here
+// onto users.balances (and users.balance for the base currency).
+const LedgerAccount = sequelize.define('LedgerAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // e.g. user:<id>, game:<id>, tournament:<id>, jackpot:<roomId>, withdrawal:<transactionId>,
+  // house, bonus, custody, exchange; accounts outside the base currency end in /<currency>,
+  // e.g. user:<id>/ETB or house/ETB
+  code: {
+    type: DataTypes.STRING(100),
+    unique: true,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('user', 'pot', 'hold', 'house', 'jackpot', 'bonus', 'custody', 'exchange'),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: BASE_CURRENCY,
+    validate: {
+      isIn: [CURRENCY_CODES]
+    }
+  },
+  // The user, game, tournament, room or withdrawal the account belongs to
+  owner_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  balance: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  }
+}, {
+  tableName: 'ledger_accounts',
+  timestamps: true
+});
+
+module.exports = LedgerAccount;
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const immutable = () => {
+  throw new Error('Ledger entries are append-only');
+};
+
+// One leg of a posting. The legs of a posting sum to zero; each records the
+// account balance either side of it.
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  posting_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  account_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // The user-facing transaction the posting belongs to, if any
+  transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Positive credits the account, negative debits it
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  balance_before: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  balance_after: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'ledger_entries',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['account_id', 'id']
+    },
+    {
+      fields: ['posting_id']
+    }
+  ],
+  hooks: {
+    beforeUpdate: immutable,
+    beforeBulkUpdate: immutable,
+    beforeDestroy: immutable,
+    beforeBulkDestroy: immutable
+  }
+});
+
+module.exports = LedgerEntry;
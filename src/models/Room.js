@@ -0,0 +1,152 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { BASE_CURRENCY, CURRENCY_CODES } = require('../config/currencies');
+
+const Room = sequelize.define('Room', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  slug: {
+    type: DataTypes.STRING(50),
+    unique: true,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  // Bets, prizes and the jackpot are all in this currency
+  currency: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: BASE_CURRENCY,
+    validate: {
+      isIn: [CURRENCY_CODES]
+    }
+  },
+  bet_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  house_fee: {
+    type: DataTypes.DECIMAL(5, 4),
+    defaultValue: 0.05,
+    validate: {
+      min: 0,
+      max: 1
+    }
+  },
+  game_duration: {
+    type: DataTypes.INTEGER,
+    defaultValue: 180
+  },
+  countdown: {
+    type: DataTypes.INTEGER,
+    defaultValue: 30
+  },
+  max_cards_per_player: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  card_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 400,
+    validate: {
+      min: 1,
+      max: 600
+    }
+  },
+  concurrency: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5,
+    validate: {
+      min: 1
+    }
+  },
+  // Below min_players distinct players or min_cards sold, the countdown restarts
+  // up to max_extensions times before the game is cancelled with refunds
+  min_players: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  min_cards: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  max_extensions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  // Promotional rooms: the house tops the prize up to this amount
+  guaranteed_prize: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  game_settings: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Progressive jackpot: a slice of every pot, taken from the house fee, paid for a
+  // full-card win within jackpot_calls calls, then reset to the seed amount
+  jackpot_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  jackpot_share: {
+    type: DataTypes.DECIMAL(5, 4),
+    defaultValue: 0.01,
+    validate: {
+      min: 0,
+      max: 1
+    }
+  },
+  jackpot_calls: {
+    type: DataTypes.INTEGER,
+    defaultValue: 50,
+    validate: {
+      min: 1
+    }
+  },
+  jackpot_seed: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00,
+    validate: {
+      min: 0
+    }
+  },
+  jackpot_cap: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  jackpot_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'rooms',
+  timestamps: true
+});
+
+module.exports = Room;
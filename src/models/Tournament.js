@@ -0,0 +1,123 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { BASE_CURRENCY, CURRENCY_CODES } = require('../config/currencies');
+
+// A series of engine games scored on one leaderboard; the pool is paid by final rank
+const Tournament = sequelize.define('Tournament', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'running', 'completed', 'cancelled'),
+    defaultValue: 'scheduled'
+  },
+  // Entry fees and prizes are in this currency
+  currency: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: BASE_CURRENCY,
+    validate: {
+      isIn: [CURRENCY_CODES]
+    }
+  },
+  entry_fee: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  house_fee: {
+    type: DataTypes.DECIMAL(5, 4),
+    defaultValue: 0.05,
+    validate: {
+      min: 0,
+      max: 1
+    }
+  },
+  prize_pool: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  // Pool share per final rank, first place first
+  payout_shares: {
+    type: DataTypes.JSONB,
+    defaultValue: [0.5, 0.3, 0.2]
+  },
+  rounds: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  starts_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Minutes between round starts
+  round_interval: {
+    type: DataTypes.INTEGER,
+    defaultValue: 10,
+    validate: {
+      min: 1
+    }
+  },
+  reminder_minutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  cards_per_round: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  min_players: {
+    type: DataTypes.INTEGER,
+    defaultValue: 2
+  },
+  // { win: 10, patterns: { blackout: 20 } }: points for any win plus the pattern bonus
+  points: {
+    type: DataTypes.JSONB,
+    defaultValue: { win: 10, patterns: {} }
+  },
+  // Engine settings for the round games (variant, patterns, prizes, game_duration)
+  game_settings: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  current_round: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  rounds_scored: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  reminded_round: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  round_game_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'tournaments',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'starts_at']
+    }
+  ]
+});
+
+module.exports = Tournament;
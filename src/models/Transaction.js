@@ -1,4 +1,4 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
 
 const Transaction = sequelize.define('Transaction', {
@@ -7,12 +7,18 @@ const Transaction = sequelize.define('Transaction', {
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true
   },
+  // Empty for house-side entries (jackpot seed and contributions, prize subsidies, house fees)
   user_id: {
     type: DataTypes.UUID,
-    allowNull: false
+    allowNull: true
   },
   type: {
-    type: DataTypes.ENUM('deposit', 'withdraw', 'bet', 'win', 'refund', 'referral', 'bonus'),
+    type: DataTypes.ENUM(
+      'deposit', 'withdraw', 'bet', 'win', 'refund', 'referral', 'bonus', 'penalty',
+      'jackpot_seed', 'jackpot_contribution', 'jackpot_win',
+      'tournament_entry', 'tournament_prize', 'prize_subsidy', 'house_fee', 'deposit_refund',
+      'conversion'
+    ),
     allowNull: false
   },
   amount: {
@@ -31,10 +37,16 @@ const Transaction = sequelize.define('Transaction', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // Which transfer log of the chain transaction a deposit came from
+  log_index: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   network: {
     type: DataTypes.STRING,
     defaultValue: 'TRC20'
   },
+  // The currency of `amount`; a conversion's target side is in its metadata
   currency: {
     type: DataTypes.STRING,
     defaultValue: 'USDT'
@@ -45,7 +57,17 @@ const Transaction = sequelize.define('Transaction', {
   }
 }, {
   tableName: 'transactions',
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    {
+      // A chain transfer log is credited at most once; a failed record does not
+      // stop the same transfer being recorded again
+      name: 'transactions_deposit_log_once',
+      unique: true,
+      fields: ['network', 'tx_hash', 'log_index'],
+      where: { type: 'deposit', status: { [Op.ne]: 'failed' } }
+    }
+  ]
 });
 
 module.exports = Transaction;
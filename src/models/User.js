@@ -34,10 +34,16 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     defaultValue: 'https://ui-avatars.com/api/?name=User&background=random&size=128'
   },
+  // Base currency balance, cached from the player's ledger account
   balance: {
     type: DataTypes.DECIMAL(15, 2),
     defaultValue: 0.00
   },
+  // Every currency the player holds, e.g. { "USDT": 12.5, "ETB": 300 }, cached from the ledger
+  balances: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
   total_won: {
     type: DataTypes.DECIMAL(15, 2),
     defaultValue: 0.00
@@ -3,6 +3,16 @@ const User = require('./User');
 const Game = require('./Game');
 const Card = require('./Card');
 const Transaction = require('./Transaction');
+const Room = require('./Room');
+const CardLayout = require('./CardLayout');
+const Tournament = require('./Tournament');
+const TournamentEntry = require('./TournamentEntry');
+const AutoBuy = require('./AutoBuy');
+const GameEvent = require('./GameEvent');
+const LedgerAccount = require('./LedgerAccount');
+const LedgerEntry = require('./LedgerEntry');
+const DepositAddress = require('./DepositAddress');
+const ExchangeRate = require('./ExchangeRate');
 
 // Define associations
 User.hasMany(Game, { foreignKey: 'winner_id', as: 'won_games' });
@@ -17,6 +27,29 @@ Card.belongsTo(Game, { foreignKey: 'game_id', as: 'game' });
 User.hasMany(Transaction, { foreignKey: 'user_id', as: 'transactions' });
 Transaction.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
+Room.hasMany(Game, { foreignKey: 'room_id', as: 'games' });
+Game.belongsTo(Room, { foreignKey: 'room_id', as: 'room' });
+
+Tournament.hasMany(TournamentEntry, { foreignKey: 'tournament_id', as: 'entries' });
+TournamentEntry.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+TournamentEntry.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+User.hasMany(AutoBuy, { foreignKey: 'user_id', as: 'auto_buys' });
+AutoBuy.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+AutoBuy.belongsTo(Room, { foreignKey: 'room_id', as: 'room' });
+
+Game.hasMany(GameEvent, { foreignKey: 'game_id', as: 'events' });
+
+Tournament.hasMany(Game, { foreignKey: 'tournament_id', as: 'games' });
+Game.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+
+LedgerAccount.hasMany(LedgerEntry, { foreignKey: 'account_id', as: 'entries' });
+LedgerEntry.belongsTo(LedgerAccount, { foreignKey: 'account_id', as: 'account' });
+Transaction.hasMany(LedgerEntry, { foreignKey: 'transaction_id', as: 'entries' });
+
+User.hasMany(DepositAddress, { foreignKey: 'user_id', as: 'deposit_addresses' });
+DepositAddress.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
 // Self-referral relationship
 User.belongsTo(User, { foreignKey: 'referred_by', as: 'referrer' });
 User.hasMany(User, { foreignKey: 'referred_by', as: 'referrals' });
@@ -26,6 +59,16 @@ const models = {
   Game,
   Card,
   Transaction,
+  Room,
+  CardLayout,
+  Tournament,
+  TournamentEntry,
+  AutoBuy,
+  GameEvent,
+  LedgerAccount,
+  LedgerEntry,
+  DepositAddress,
+  ExchangeRate,
   sequelize
 };
 
@@ -0,0 +1,389 @@
+const express = require('express');
+const router = express.Router();
+const { Game, Room, Tournament } = require('../models');
+const GameEngine = require('../services/gameEngine');
+const TournamentService = require('../services/tournamentService');
+const GameHistory = require('../services/gameHistory');
+const Wallet = require('../services/wallet');
+const WithdrawalService = require('../services/withdrawalService');
+const PaymentService = require('../services/paymentService');
+const ExchangeService = require('../services/exchangeService');
+const { toCents } = require('../utils/money');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const ROOM_FIELDS = [
+    'slug', 'name', 'is_active', 'currency', 'bet_amount', 'house_fee', 'game_duration', 'countdown',
+    'max_cards_per_player', 'card_count', 'concurrency', 'game_settings', 'sort_order',
+    'jackpot_enabled', 'jackpot_share', 'jackpot_calls', 'jackpot_seed', 'jackpot_cap',
+    'min_players', 'min_cards', 'max_extensions', 'guaranteed_prize'
+];
+
+const TOURNAMENT_FIELDS = [
+    'name', 'currency', 'entry_fee', 'house_fee', 'payout_shares', 'rounds', 'starts_at', 'round_interval',
+    'reminder_minutes', 'cards_per_round', 'min_players', 'points', 'game_settings'
+];
+
+const pickFields = (allowed, body) => allowed.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+}, {});
+
+const pickRoomFields = (body) => pickFields(ROOM_FIELDS, body);
+
+router.use(authenticate, requireAdmin);
+
+// List all rooms, including inactive ones
+router.get('/rooms', async (req, res) => {
+    try {
+        const rooms = await Room.findAll({ order: [['sort_order', 'ASC'], ['bet_amount', 'ASC']] });
+        res.json({ success: true, rooms });
+
+    } catch (error) {
+        console.error('List rooms error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list rooms'
+        });
+    }
+});
+
+// Create a room; its scheduler starts right away
+router.post('/rooms', async (req, res) => {
+    try {
+        const room = await Room.create(pickRoomFields(req.body));
+        await GameEngine.reloadRooms();
+
+        res.status(201).json({ success: true, room });
+
+    } catch (error) {
+        console.error('Create room error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Update a room; games already created keep the settings they were created with
+router.put('/rooms/:roomId', async (req, res) => {
+    try {
+        const room = await Room.findByPk(req.params.roomId);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                error: 'Room not found'
+            });
+        }
+
+        const fields = pickRoomFields(req.body);
+
+        // Open games and the jackpot are held in the old currency until they are settled
+        if (fields.currency !== undefined && fields.currency !== room.currency) {
+            const openGames = await Game.count({ where: { room_id: room.id, status: ['waiting', 'active'] } });
+            if (openGames > 0 || toCents(room.jackpot_amount) > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Deactivate the room and let its games and jackpot settle before changing its currency'
+                });
+            }
+        }
+
+        await room.update(fields);
+        await GameEngine.reloadRooms();
+
+        res.json({ success: true, room });
+
+    } catch (error) {
+        console.error('Update room error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Hold, continue or abort (cancel with refunds) a running game
+router.post('/games/:gameId/:action(pause|resume|abort)', async (req, res) => {
+    try {
+        const result = await GameEngine.controlGame(req.params.gameId, req.params.action, req.body.reason || null);
+        res.json({ success: true, gameId: req.params.gameId, action: req.params.action, ...result });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// The game's event log as recorded
+router.get('/games/:gameId/events', async (req, res) => {
+    try {
+        const events = await GameHistory.getEvents(req.params.gameId);
+        res.json({ success: true, gameId: req.params.gameId, events });
+
+    } catch (error) {
+        console.error('Get game events error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load game events'
+        });
+    }
+});
+
+// Step through a game: newline-delimited JSON frames, one per logged event, with every
+// card's marks after each call. ?call=N returns the single frame after call N,
+// ?userId=... limits the cards to one player's.
+router.get('/games/:gameId/replay', async (req, res) => {
+    const options = { userId: req.query.userId || null };
+
+    try {
+        if (req.query.call) {
+            const frame = await GameHistory.frameAtCall(req.params.gameId, parseInt(req.query.call), options);
+            if (!frame) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'The game has no such call'
+                });
+            }
+            return res.json({ success: true, frame });
+        }
+
+        const frames = GameHistory.replay(req.params.gameId, options);
+        let next = await frames.next();
+
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        while (!next.done) {
+            res.write(`${JSON.stringify(next.value)}\n`);
+            next = await frames.next();
+        }
+        res.end();
+
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Replay stream error:', error);
+            return res.end();
+        }
+
+        res.status(error.message === 'Game not found' ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List tournaments, newest first
+router.get('/tournaments', async (req, res) => {
+    try {
+        const tournaments = await Tournament.findAll({ order: [['starts_at', 'DESC']], limit: 100 });
+        res.json({ success: true, tournaments });
+
+    } catch (error) {
+        console.error('List tournaments error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list tournaments'
+        });
+    }
+});
+
+// Schedule a tournament; registration opens right away
+router.post('/tournaments', async (req, res) => {
+    try {
+        const tournament = await TournamentService.create(pickFields(TOURNAMENT_FIELDS, req.body));
+        res.status(201).json({ success: true, tournament });
+
+    } catch (error) {
+        console.error('Create tournament error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Cancel a tournament and refund every entry fee
+router.post('/tournaments/:tournamentId/cancel', async (req, res) => {
+    try {
+        const tournament = await TournamentService.cancel(req.params.tournamentId, 'admin');
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                error: 'No scheduled or running tournament with this id'
+            });
+        }
+
+        res.json({ success: true, tournament });
+
+    } catch (error) {
+        console.error('Cancel tournament error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel tournament'
+        });
+    }
+});
+
+// Compare every ledger account with its entries and every player's cached balance
+router.get('/wallet/consistency', async (req, res) => {
+    try {
+        const report = await Wallet.checkConsistency();
+        res.json({ success: report.issues.length === 0, ...report });
+
+    } catch (error) {
+        console.error('Ledger consistency error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check the ledger'
+        });
+    }
+});
+
+// Latest entries of a ledger account, e.g. house, user:<id> or game:<id>; encode the
+// slash of other currencies' accounts (user:<id>%2FETB)
+router.get('/wallet/accounts/:code/entries', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const { account, entries } = await Wallet.getEntries(req.params.code, { limit });
+        res.json({ success: true, account, entries });
+
+    } catch (error) {
+        console.error('Ledger entries error:', error);
+        res.status(error.message === 'Ledger account not found' ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Pending withdrawals by stage (?stage=review by default; approved, processing, awaiting_payout, unconfirmed)
+router.get('/withdrawals', async (req, res) => {
+    try {
+        const withdrawals = await WithdrawalService.queue(req.query.stage || 'review');
+        res.json({ success: true, withdrawals });
+
+    } catch (error) {
+        console.error('Withdrawal queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load withdrawals'
+        });
+    }
+});
+
+// approve: send it; reject { reason }: refund it; paid { txHash }: paid by hand; failed { reason }: refund after a failed payout
+router.post('/withdrawals/:withdrawalId/:action(approve|reject|paid|failed)', async (req, res) => {
+    try {
+        const { withdrawalId, action } = req.params;
+        const actions = {
+            approve: () => WithdrawalService.approve(withdrawalId, req.user.id),
+            reject: () => WithdrawalService.reject(withdrawalId, req.user.id, req.body.reason),
+            paid: () => WithdrawalService.markPaid(withdrawalId, req.body.txHash, { paid_by: req.user.id }),
+            failed: () => WithdrawalService.fail(withdrawalId, req.body.reason || 'payout_failed', { reviewed_by: req.user.id })
+        };
+
+        const withdrawal = await actions[action]();
+        res.json({ success: true, withdrawal });
+
+    } catch (error) {
+        console.error('Withdrawal action error:', error);
+        res.status(error.message === 'Withdrawal not found' ? 404 : 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// { reason }: refund a mobile money deposit through its provider
+router.post('/payments/:transactionId/refund', async (req, res) => {
+    try {
+        const refund = await PaymentService.refund(req.params.transactionId, req.user.id, req.body.reason);
+        res.json({ success: true, refund });
+
+    } catch (error) {
+        console.error('Payment refund error:', error);
+        res.status(error.message === 'Payment not found' ? 404 : 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Refunds the provider may or may not have made, waiting for staff to check
+router.get('/payments/refunds', async (req, res) => {
+    try {
+        const refunds = await PaymentService.unconfirmedRefunds();
+        res.json({ success: true, refunds });
+
+    } catch (error) {
+        console.error('Refund queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load refunds'
+        });
+    }
+});
+
+// refunded { refundReference }: the provider paid it back; failed { reason }: it did not, the player keeps the credit
+router.post('/payments/refunds/:refundId/:action(refunded|failed)', async (req, res) => {
+    try {
+        const { refundId, action } = req.params;
+        const refund = action === 'refunded'
+            ? await PaymentService.confirmRefund(refundId, req.user.id, req.body.refundReference)
+            : await PaymentService.failRefund(refundId, req.user.id, req.body.reason);
+        res.json({ success: true, refund });
+
+    } catch (error) {
+        console.error('Refund action error:', error);
+        res.status(error.message === 'Refund not found' ? 404 : 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.get('/exchange-rates', async (req, res) => {
+    try {
+        const rates = await ExchangeService.listRates();
+        res.json({ success: true, rates });
+
+    } catch (error) {
+        console.error('List exchange rates error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load exchange rates'
+        });
+    }
+});
+
+// { rate }: one unit of :base buys `rate` units of :quote; replaces the pair's rate either way round
+router.put('/exchange-rates/:base/:quote', async (req, res) => {
+    try {
+        const rate = await ExchangeService.setRate(req.params.base, req.params.quote, req.body.rate, req.user.id);
+        res.json({ success: true, rate });
+
+    } catch (error) {
+        console.error('Set exchange rate error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Conversions between the pair stop until a rate is set again
+router.delete('/exchange-rates/:base/:quote', async (req, res) => {
+    try {
+        await ExchangeService.removeRate(req.params.base, req.params.quote);
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Remove exchange rate error:', error);
+        res.status(error.message === 'Exchange rate not found' ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const AutoBuyService = require('../services/autoBuyService');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// The player's auto-buy rules, active ones first
+router.get('/', async (req, res) => {
+    try {
+        const autoBuys = await AutoBuyService.list(req.user.id);
+        res.json({ success: true, autoBuys });
+
+    } catch (error) {
+        console.error('List auto-buys error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load auto-buys'
+        });
+    }
+});
+
+// { room, card_numbers, cards_per_game, games_remaining, min_balance }; replaces the room's active rule
+router.post('/', async (req, res) => {
+    try {
+        const autoBuy = await AutoBuyService.create(req.user.id, req.body);
+        res.status(201).json({ success: true, autoBuy });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.put('/:autoBuyId', async (req, res) => {
+    try {
+        const autoBuy = await AutoBuyService.update(req.user.id, req.params.autoBuyId, req.body);
+        res.json({ success: true, autoBuy });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.delete('/:autoBuyId', async (req, res) => {
+    try {
+        const autoBuy = await AutoBuyService.stop(req.user.id, req.params.autoBuyId);
+        res.json({ success: true, autoBuy });
+
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const { Game, Card } = require('../models');
+const ProvablyFair = require('../services/provablyFair');
+const { getVariant, listVariants } = require('../services/variants');
+const GameEngine = require('../services/gameEngine');
+const CardCatalogue = require('../services/cardCatalogue');
+const { authenticate } = require('../middleware/auth');
+
+// Bingo variants with their ball counts, card shapes and built-in patterns
+router.get('/variants', (req, res) => {
+    res.json({
+        success: true,
+        variants: listVariants()
+    });
+});
+
+// Built-in winning patterns operators can reference in Game.settings.patterns
+router.get('/patterns', (req, res) => {
+    try {
+        const variant = getVariant(req.query.variant);
+        res.json({
+            success: true,
+            variant: variant.key,
+            patterns: Object.keys(variant.patterns)
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Card layouts of a season; a card number keeps its layout in every game of the season
+router.get('/catalogue', async (req, res) => {
+    try {
+        const variant = getVariant(req.query.variant);
+        const season = req.query.season || CardCatalogue.defaultSeason();
+        const cards = CardCatalogue.isConfigured(season) ? await CardCatalogue.findCatalogue(variant.key, season) : null;
+
+        if (!cards) {
+            return res.status(404).json({
+                success: false,
+                error: 'Card season not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            variant: variant.key,
+            season,
+            cards
+        });
+
+    } catch (error) {
+        console.error('Get catalogue error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.get('/catalogue/:cardNumber', async (req, res) => {
+    try {
+        const variant = getVariant(req.query.variant);
+        const season = req.query.season || CardCatalogue.defaultSeason();
+        const cards = CardCatalogue.isConfigured(season) ? await CardCatalogue.findCatalogue(variant.key, season) : null;
+        const card = cards ? cards[parseInt(req.params.cardNumber) - 1] : null;
+
+        if (!card) {
+            return res.status(404).json({
+                success: false,
+                error: 'Card not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            variant: variant.key,
+            season,
+            card
+        });
+
+    } catch (error) {
+        console.error('Get catalogue card error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Lobby: every room with its next game and countdown
+router.get('/rooms', async (req, res) => {
+    try {
+        const rooms = await GameEngine.getLobby();
+
+        res.json({
+            success: true,
+            rooms
+        });
+
+    } catch (error) {
+        console.error('Get lobby error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load rooms'
+        });
+    }
+});
+
+// Recompute card layouts and draw order of a finished game from its revealed seeds
+router.get('/:gameId/verify', async (req, res) => {
+    try {
+        const game = await Game.findByPk(req.params.gameId);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found'
+            });
+        }
+
+        if (['waiting', 'active'].includes(game.status)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Server seed is revealed once the game is over',
+                serverSeedHash: game.server_seed_hash
+            });
+        }
+
+        const cards = await Card.findAll({
+            where: { game_id: game.id },
+            attributes: ['card_number', 'numbers', 'user_id', 'client_seed'],
+            order: [['card_number', 'ASC']]
+        });
+
+        const verification = ProvablyFair.verifyGame(game.toJSON(), cards.map(card => card.toJSON()));
+
+        if (req.query.card) {
+            const cardNumber = parseInt(req.query.card);
+            verification.card = {
+                cardNumber,
+                numbers: ProvablyFair.gameCardNumbers(game, cardNumber, getVariant(game.settings.variant))
+            };
+        }
+
+        res.json({
+            success: true,
+            gameId: game.id,
+            verification
+        });
+
+    } catch (error) {
+        console.error('Verify game error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Verification failed'
+        });
+    }
+});
+
+// Claim bingo in a manual-claim game; omit cardNumber to claim with every owned card
+router.post('/:gameId/claim', authenticate, async (req, res) => {
+    try {
+        const cardNumber = req.body.cardNumber ? parseInt(req.body.cardNumber) : null;
+        const results = await GameEngine.claimBingo(req.params.gameId, req.user.id, cardNumber);
+
+        res.json({
+            success: results.some(result => ['accepted', 'forwarded'].includes(result.status)),
+            results
+        });
+
+    } catch (error) {
+        console.error('Claim bingo error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Cards currently held by players choosing them; the caller's own holds are flagged
+router.get('/:gameId/holds', authenticate, async (req, res) => {
+    try {
+        const holds = await GameEngine.getCardHolds(req.params.gameId, req.user.id);
+
+        res.json({
+            success: true,
+            holds
+        });
+
+    } catch (error) {
+        console.error('Get card holds error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get card holds'
+        });
+    }
+});
+
+// Reserve a card for a short time while deciding; holding it again extends the hold
+router.post('/:gameId/cards/:cardNumber/hold', authenticate, async (req, res) => {
+    try {
+        const hold = await GameEngine.holdCard(req.params.gameId, req.user.id, parseInt(req.params.cardNumber));
+
+        res.json({
+            success: true,
+            hold
+        });
+
+    } catch (error) {
+        console.error('Hold card error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.delete('/:gameId/cards/:cardNumber/hold', authenticate, async (req, res) => {
+    try {
+        await GameEngine.releaseCardHold(req.params.gameId, req.user.id, parseInt(req.params.cardNumber));
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Release card hold error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
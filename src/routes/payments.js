@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const PaymentService = require('../services/paymentService');
+const { authenticate } = require('../middleware/auth');
+
+// Mobile money providers players can deposit with
+router.get('/providers', (req, res) => {
+    res.json({
+        success: true,
+        providers: PaymentService.listProviders(),
+        limits: PaymentService.limits
+    });
+});
+
+// Provider callbacks: signed, so no session. Answer 200 once handled so the provider stops retrying.
+router.post('/:provider/webhook', async (req, res) => {
+    try {
+        const transaction = await PaymentService.handleWebhook(req.params.provider, {
+            headers: req.headers,
+            rawBody: req.rawBody,
+            body: req.body
+        });
+
+        res.json({ success: true, status: transaction.status });
+
+    } catch (error) {
+        console.error(`Payment webhook error (${req.params.provider}):`, error.message);
+        const status = error.message === 'Invalid signature' ? 401
+            : ['Payment not found', 'Unknown payment provider'].includes(error.message) ? 404
+            : 500;
+        res.status(status).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// { amount, returnUrl }: start a deposit and get the provider's checkout page
+router.post('/:provider/checkout', authenticate, async (req, res) => {
+    try {
+        const checkout = await PaymentService.checkout(req.user.id, req.params.provider, req.body);
+        res.status(201).json({ success: true, ...checkout });
+
+    } catch (error) {
+        console.error('Payment checkout error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Status of a deposit, asking the provider if it is still pending
+router.get('/deposits/:reference', authenticate, async (req, res) => {
+    try {
+        const transaction = await PaymentService.sync(req.user.id, req.params.reference);
+        res.json({ success: true, transaction });
+
+    } catch (error) {
+        console.error('Payment status error:', error);
+        res.status(error.message === 'Payment not found' ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Tournament } = require('../models');
+const TournamentService = require('../services/tournamentService');
+const { authenticate } = require('../middleware/auth');
+
+// Upcoming and running tournaments, plus the last week's results
+router.get('/', async (req, res) => {
+    try {
+        const tournaments = await Tournament.findAll({
+            where: {
+                [Op.or]: [
+                    { status: ['scheduled', 'running'] },
+                    { updated_at: { [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } }
+                ]
+            },
+            order: [['starts_at', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            tournaments
+        });
+
+    } catch (error) {
+        console.error('List tournaments error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load tournaments'
+        });
+    }
+});
+
+router.get('/:tournamentId', async (req, res) => {
+    try {
+        const tournament = await Tournament.findByPk(req.params.tournamentId);
+
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tournament not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            tournament,
+            standings: await TournamentService.getStandings(tournament.id)
+        });
+
+    } catch (error) {
+        console.error('Get tournament error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load tournament'
+        });
+    }
+});
+
+// Pay the entry fee and take a seat in every round
+router.post('/:tournamentId/register', authenticate, async (req, res) => {
+    try {
+        const entry = await TournamentService.register(req.params.tournamentId, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            entry
+        });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const DepositService = require('../services/depositService');
+const WithdrawalService = require('../services/withdrawalService');
+const ExchangeService = require('../services/exchangeService');
+const Wallet = require('../services/wallet');
+const chains = require('../config/chains');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { User } = require('../models');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// The player's balance in every currency
+router.get('/balances', async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id, { attributes: ['id', 'balance', 'balances'] });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({ success: true, currencies: CURRENCY_CODES, balances: Wallet.balancesOf(user) });
+
+    } catch (error) {
+        console.error('Get balances error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load balances'
+        });
+    }
+});
+
+// Current exchange rates; each one applies both ways
+router.get('/exchange-rates', async (req, res) => {
+    try {
+        const rates = await ExchangeService.listRates();
+        res.json({ success: true, rates });
+
+    } catch (error) {
+        console.error('List exchange rates error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load exchange rates'
+        });
+    }
+});
+
+// What converting would give at the current rate (?from=USDT&to=ETB&amount=10)
+router.get('/convert/quote', async (req, res) => {
+    try {
+        const quote = await ExchangeService.quote(req.query.from, req.query.to, req.query.amount);
+        res.json({ success: true, quote });
+
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// { from, to, amount }; moves `amount` of one currency into the other at the current rate
+router.post('/convert', async (req, res) => {
+    try {
+        const conversion = await ExchangeService.convert(req.user.id, req.body);
+        res.status(201).json({ success: true, conversion });
+
+    } catch (error) {
+        console.error('Convert error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Networks deposits are accepted on, with the confirmations each one waits for
+router.get('/networks', (req, res) => {
+    res.json({
+        success: true,
+        networks: chains.enabledNetworks().map(name => ({
+            network: name,
+            currency: 'USDT',
+            confirmations: chains.NETWORKS[name].confirmations,
+            minDeposit: chains.minDeposit
+        }))
+    });
+});
+
+// The player's own deposit address on a network (?network=TRC20 or ERC20)
+router.get('/deposit-address', async (req, res) => {
+    try {
+        const address = await DepositService.getAddress(req.user.id, req.query.network || 'TRC20');
+
+        res.json({
+            success: true,
+            network: address.network,
+            currency: 'USDT',
+            address: address.address
+        });
+
+    } catch (error) {
+        console.error('Deposit address error:', error);
+        res.status(error.message === 'Unsupported deposit network' ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Deposits seen for the player, newest first, pending ones included
+router.get('/deposits', async (req, res) => {
+    try {
+        const deposits = await DepositService.listDeposits(req.user.id);
+        res.json({ success: true, deposits });
+
+    } catch (error) {
+        console.error('List deposits error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load deposits'
+        });
+    }
+});
+
+// Limits that apply to withdrawal requests
+router.get('/withdrawals/limits', (req, res) => {
+    res.json({ success: true, limits: WithdrawalService.limits });
+});
+
+// The player's withdrawals, newest first
+router.get('/withdrawals', async (req, res) => {
+    try {
+        const withdrawals = await WithdrawalService.list(req.user.id);
+        res.json({ success: true, withdrawals });
+
+    } catch (error) {
+        console.error('List withdrawals error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load withdrawals'
+        });
+    }
+});
+
+// { amount, network, address }; the amount leaves the balance until the request is paid or refused
+router.post('/withdrawals', async (req, res) => {
+    try {
+        const withdrawal = await WithdrawalService.request(req.user.id, req.body);
+        res.status(201).json({ success: true, withdrawal });
+
+    } catch (error) {
+        console.error('Request withdrawal error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Withdraw a request that has not been sent yet
+router.post('/withdrawals/:withdrawalId/cancel', async (req, res) => {
+    try {
+        const withdrawal = await WithdrawalService.cancel(req.user.id, req.params.withdrawalId);
+        res.json({ success: true, withdrawal });
+
+    } catch (error) {
+        console.error('Cancel withdrawal error:', error);
+        res.status(error.message === 'Withdrawal not found' ? 404 : 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
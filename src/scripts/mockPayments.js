@@ -0,0 +1,30 @@
+require('dotenv').config();
+const createTelebirrMock = require('../services/payments/mocks/telebirr');
+const createCbeBirrMock = require('../services/payments/mocks/cbebirr');
+const createChapaMock = require('../services/payments/mocks/chapa');
+
+// Usage: node src/scripts/mockPayments.js
+//
+// Runs local stand-ins for Telebirr, CBE Birr and Chapa and prints the settings
+// that point the backend at them. Orders live in memory; open a checkout URL to
+// pay it, or add ?result=failed to decline, and the mock sends the signed callback.
+const MOCKS = [
+  ['Telebirr', createTelebirrMock, parseInt(process.env.MOCK_TELEBIRR_PORT || 4101)],
+  ['CBE Birr', createCbeBirrMock, parseInt(process.env.MOCK_CBEBIRR_PORT || 4102)],
+  ['Chapa', createChapaMock, parseInt(process.env.MOCK_CHAPA_PORT || 4103)]
+];
+
+function mockPayments() {
+  const host = process.env.MOCK_PAYMENTS_HOST || 'http://localhost';
+  const env = [];
+
+  for (const [name, createMock, port] of MOCKS) {
+    const mock = createMock({ baseUrl: `${host}:${port}` });
+    mock.app.listen(port, () => console.log(`💳 ${name} mock listening on port ${port}`));
+    Object.entries(mock.env).forEach(([key, value]) => env.push(`${key}="${value}"`));
+  }
+
+  console.log(`\nAdd to the backend's .env:\n\n${env.join('\n')}\n`);
+}
+
+mockPayments();
@@ -0,0 +1,97 @@
+require('dotenv').config();
+const { v4: uuidv4 } = require('uuid');
+const sequelize = require('../config/database');
+const { User } = require('../models');
+const { GameEngine } = require('../services/gameEngine');
+const ProvablyFair = require('../services/provablyFair');
+const Wallet = require('../services/wallet');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { toCents } = require('../utils/money');
+const { runSerializable } = require('../utils/transaction');
+const { VirtualClock } = require('../utils/clock');
+
+// Usage: node src/scripts/simulate.js [seed] [players] [games]
+//
+// Plays games in virtual time against the configured database (use a scratch one).
+// The same seed produces the same game ids, cards, purchases and draws, so a
+// disputed game can be reproduced exactly.
+async function simulate() {
+  const seed = process.argv[2] || 'geez-bingo';
+  const playerCount = parseInt(process.argv[3] || 10);
+  const gameCount = parseInt(process.argv[4] || 1);
+
+  await sequelize.authenticate();
+  await sequelize.sync();
+
+  const clock = new VirtualClock(Date.UTC(2024, 0, 1));
+  const engine = new GameEngine({ clock, seed, standalone: true });
+  const playerRng = ProvablyFair.createRng(seed, 'players');
+  const randomBytes = (size) => Buffer.from(Array.from({ length: size }, () => Math.floor(playerRng() * 256)));
+
+  // Simulated players get seeded ids so the purchase-derived client seed repeats too
+  const players = [];
+  for (let i = 0; i < playerCount; i++) {
+    const id = uuidv4({ random: randomBytes(16) });
+    const [player] = await User.findOrCreate({
+      where: { id },
+      defaults: {
+        id,
+        username: `sim_${id.slice(0, 8)}`,
+        email: `sim_${id.slice(0, 8)}@simulation.local`,
+        password: id
+      }
+    });
+    // Every run starts the players on 1000 of each currency from the bonus fund
+    await runSerializable(async (transaction) => {
+      for (const currency of CURRENCY_CODES) {
+        const topUp = toCents(1000) - await Wallet.balanceOf(Wallet.user(id, currency), transaction);
+        if (topUp !== 0) {
+          await Wallet.record('bonus', [[Wallet.bonus(currency), -topUp], [Wallet.user(id, currency), topUp]], transaction, {
+            userId: id,
+            amount: Math.abs(topUp),
+            metadata: { reason: 'simulation' }
+          });
+        }
+      }
+    });
+    players.push(player);
+  }
+
+  const results = [];
+  engine.on('winnersDeclared', (payload) => results.push({ outcome: 'won', ...payload }));
+  engine.on('gameEnded', (payload) => results.push({ outcome: 'timeout', ...payload }));
+  engine.on('gameCancelled', (payload) => results.push({ outcome: 'cancelled', ...payload }));
+
+  await engine.initialize();
+
+  for (let round = 0; round < gameCount; round++) {
+    await clock.advanceUntil(() => engine.waitingGames.size > 0);
+
+    const [game] = [...engine.waitingGames.values()]
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+
+    for (const player of players) {
+      const cardNumber = 1 + Math.floor(playerRng() * game.settings.card_count);
+      try {
+        await engine.purchaseCard(game.id, player.id, cardNumber);
+      } catch (error) {
+        // Card already taken: this player sits the round out
+      }
+    }
+
+    const finished = results.length;
+    await clock.advanceUntil(() => results.length > finished);
+  }
+
+  results.forEach((result) => {
+    console.log(JSON.stringify(result));
+  });
+
+  await sequelize.close();
+  process.exit(0);
+}
+
+simulate().catch((error) => {
+  console.error('Simulation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+const { Op } = require('sequelize');
+const { runSerializable } = require('../utils/transaction');
+const { Room, AutoBuy } = require('../models');
+
+// Players manage their auto-buy rules here; the engine fulfils them as games are created
+class AutoBuyService {
+  async list(userId) {
+    return AutoBuy.findAll({
+      where: { user_id: userId },
+      include: [{ model: Room, as: 'room', attributes: ['id', 'slug', 'name', 'bet_amount'] }],
+      order: [['is_active', 'DESC'], ['created_at', 'DESC']]
+    });
+  }
+
+  async findRoom(roomIdOrSlug) {
+    const where = /^[0-9a-f-]{36}$/i.test(String(roomIdOrSlug))
+      ? { id: roomIdOrSlug }
+      : { slug: String(roomIdOrSlug) };
+
+    const room = await Room.findOne({ where: { ...where, is_active: true } });
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    return room;
+  }
+
+  cardNumbersFrom(value) {
+    if (!Array.isArray(value)) {
+      throw new Error('Card numbers must be a list');
+    }
+    return value.map(Number);
+  }
+
+  // The room's other active rules stop; the partial unique index backs this up
+  async replaceOthers(userId, roomId, transaction, keepId = null) {
+    await AutoBuy.update(
+      { is_active: false, stopped_reason: 'replaced' },
+      {
+        where: {
+          user_id: userId,
+          room_id: roomId,
+          is_active: true,
+          ...(keepId ? { id: { [Op.ne]: keepId } } : {})
+        },
+        transaction
+      }
+    );
+  }
+
+  validate(room, fields) {
+    const cardNumbers = fields.card_numbers || [];
+    if (!Array.isArray(cardNumbers) ||
+        cardNumbers.some(n => !Number.isInteger(n) || n < 1 || n > room.card_count) ||
+        new Set(cardNumbers).size !== cardNumbers.length) {
+      throw new Error(`Card numbers must be distinct whole numbers from 1 to ${room.card_count}`);
+    }
+
+    const cardsPerGame = fields.cards_per_game;
+    if (!Number.isInteger(cardsPerGame) || cardsPerGame < 1 || cardsPerGame > room.max_cards_per_player) {
+      throw new Error(`Cards per game must be between 1 and ${room.max_cards_per_player}`);
+    }
+
+    if (fields.games_remaining !== null && (!Number.isInteger(fields.games_remaining) || fields.games_remaining < 1)) {
+      throw new Error('Number of games must be a positive whole number');
+    }
+
+    if (!(parseFloat(fields.min_balance) >= 0)) {
+      throw new Error('Minimum balance cannot be negative');
+    }
+  }
+
+  // One active rule per room: a new rule replaces the previous one
+  async create(userId, body) {
+    const room = await this.findRoom(body.room_id || body.room);
+    const cardNumbers = this.cardNumbersFrom(body.card_numbers || []);
+
+    const fields = {
+      user_id: userId,
+      room_id: room.id,
+      card_numbers: cardNumbers,
+      cards_per_game: body.cards_per_game !== undefined ? Number(body.cards_per_game) : Math.max(1, cardNumbers.length),
+      games_remaining: body.games_remaining !== undefined && body.games_remaining !== null
+        ? Number(body.games_remaining)
+        : null,
+      min_balance: body.min_balance !== undefined ? body.min_balance : 0
+    };
+    this.validate(room, fields);
+
+    return runSerializable(async (transaction) => {
+      await this.replaceOthers(userId, room.id, transaction);
+      return AutoBuy.create(fields, { transaction });
+    });
+  }
+
+  async get(userId, autoBuyId) {
+    const rule = await AutoBuy.findOne({ where: { id: autoBuyId, user_id: userId } });
+    if (!rule) {
+      throw new Error('Auto-buy not found');
+    }
+    return rule;
+  }
+
+  async update(userId, autoBuyId, body) {
+    const rule = await this.get(userId, autoBuyId);
+    const room = await Room.findByPk(rule.room_id);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    const fields = {
+      card_numbers: body.card_numbers !== undefined ? this.cardNumbersFrom(body.card_numbers) : rule.card_numbers,
+      cards_per_game: body.cards_per_game !== undefined ? Number(body.cards_per_game) : rule.cards_per_game,
+      games_remaining: body.games_remaining !== undefined
+        ? (body.games_remaining === null ? null : Number(body.games_remaining))
+        : rule.games_remaining,
+      min_balance: body.min_balance !== undefined ? body.min_balance : rule.min_balance
+    };
+    this.validate(room, fields);
+
+    // Editing a stopped rule brings it back in place of the room's current one
+    return runSerializable(async (transaction) => {
+      await this.replaceOthers(userId, rule.room_id, transaction, rule.id);
+      return rule.update({ ...fields, is_active: true, stopped_reason: null }, { transaction });
+    });
+  }
+
+  async stop(userId, autoBuyId) {
+    const rule = await this.get(userId, autoBuyId);
+    return rule.update({ is_active: false, stopped_reason: 'cancelled' });
+  }
+}
+
+module.exports = new AutoBuyService();
@@ -0,0 +1,103 @@
+const RedisClient = require('../config/redis');
+const ProvablyFair = require('./provablyFair');
+const { getVariant } = require('./variants');
+const { CardLayout } = require('../models');
+
+const CACHE_TTL = 24 * 60 * 60; // 1 day
+
+// Card layouts shared by every game of a season, so a card number keeps its
+// layout from game to game. Each season is written to the database once and
+// served from memory, then Redis, then the table.
+class CardCatalogue {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  defaultSeason() {
+    return process.env.CARD_SEASON || 'default';
+  }
+
+  // Seasons that may be served: the default and any listed in CARD_SEASONS
+  seasons() {
+    const listed = (process.env.CARD_SEASONS || '').split(',').map(season => season.trim()).filter(Boolean);
+    return [...new Set([this.defaultSeason(), ...listed])];
+  }
+
+  isConfigured(season) {
+    return this.seasons().includes(season);
+  }
+
+  cacheKey(variantKey, season) {
+    return `catalogue:${variantKey}:${season}`;
+  }
+
+  // Layouts of a season, index 0 holding card #1, creating the season on first use.
+  // Only games call this; read paths use findCatalogue.
+  async getCatalogue(variantKey, season = this.defaultSeason()) {
+    const layouts = await this.findCatalogue(variantKey, season);
+    if (layouts) return layouts;
+
+    const variant = getVariant(variantKey);
+    return this.remember(variant.key, season, await this.createSeason(variant, season));
+  }
+
+  // Layouts of a season that has been created, or null
+  async findCatalogue(variantKey, season = this.defaultSeason()) {
+    const variant = getVariant(variantKey);
+    const key = this.cacheKey(variant.key, season);
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const cached = await RedisClient.get(key);
+    if (cached) {
+      const layouts = JSON.parse(cached);
+      this.cache.set(key, layouts);
+      return layouts;
+    }
+
+    const rows = await CardLayout.findAll({
+      where: { variant: variant.key, season },
+      attributes: ['card_number', 'numbers'],
+      order: [['card_number', 'ASC']]
+    });
+    if (rows.length < variant.maxCards) return null;
+
+    return this.remember(variant.key, season, rows);
+  }
+
+  async remember(variantKey, season, rows) {
+    const key = this.cacheKey(variantKey, season);
+    const layouts = rows.map(row => ({ card_number: row.card_number, numbers: row.numbers }));
+    this.cache.set(key, layouts);
+    await RedisClient.set(key, JSON.stringify(layouts), CACHE_TTL);
+
+    return layouts;
+  }
+
+  async getLayout(variantKey, season, cardNumber) {
+    const layouts = await this.getCatalogue(variantKey, season);
+    return layouts[cardNumber - 1] || null;
+  }
+
+  // Several nodes may get here at once; duplicates are skipped and the result is the same
+  async createSeason(variant, season) {
+    const layouts = [];
+    for (let cardNumber = 1; cardNumber <= variant.maxCards; cardNumber++) {
+      layouts.push({
+        variant: variant.key,
+        season,
+        card_number: cardNumber,
+        numbers: ProvablyFair.catalogueCardNumbers(season, cardNumber, variant)
+      });
+    }
+
+    await CardLayout.bulkCreate(layouts, { ignoreDuplicates: true });
+    console.log(`🃏 Created ${variant.name} card catalogue for season ${season}`);
+
+    return layouts;
+  }
+}
+
+module.exports = new CardCatalogue();
@@ -0,0 +1,125 @@
+const RedisClient = require('../config/redis');
+
+const HOLD_PREFIX = 'hold:';
+const HELD_SET_PREFIX = 'holds:';
+const HELD_SET_TTL = 2 * 60 * 60; // outlives any waiting game
+
+// Re-hold, count the player's live holds and take the card in one step, so two
+// requests from the same player cannot both pass the limit. Dead entries are
+// pruned from the set on the way. Every key the script touches is passed in KEYS,
+// so the caller reads the set first and hands over the hold key of each member; if
+// the set changed in between the script returns -3 and the caller reads it again.
+// Returns 1 when held, -1 when someone else holds the card, -2 when the player is
+// at the limit.
+// KEYS: hold key, held set, hold key of each member; ARGV: user, ttl ms, max holds,
+// card, set ttl, then the members in KEYS order
+const HOLD_SCRIPT = `
+local holder = redis.call('get', KEYS[1])
+if holder == ARGV[1] then
+  redis.call('pexpire', KEYS[1], ARGV[2])
+  return 1
+end
+if holder then return -1 end
+
+if redis.call('scard', KEYS[2]) ~= #KEYS - 2 then return -3 end
+for i = 3, #KEYS do
+  if redis.call('sismember', KEYS[2], ARGV[i + 3]) == 0 then return -3 end
+end
+
+local mine = 0
+for i = 3, #KEYS do
+  local owner = redis.call('get', KEYS[i])
+  if owner == ARGV[1] then
+    mine = mine + 1
+  elseif not owner then
+    redis.call('srem', KEYS[2], ARGV[i + 3])
+  end
+end
+if mine >= tonumber(ARGV[3]) then return -2 end
+
+redis.call('set', KEYS[1], ARGV[1], 'PX', ARGV[2])
+redis.call('sadd', KEYS[2], ARGV[4])
+redis.call('expire', KEYS[2], ARGV[5])
+return 1
+`;
+
+const HOLD_ATTEMPTS = 5;
+
+// Short reservations on cards of a waiting game, so the card a player picked is
+// still there when they pay. Each hold is its own expiring key owned by the
+// player; a set per game lists the cards that may be held. The game id is the
+// keys' hash tag, so all of a game's keys share one Redis Cluster slot.
+class CardHolds {
+  holdSeconds() {
+    return parseInt(process.env.CARD_HOLD_SECONDS || 30);
+  }
+
+  maxHolds() {
+    return parseInt(process.env.MAX_CARD_HOLDS || 3);
+  }
+
+  key(gameId, cardNumber) {
+    return `${HOLD_PREFIX}{${gameId}}:${cardNumber}`;
+  }
+
+  setKey(gameId) {
+    return `${HELD_SET_PREFIX}{${gameId}}`;
+  }
+
+  // Live holds of a game as [{ cardNumber, userId }]; expired ones are dropped from the set
+  async list(gameId) {
+    const setKey = this.setKey(gameId);
+    const cardNumbers = (await RedisClient.smembers(setKey)).map(Number);
+    const holders = await RedisClient.mget(cardNumbers.map(n => this.key(gameId, n)));
+
+    const holds = [];
+    for (const [index, cardNumber] of cardNumbers.entries()) {
+      if (holders[index]) {
+        holds.push({ cardNumber, userId: holders[index] });
+      } else {
+        await RedisClient.srem(setKey, cardNumber);
+      }
+    }
+
+    return holds.sort((a, b) => a.cardNumber - b.cardNumber);
+  }
+
+  async holderOf(gameId, cardNumber) {
+    return RedisClient.get(this.key(gameId, cardNumber));
+  }
+
+  // Hold or re-hold a card (holding the same card again just extends it); returns
+  // when the hold runs out
+  async hold(gameId, userId, cardNumber, now = Date.now()) {
+    const ttlMs = this.holdSeconds() * 1000;
+
+    let result = -3;
+    for (let attempt = 0; attempt < HOLD_ATTEMPTS && result === -3; attempt++) {
+      const held = await RedisClient.smembers(this.setKey(gameId));
+      result = await RedisClient.eval(
+        HOLD_SCRIPT,
+        [this.key(gameId, cardNumber), this.setKey(gameId), ...held.map(n => this.key(gameId, n))],
+        [userId, ttlMs, this.maxHolds(), cardNumber, HELD_SET_TTL, ...held]
+      );
+    }
+
+    if (result === -1) {
+      throw new Error('Card is held by another player');
+    }
+    if (result === -2) {
+      throw new Error(`At most ${this.maxHolds()} cards can be held at once`);
+    }
+    if (result !== 1) {
+      throw new Error('Card could not be held, try again');
+    }
+
+    return new Date(now + ttlMs);
+  }
+
+  async release(gameId, userId, cardNumber) {
+    await RedisClient.releaseLock(this.key(gameId, cardNumber), userId);
+    await RedisClient.srem(this.setKey(gameId), cardNumber);
+  }
+}
+
+module.exports = new CardHolds();
@@ -0,0 +1,229 @@
+const WinPatterns = require('./winPatterns');
+
+// In-memory view of the owned cards of one running game. Each called number is
+// looked up once and only the cards holding it are touched: every pattern mask
+// keeps a count of cells still unmarked, and a card wins when a count reaches 0.
+// Cards one number short of a pattern are tracked the same way for near-win events.
+// Marks are collected here and written back in batches by the engine.
+class CardIndex {
+  constructor(variant) {
+    this.variant = variant;
+    this.cards = new Map();
+    this.cellsByNumber = new Map();
+    this.called = new Set();
+    this.patterns = [];
+    this.watchers = new Map();
+    this.complete = new Map();
+    this.fresh = [];
+    this.oneAway = new Set();
+    this.freshOneAway = [];
+    this.dirty = new Set();
+  }
+
+  add(card, autoClaim = true) {
+    const entry = {
+      id: card.id,
+      cardNumber: card.card_number,
+      userId: card.user_id,
+      numbers: card.numbers,
+      marked: [],
+      lockedOut: Boolean(card.locked_out),
+      autoClaim,
+      remaining: []
+    };
+
+    entry.numbers.forEach(row => row.forEach(cell => {
+      if (!cell || cell.free) return;
+      if (!this.cellsByNumber.has(cell.number)) {
+        this.cellsByNumber.set(cell.number, []);
+      }
+      this.cellsByNumber.get(cell.number).push({ entry, label: `${cell.letter || ''}${cell.number}` });
+    }));
+
+    this.cards.set(entry.cardNumber, entry);
+    return entry;
+  }
+
+  isMarked(entry, [row, col]) {
+    const cell = entry.numbers[row][col];
+    return !cell || cell.free || this.called.has(cell.number);
+  }
+
+  // Switch to the patterns of a new prize stage; cards that already complete one are winners straight away
+  setPatterns(patterns) {
+    this.patterns = WinPatterns.resolve(patterns, this.variant);
+    this.watchers = new Map();
+    this.complete = new Map();
+    this.fresh = [];
+    this.oneAway = new Set();
+    this.freshOneAway = [];
+
+    for (const entry of this.cards.values()) {
+      entry.remaining = this.patterns.map((pattern, patternIndex) =>
+        pattern.masks.map((cells, maskIndex) => {
+          const open = cells.filter(cell => !this.isMarked(entry, cell));
+          open.forEach(([row, col]) => {
+            const number = entry.numbers[row][col].number;
+            if (!this.watchers.has(number)) {
+              this.watchers.set(number, []);
+            }
+            this.watchers.get(number).push({ entry, patternIndex, maskIndex });
+          });
+          return open.length;
+        })
+      );
+
+      this.updateCompletion(entry);
+      this.updateOneAway(entry);
+    }
+  }
+
+  // First configured pattern the card completes, matching WinPatterns.findMatch
+  patternOf(entry) {
+    const index = entry.remaining.findIndex(masks => masks.some(count => count === 0));
+    return index === -1 ? null : this.patterns[index].name;
+  }
+
+  updateCompletion(entry) {
+    const pattern = this.patternOf(entry);
+    if (!pattern) return;
+
+    if (!this.complete.has(entry.cardNumber)) {
+      this.fresh.push(entry);
+    }
+    this.complete.set(entry.cardNumber, pattern);
+  }
+
+  // Fewest numbers the card still needs for any pattern of the stage
+  needed(entry) {
+    return Math.min(...entry.remaining.map(masks => Math.min(...masks)));
+  }
+
+  updateOneAway(entry) {
+    const oneAway = !entry.lockedOut && !this.complete.has(entry.cardNumber) && this.needed(entry) === 1;
+
+    if (oneAway && !this.oneAway.has(entry)) {
+      this.oneAway.add(entry);
+      this.freshOneAway.push(entry);
+    } else if (!oneAway) {
+      this.oneAway.delete(entry);
+    }
+  }
+
+  // Per pattern, how many numbers the card still needs
+  progress(cardNumber) {
+    const entry = this.cards.get(cardNumber);
+    if (!entry) return [];
+
+    return this.patterns.map((pattern, patternIndex) => ({
+      pattern: pattern.name,
+      needed: Math.min(...entry.remaining[patternIndex])
+    }));
+  }
+
+  // Balls that would complete a pattern for a card one away
+  winningNumbers(entry) {
+    const balls = new Map();
+
+    this.patterns.forEach((pattern, patternIndex) => {
+      pattern.masks.forEach((cells, maskIndex) => {
+        if (entry.remaining[patternIndex][maskIndex] !== 1) return;
+        const open = cells.find(cell => !this.isMarked(entry, cell));
+        if (!open) return;
+        const { letter, number } = entry.numbers[open[0]][open[1]];
+        balls.set(number, { letter, number });
+      });
+    });
+
+    return [...balls.values()].sort((a, b) => a.number - b.number);
+  }
+
+  // Cards that became one away since the last call
+  takeFreshOneAway() {
+    const fresh = this.freshOneAway.filter(entry => this.oneAway.has(entry));
+    this.freshOneAway = [];
+
+    return fresh.map(entry => ({
+      userId: entry.userId,
+      cardNumber: entry.cardNumber,
+      needs: this.winningNumbers(entry),
+      progress: this.progress(entry.cardNumber)
+    }));
+  }
+
+  oneAwayCount() {
+    return this.oneAway.size;
+  }
+
+  mark(number) {
+    if (this.called.has(number)) return;
+    this.called.add(number);
+
+    for (const { entry, label } of this.cellsByNumber.get(number) || []) {
+      entry.marked.push(label);
+      this.dirty.add(entry);
+    }
+
+    for (const { entry, patternIndex, maskIndex } of this.watchers.get(number) || []) {
+      const remaining = --entry.remaining[patternIndex][maskIndex];
+      if (remaining === 0) {
+        this.updateCompletion(entry);
+      }
+      if (remaining <= 1) {
+        this.updateOneAway(entry);
+      }
+    }
+  }
+
+  toWinner(entry) {
+    return {
+      userId: entry.userId,
+      cardNumber: entry.cardNumber,
+      pattern: this.complete.get(entry.cardNumber)
+    };
+  }
+
+  // Every open card completing the current stage, lowest card number first
+  winners() {
+    return [...this.complete.keys()]
+      .sort((a, b) => a - b)
+      .map(cardNumber => this.cards.get(cardNumber))
+      .filter(entry => !entry.lockedOut)
+      .map(entry => this.toWinner(entry));
+  }
+
+  // Cards that completed the stage since the last call, with their owner's auto-claim choice
+  takeFresh() {
+    const fresh = this.fresh.filter(entry => !entry.lockedOut);
+    this.fresh = [];
+    return fresh.map(entry => ({ ...this.toWinner(entry), autoClaim: entry.autoClaim }));
+  }
+
+  patternFor(cardNumber) {
+    return this.complete.get(cardNumber) || null;
+  }
+
+  cardsOf(userId) {
+    return [...this.cards.values()]
+      .filter(entry => entry.userId === userId)
+      .sort((a, b) => a.cardNumber - b.cardNumber);
+  }
+
+  lockOut(cardNumbers) {
+    cardNumbers.forEach(cardNumber => {
+      const entry = this.cards.get(cardNumber);
+      if (!entry) return;
+      entry.lockedOut = true;
+      this.oneAway.delete(entry);
+    });
+  }
+
+  // Cards whose marks changed since the last batch, cleared on return
+  takeDirty() {
+    const dirty = [...this.dirty];
+    this.dirty.clear();
+    return dirty;
+  }
+}
+
+module.exports = CardIndex;
@@ -0,0 +1,70 @@
+const { JsonRpcProvider, id, zeroPadValue, dataSlice, getAddress } = require('ethers');
+const { parseAddress } = require('../utils/address');
+
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+// Recipients per log query; nodes cap the size of topic filters
+const ADDRESS_CHUNK = 200;
+
+// Reads token transfers to our deposit addresses from one network. The provider
+// only needs ethers' getBlockNumber, getLogs and getTransactionReceipt, so a local
+// dev chain or a MemoryChain can stand in for the real one.
+class ChainWatcher {
+  constructor(config, provider = null) {
+    this.config = config;
+    this.provider = provider || new JsonRpcProvider(config.rpcUrl);
+    this.tokenAddress = parseAddress(config.addressFormat, config.tokenAddress);
+  }
+
+  async head() {
+    return this.provider.getBlockNumber();
+  }
+
+  // Transfers of the token to any of `hexAddresses` within the block range
+  async transfers(fromBlock, toBlock, hexAddresses) {
+    const transfers = [];
+
+    for (let i = 0; i < hexAddresses.length; i += ADDRESS_CHUNK) {
+      const recipients = hexAddresses.slice(i, i + ADDRESS_CHUNK).map(address => zeroPadValue(address, 32));
+      const logs = await this.provider.getLogs({
+        address: this.tokenAddress,
+        topics: [TRANSFER_TOPIC, null, recipients],
+        fromBlock,
+        toBlock
+      });
+
+      for (const log of logs) {
+        transfers.push({
+          txHash: log.transactionHash,
+          logIndex: log.index,
+          blockNumber: log.blockNumber,
+          from: getAddress(dataSlice(log.topics[1], 12)),
+          to: getAddress(dataSlice(log.topics[2], 12)),
+          amount: BigInt(log.data)
+        });
+      }
+    }
+
+    return transfers;
+  }
+
+  // Where a transaction stands: null while the node has no receipt for it (not yet
+  // seen, lagging, or reorganised out for now), otherwise its depth and whether it succeeded
+  async confirmations(txHash, head) {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) return null;
+    return {
+      blockNumber: receipt.blockNumber,
+      confirmations: head - receipt.blockNumber + 1,
+      succeeded: receipt.status === 1
+    };
+  }
+
+  // Token base units to whole cents, rounded down
+  toCents(amount) {
+    return Number(amount * 100n / 10n ** BigInt(this.config.decimals));
+  }
+}
+
+ChainWatcher.TRANSFER_TOPIC = TRANSFER_TOPIC;
+
+module.exports = ChainWatcher;
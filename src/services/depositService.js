@@ -0,0 +1,295 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { HDNodeWallet, getAddress } = require('ethers');
+const GameEngine = require('./gameEngine');
+const ChainWatcher = require('./chainWatcher');
+const TelegramService = require('./telegramService');
+const Wallet = require('./wallet');
+const RedisClient = require('../config/redis');
+const chains = require('../config/chains');
+const { formatAddress } = require('../utils/address');
+const { toCents, fromCents, formatMoney } = require('../utils/money');
+const { runSerializable } = require('../utils/transaction');
+const { DepositAddress, Transaction, User } = require('../models');
+
+// Every 15 seconds: read new blocks, then credit deposits that are deep enough
+const TICK_SCHEDULE = '*/15 * * * * *';
+// Last block read per network
+const CURSOR_PREFIX = 'deposits:cursor:';
+
+// USDT deposits. Each player gets their own address per network, derived from the
+// network's extended public key, so the server never holds a private key. The
+// engine leader reads transfers to those addresses, records each as a pending
+// deposit, and credits it once it has enough confirmations. Each transfer log is
+// credited at most once, enforced by a unique index on the transaction. Recent
+// blocks are read again on every pass, so a transfer moved by a reorg is still found.
+class DepositService {
+  constructor() {
+    this.task = null;
+    this.ticking = false;
+    this.watchers = new Map();
+  }
+
+  start() {
+    const networks = chains.enabledNetworks();
+    if (this.task || networks.length === 0) return;
+
+    this.task = cron.schedule(TICK_SCHEDULE, () => this.tick());
+    console.log(`💵 Deposit watcher started (${networks.join(', ')})`);
+  }
+
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+  }
+
+  // Read a network through the given provider instead of its RPC URL, e.g. a MemoryChain
+  useProvider(network, provider) {
+    const config = chains.getNetwork(network);
+    this.watchers.set(config.network, new ChainWatcher(config, provider));
+  }
+
+  watcher(network) {
+    if (!this.watchers.has(network)) {
+      this.watchers.set(network, new ChainWatcher(chains.getNetwork(network)));
+    }
+    return this.watchers.get(network);
+  }
+
+  async tick() {
+    if (!GameEngine.isLeader || this.ticking) return;
+
+    this.ticking = true;
+    try {
+      for (const network of chains.enabledNetworks()) {
+        try {
+          await this.poll(network);
+        } catch (error) {
+          console.error(`Error polling ${network} deposits:`, error);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async poll(network) {
+    const head = await this.watcher(network).head();
+    await this.scan(network, head);
+    await this.confirmPending(network, head);
+  }
+
+  // The player's deposit address on a network, created on first request
+  async getAddress(userId, network) {
+    const config = chains.getNetwork(network);
+    const where = { user_id: userId, network: config.network };
+
+    const existing = await DepositAddress.findOne({ where });
+    if (existing) return existing;
+
+    return runSerializable(async (transaction) => {
+      const created = await DepositAddress.findOne({ where, transaction });
+      if (created) return created;
+
+      const last = await DepositAddress.max('derivation_index', { where: { network: config.network }, transaction });
+      const index = Number.isInteger(last) ? last + 1 : 0;
+      const hexAddress = HDNodeWallet.fromExtendedKey(config.xpub).deriveChild(index).address;
+
+      return DepositAddress.create({
+        user_id: userId,
+        network: config.network,
+        derivation_index: index,
+        address: formatAddress(config.addressFormat, hexAddress),
+        hex_address: hexAddress
+      }, { transaction });
+    });
+  }
+
+  async listDeposits(userId, { limit = 50 } = {}) {
+    return Transaction.findAll({
+      where: { user_id: userId, type: 'deposit' },
+      order: [['created_at', 'DESC']],
+      limit
+    });
+  }
+
+  // Record transfers to player addresses in blocks not read yet
+  async scan(network, head) {
+    const config = chains.getNetwork(network);
+    const watcher = this.watcher(network);
+    const cursorKey = `${CURSOR_PREFIX}${network}`;
+
+    // Without a cursor, start from the configured block or from now. Blocks not yet
+    // final are read again, as a reorg can change what they hold.
+    const cursor = await RedisClient.get(cursorKey);
+    let from = cursor !== null
+      ? Math.max(0, parseInt(cursor) + 1 - config.confirmations)
+      : (config.startBlock !== null ? config.startBlock : head);
+
+    const addresses = await DepositAddress.findAll({
+      where: { network },
+      attributes: ['user_id', 'address', 'hex_address']
+    });
+    const owners = new Map(addresses.map(address => [address.hex_address, address]));
+
+    while (from <= head) {
+      const to = Math.min(head, from + chains.scanBatch - 1);
+
+      if (owners.size > 0) {
+        const transfers = await watcher.transfers(from, to, [...owners.keys()]);
+
+        for (const transfer of transfers) {
+          const owner = owners.get(getAddress(transfer.to));
+          if (!owner) continue;
+
+          await this.recordDeposit(config, { ...transfer, owner }, watcher.toCents(transfer.amount));
+        }
+      }
+
+      if (cursor === null || to > parseInt(cursor)) {
+        await RedisClient.set(cursorKey, String(to));
+      }
+      from = to + 1;
+    }
+  }
+
+  async recordDeposit(config, deposit, cents) {
+    if (cents < toCents(chains.minDeposit)) {
+      console.log(`💵 Ignoring ${config.network} deposit below the minimum: ${deposit.txHash}`);
+      return null;
+    }
+
+    const fields = {
+      type: 'deposit',
+      network: config.network,
+      tx_hash: deposit.txHash,
+      log_index: deposit.logIndex
+    };
+
+    const existing = await Transaction.findOne({ where: { ...fields, status: { [Op.ne]: 'failed' } } });
+    if (existing) return null;
+
+    try {
+      const record = await Transaction.create({
+        ...fields,
+        user_id: deposit.owner.user_id,
+        amount: fromCents(cents),
+        status: 'pending',
+        wallet_address: deposit.owner.address,
+        currency: 'USDT',
+        metadata: {
+          from: deposit.from,
+          block_number: deposit.blockNumber,
+          confirmations: 0,
+          required_confirmations: config.confirmations
+        }
+      });
+
+      GameEngine.emit('depositDetected', {
+        userId: record.user_id,
+        transactionId: record.id,
+        network: config.network,
+        txHash: record.tx_hash,
+        amount: parseFloat(record.amount),
+        requiredConfirmations: config.confirmations
+      });
+
+      return record;
+    } catch (error) {
+      // Another pass recorded it first
+      if (error.name === 'SequelizeUniqueConstraintError') return null;
+      throw error;
+    }
+  }
+
+  // Credit pending deposits that are deep enough and fail those that reverted. One
+  // without a receipt stays pending: the node may be behind, or a reorg may bring it back.
+  async confirmPending(network, head) {
+    const config = chains.getNetwork(network);
+    const watcher = this.watcher(network);
+
+    const pending = await Transaction.findAll({
+      where: { type: 'deposit', network, status: 'pending' },
+      order: [['created_at', 'ASC']]
+    });
+
+    for (const deposit of pending) {
+      const state = await watcher.confirmations(deposit.tx_hash, head);
+
+      if (!state) {
+        if (!deposit.metadata.missing_since) {
+          await deposit.update({ metadata: { ...deposit.metadata, confirmations: 0, missing_since: new Date().toISOString() } });
+          console.log(`💵 ${network} deposit ${deposit.tx_hash} has no receipt; waiting for it`);
+        }
+        continue;
+      }
+
+      if (!state.succeeded) {
+        if (state.confirmations >= config.confirmations) {
+          await deposit.update({ status: 'failed', metadata: { ...deposit.metadata, reason: 'reverted' } });
+          console.log(`💵 ${network} deposit ${deposit.tx_hash} reverted`);
+        }
+        continue;
+      }
+
+      if (deposit.metadata.missing_since) {
+        const metadata = { ...deposit.metadata };
+        delete metadata.missing_since;
+        await deposit.update({ metadata });
+      }
+
+      if (state.confirmations < config.confirmations) {
+        if (state.confirmations !== deposit.metadata.confirmations) {
+          await deposit.update({ metadata: { ...deposit.metadata, confirmations: state.confirmations } });
+        }
+        continue;
+      }
+
+      await this.credit(deposit.id, state);
+    }
+  }
+
+  async credit(transactionId, state) {
+    const credited = await runSerializable(async (transaction) => {
+      const deposit = await Transaction.findByPk(transactionId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!deposit || deposit.status !== 'pending') return null;
+
+      const cents = toCents(deposit.amount);
+      await Wallet.complete(deposit, [
+        [Wallet.custody(deposit.currency), -cents],
+        [Wallet.user(deposit.user_id, deposit.currency), cents]
+      ], transaction, {
+        metadata: { ...deposit.metadata, confirmations: state.confirmations, block_number: state.blockNumber }
+      });
+      await User.increment('total_deposited', { by: deposit.amount, where: { id: deposit.user_id }, transaction });
+
+      return deposit;
+    });
+
+    if (!credited) return;
+
+    const user = await User.findByPk(credited.user_id, { attributes: ['id', 'telegram_id', 'balance', 'balances'] });
+
+    GameEngine.emit('depositCredited', {
+      userId: credited.user_id,
+      transactionId: credited.id,
+      network: credited.network,
+      txHash: credited.tx_hash,
+      amount: parseFloat(credited.amount),
+      currency: credited.currency,
+      balance: user ? Wallet.balanceIn(user, credited.currency) : null
+    });
+    console.log(`💵 Credited ${credited.network} deposit of ${formatMoney(credited.amount, credited.currency)} to ${credited.user_id}`);
+
+    if (user && user.telegram_id) {
+      await TelegramService.sendMessage(user.telegram_id, `
+💵 <b>Deposit received</b>
+
+<b>${formatMoney(credited.amount, credited.currency)}</b> (${credited.network}) has been added to your balance.
+Your new ${credited.currency} balance: ${formatMoney(Wallet.balanceIn(user, credited.currency), credited.currency)}
+      `);
+    }
+  }
+}
+
+module.exports = new DepositService();
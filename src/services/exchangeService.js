@@ -0,0 +1,120 @@
+const Wallet = require('./wallet');
+const { BASE_CURRENCY, getCurrency } = require('../config/currencies');
+const { toCents, fromCents } = require('../utils/money');
+const { runSerializable } = require('../utils/transaction');
+const { ExchangeRate, User } = require('../models');
+
+// Exchange rates and conversions between a player's currencies. Admins set one rate
+// per pair; it applies in both directions. A conversion is a single posting: the
+// player's balance in one currency goes to the exchange account, and the exchange
+// account pays out the other currency at the rate, rounded down to the cent.
+class ExchangeService {
+  async listRates() {
+    return ExchangeRate.findAll({ order: [['base', 'ASC'], ['quote', 'ASC']] });
+  }
+
+  // One unit of `base` buys `rate` units of `quote`; replaces the pair's rate either way round
+  async setRate(base, quote, rate, adminId = null) {
+    base = getCurrency(base).code;
+    quote = getCurrency(quote).code;
+    if (base === quote) {
+      throw new Error('A rate needs two different currencies');
+    }
+    if (!(parseFloat(rate) > 0)) {
+      throw new Error('Rate must be positive');
+    }
+
+    return runSerializable(async (transaction) => {
+      await ExchangeRate.destroy({ where: { base: quote, quote: base }, transaction });
+
+      const [exchangeRate] = await ExchangeRate.upsert(
+        { base, quote, rate: parseFloat(rate), updated_by: adminId },
+        { transaction, conflictFields: ['base', 'quote'], returning: true }
+      );
+      return exchangeRate;
+    });
+  }
+
+  async removeRate(base, quote) {
+    const removed = await ExchangeRate.destroy({
+      where: { base: String(base).toUpperCase(), quote: String(quote).toUpperCase() }
+    });
+    if (removed === 0) {
+      throw new Error('Exchange rate not found');
+    }
+  }
+
+  // Units of `to` per unit of `from`, or null when no rate is set
+  async rateFor(from, to, transaction = null) {
+    if (from === to) return 1;
+
+    const direct = await ExchangeRate.findOne({ where: { base: from, quote: to }, transaction });
+    if (direct) return parseFloat(direct.rate);
+
+    const inverse = await ExchangeRate.findOne({ where: { base: to, quote: from }, transaction });
+    return inverse ? 1 / parseFloat(inverse.rate) : null;
+  }
+
+  async quote(from, to, amount, transaction = null) {
+    from = getCurrency(from).code;
+    to = getCurrency(to).code;
+    if (from === to) {
+      throw new Error('Choose two different currencies');
+    }
+
+    const cents = toCents(amount);
+    if (!(cents > 0) || fromCents(cents) !== parseFloat(amount)) {
+      throw new Error('Amount must be positive, in whole cents');
+    }
+
+    const rate = await this.rateFor(from, to, transaction);
+    if (rate === null) {
+      throw new Error(`No exchange rate from ${from} to ${to}`);
+    }
+
+    const converted = Math.floor(cents * rate + 1e-6);
+    if (converted <= 0) {
+      throw new Error('Amount is too small to convert');
+    }
+
+    return { from, to, rate, amount: fromCents(cents), converted: fromCents(converted) };
+  }
+
+  async convert(userId, { from, to, amount } = {}) {
+    return runSerializable(async (transaction) => {
+      const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (user.is_banned) {
+        throw new Error('Account is suspended');
+      }
+
+      // Quoted inside the transaction, so a rate change cannot slip in between
+      const quote = await this.quote(from, to, amount, transaction);
+      const cents = toCents(quote.amount);
+      const converted = toCents(quote.converted);
+
+      return Wallet.record('conversion', [
+        [Wallet.user(userId, quote.from), -cents],
+        [Wallet.exchange(quote.from), cents],
+        [Wallet.exchange(quote.to), -converted],
+        [Wallet.user(userId, quote.to), converted]
+      ], transaction, {
+        userId,
+        amount: cents,
+        currency: quote.from,
+        metadata: { from: quote.from, to: quote.to, rate: quote.rate, converted: quote.converted }
+      });
+    });
+  }
+
+  // Values amounts in `currency` in the base currency at the current rate, for the
+  // lifetime totals on a player. Without a rate they count as nothing.
+  async baseValue(currency, transaction = null) {
+    const rate = await this.rateFor(currency || BASE_CURRENCY, BASE_CURRENCY, transaction);
+    return (amount) => rate === null ? 0 : fromCents(Math.floor(toCents(amount) * rate + 1e-6));
+  }
+}
+
+module.exports = new ExchangeService();
@@ -1,22 +1,83 @@
 const EventEmitter = require('events');
+const os = require('os');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
 const RedisClient = require('../config/redis');
-const { Game, Card, User } = require('../models');
+const ProvablyFair = require('./provablyFair');
+const WinPatterns = require('./winPatterns');
+const CardIndex = require('./cardIndex');
+const CardCatalogue = require('./cardCatalogue');
+const CardHolds = require('./cardHolds');
+const GameHistory = require('./gameHistory');
+const Wallet = require('./wallet');
+const ExchangeService = require('./exchangeService');
+const { DEFAULT_VARIANT, getVariant, getStages } = require('./variants');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { toCents, fromCents, prizeCents, splitCents, formatMoney } = require('../utils/money');
+const { runSerializable } = require('../utils/transaction');
+const { systemClock } = require('../utils/clock');
+const { Game, Card, User, Room, AutoBuy } = require('../models');
+
+// Redis coordination: one scheduler leader, one lease holder per game
+const LEADER_KEY = 'engine:leader';
+const GAME_LEASE_PREFIX = 'engine:lease:game:';
+const EVENTS_CHANNEL = 'engine:events';
+const CLAIMS_CHANNEL = 'engine:claims';
+const CONTROL_CHANNEL = 'engine:control';
+const LEASE_TTL = 15000;
+const LEASE_RENEW_INTERVAL = 5000;
+const LOCAL_EVENTS = ['newListener', 'removeListener', 'error'];
+// Card marks are written back every this many calls, and when the game ends
+const MARK_FLUSH_CALLS = 5;
 
 class GameEngine extends EventEmitter {
-  constructor() {
+  // options.clock: timer source (utils/clock), defaults to real time
+  // options.rng / options.seed: deterministic randomness for simulations and replays
+  // options.standalone: single process without Redis coordination
+  constructor(options = {}) {
     super();
+    this.clock = options.clock || systemClock;
+    this.rng = options.rng || (options.seed !== undefined
+      ? ProvablyFair.createRng(String(options.seed), 'engine')
+      : null);
+    this.standalone = Boolean(options.standalone);
     this.activeGames = new Map();
     this.waitingGames = new Map();
     this.gameTimers = new Map();
-    this.cardGenerators = new Map();
+    this.serverSeeds = new Map();
+    this.drawSequences = new Map();
+    this.pendingClaims = new Map();
+    this.cardIndexes = new Map();
+    this.callLoops = new Map();
+    this.rooms = new Map();
+    this.roomSchedulers = new Map();
+    this.roomsFilling = new Set();
+    this.nodeId = process.env.NODE_ID || `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.isLeader = false;
+    this.leases = new Set();
+    this.relayReady = false;
   }
   
   async initialize() {
-    console.log('🎮 Game Engine Initialized');
+    console.log(`🎮 Game Engine Initialized (node ${this.nodeId})`);
+    
+    // Load room configuration
+    await this.loadRooms();
     
-    // Load active games from database on restart
-    await this.loadActiveGames();
+    if (this.standalone) {
+      this.isLeader = true;
+      await this.loadActiveGames();
+    } else {
+      // Relay events and claims between nodes
+      await this.subscribeToRelay();
+      
+      // Take over games that no node is driving, including our own after a restart
+      await this.loadActiveGames();
+      
+      // Leader election, lease renewal and failover
+      this.startCoordination();
+    }
     
     // Start game scheduler
     this.startScheduler();
@@ -25,73 +86,339 @@ class GameEngine extends EventEmitter {
     this.startCleanupJob();
   }
   
+  random() {
+    return this.rng ? this.rng() : Math.random();
+  }
+  
+  randomBytes(size) {
+    if (!this.rng) return crypto.randomBytes(size);
+    return Buffer.from(Array.from({ length: size }, () => Math.floor(this.rng() * 256)));
+  }
+  
+  // Game ids feed the card layouts, so seeded engines generate them too
+  generateId() {
+    return uuidv4({ random: this.randomBytes(16) });
+  }
+  
+  // Local listeners (sockets, Telegram) see events from every node.
+  // Game events are logged once, by the node that emitted them.
+  emit(event, payload) {
+    if (!LOCAL_EVENTS.includes(event)) {
+      GameHistory.record(event, payload, { nodeId: this.nodeId, at: this.clock.now() });
+    }
+    if (this.relayReady && !LOCAL_EVENTS.includes(event)) {
+      RedisClient.publish(EVENTS_CHANNEL, { nodeId: this.nodeId, event, payload });
+    }
+    return super.emit(event, payload);
+  }
+  
+  async subscribeToRelay() {
+    await RedisClient.subscribe(EVENTS_CHANNEL, (message) => {
+      if (message.nodeId === this.nodeId) return;
+      this.applyRemoteEvent(message.event, message.payload);
+      super.emit(message.event, message.payload);
+    });
+    
+    // Claims may arrive on any node; only the lease holder acts on them
+    await RedisClient.subscribe(CLAIMS_CHANNEL, async (message) => {
+      if (!this.activeGames.has(message.gameId)) return;
+      try {
+        await this.claimBingo(message.gameId, message.userId, message.cardNumber);
+      } catch (error) {
+        console.error('Error processing relayed claim:', error);
+      }
+    });
+    
+    // Admin pause, resume and abort requests, likewise for the lease holder
+    await RedisClient.subscribe(CONTROL_CHANNEL, async (message) => {
+      if (!this.activeGames.has(message.gameId) && !this.waitingGames.has(message.gameId)) return;
+      try {
+        await this.controlGame(message.gameId, message.action, message.reason);
+      } catch (error) {
+        console.error('Error processing relayed game control:', error);
+      }
+    });
+    
+    this.relayReady = true;
+  }
+  
+  // Keep our copy of games we drive in step with writes made on other nodes
+  applyRemoteEvent(event, payload) {
+    if (event === 'cardPurchased') {
+      const game = this.waitingGames.get(payload.gameId);
+      if (game) game.pot = Math.max(parseFloat(game.pot), payload.pot);
+    } else if (event === 'roomsUpdated') {
+      this.refreshRooms();
+    } else if (event === 'jackpotUpdated') {
+      const room = this.rooms.get(payload.roomId);
+      if (room) room.jackpot_amount = payload.amount;
+    }
+  }
+  
+  startCoordination() {
+    this.clock.setInterval(async () => {
+      await this.maintainLeadership();
+      await this.renewLeases();
+      await this.loadActiveGames();
+    }, LEASE_RENEW_INTERVAL);
+    
+    this.maintainLeadership();
+  }
+  
+  async maintainLeadership() {
+    if (this.isLeader) {
+      this.isLeader = await RedisClient.renewLock(LEADER_KEY, this.nodeId, LEASE_TTL);
+      if (!this.isLeader) console.log('👑 Lost scheduler leadership');
+    } else {
+      this.isLeader = await RedisClient.acquireLock(LEADER_KEY, this.nodeId, LEASE_TTL);
+      if (this.isLeader) console.log(`👑 Node ${this.nodeId} is now scheduler leader`);
+    }
+  }
+  
+  async acquireLease(gameId) {
+    if (this.standalone) {
+      this.leases.add(gameId);
+      return true;
+    }
+    
+    const acquired = await RedisClient.acquireLock(`${GAME_LEASE_PREFIX}${gameId}`, this.nodeId, LEASE_TTL);
+    if (acquired) this.leases.add(gameId);
+    return acquired;
+  }
+  
+  async releaseLease(gameId) {
+    if (!this.leases.has(gameId)) return;
+    this.leases.delete(gameId);
+    if (this.standalone) return;
+    await RedisClient.releaseLock(`${GAME_LEASE_PREFIX}${gameId}`, this.nodeId);
+  }
+  
+  async renewLeases() {
+    for (const gameId of [...this.leases]) {
+      const renewed = await RedisClient.renewLock(`${GAME_LEASE_PREFIX}${gameId}`, this.nodeId, LEASE_TTL);
+      if (!renewed) {
+        // Another node took over; stop driving the game here
+        console.log(`🔓 Lost lease on game ${gameId}`);
+        this.dropGame(gameId);
+      }
+    }
+  }
+  
+  dropGame(gameId) {
+    this.leases.delete(gameId);
+    this.waitingGames.delete(gameId);
+    this.activeGames.delete(gameId);
+    this.serverSeeds.delete(gameId);
+    this.drawSequences.delete(gameId);
+    this.pendingClaims.delete(gameId);
+    this.cardIndexes.delete(gameId);
+    this.stopCalling(gameId);
+    
+    if (this.gameTimers.has(gameId)) {
+      this.clock.clearTimeout(this.gameTimers.get(gameId));
+      this.gameTimers.delete(gameId);
+    }
+  }
+  
+  // Adopt every waiting or active game whose lease is free
   async loadActiveGames() {
     try {
-      const activeGames = await Game.findAll({
-        where: { status: ['waiting', 'active'] },
-        include: [{ model: Card, as: 'game_cards' }]
+      const openGames = await Game.findAll({
+        where: { status: ['waiting', 'active'] }
       });
       
-      for (const game of activeGames) {
+      let adopted = 0;
+      for (const game of openGames) {
+        if (this.leases.has(game.id)) continue;
+        if (!await this.acquireLease(game.id)) continue;
+        
         const gameData = game.toJSON();
+        this.serverSeeds.set(gameData.id, game.server_seed);
+        adopted++;
         
         if (gameData.status === 'waiting') {
           this.waitingGames.set(gameData.id, gameData);
           this.startCountdown(gameData.id);
         } else if (gameData.status === 'active') {
           this.activeGames.set(gameData.id, gameData);
-          this.resumeGame(gameData.id);
+          await this.resumeGame(gameData.id, game);
         }
       }
       
-      console.log(`✅ Loaded ${activeGames.length} active games`);
+      if (adopted > 0) {
+        console.log(`✅ Adopted ${adopted} open games`);
+      }
     } catch (error) {
       console.error('Error loading active games:', error);
     }
   }
   
-  startScheduler() {
-    // Check for new games every 5 seconds
-    setInterval(async () => {
-      if (this.waitingGames.size < 5) {
-        await this.createNewGame();
+  async loadRooms() {
+    try {
+      let rooms = await Room.findAll({
+        where: { is_active: true },
+        order: [['sort_order', 'ASC'], ['bet_amount', 'ASC']]
+      });
+      
+      // First boot: a single room with the legacy env configuration
+      if (rooms.length === 0 && await Room.count() === 0) {
+        rooms = [await Room.create({
+          slug: 'standard',
+          name: 'Standard',
+          bet_amount: parseFloat(process.env.BET_AMOUNT || 10.00),
+          house_fee: parseFloat(process.env.HOUSE_FEE || 0.05),
+          game_duration: parseInt(process.env.GAME_DURATION || 180),
+          max_cards_per_player: parseInt(process.env.MAX_CARDS_PER_PLAYER || 5)
+        })];
+      }
+      
+      this.rooms = new Map(rooms.map(room => [room.id, room.toJSON()]));
+      console.log(`🏠 Loaded ${this.rooms.size} rooms`);
+    } catch (error) {
+      console.error('Error loading rooms:', error);
+    }
+  }
+  
+  // Re-read rooms after an admin change, here and on every other node
+  async reloadRooms() {
+    await this.refreshRooms();
+    this.emit('roomsUpdated', { roomIds: [...this.rooms.keys()] });
+  }
+  
+  async refreshRooms() {
+    await this.loadRooms();
+    
+    for (const roomId of [...this.roomSchedulers.keys()]) {
+      if (!this.rooms.has(roomId)) {
+        this.clock.clearInterval(this.roomSchedulers.get(roomId));
+        this.roomSchedulers.delete(roomId);
       }
+    }
+    
+    this.startScheduler();
+  }
+  
+  startScheduler() {
+    for (const room of this.rooms.values()) {
+      this.scheduleRoom(room.id);
+    }
+  }
+  
+  scheduleRoom(roomId) {
+    if (this.roomSchedulers.has(roomId)) {
+      this.clock.clearInterval(this.roomSchedulers.get(roomId));
+    }
+    
+    // Check this room's pipeline every 5 seconds
+    const interval = this.clock.setInterval(() => {
+      return this.fillRoom(roomId);
     }, 5000);
+    
+    this.roomSchedulers.set(roomId, interval);
+  }
+  
+  // Create a game when the room has fewer waiting games than its concurrency target.
+  // Only the leader creates games; waiting games are counted across all nodes.
+  async fillRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!this.isLeader || !room || this.roomsFilling.has(roomId)) return;
+    
+    this.roomsFilling.add(roomId);
+    try {
+      const waiting = await Game.count({ where: { room_id: roomId, status: 'waiting' } });
+      if (waiting >= room.concurrency) return;
+      
+      await this.createNewGame(room);
+    } catch (error) {
+      console.error(`Error filling room ${room.slug}:`, error);
+    } finally {
+      this.roomsFilling.delete(roomId);
+    }
   }
   
-  async createNewGame() {
+  buildGameSettings(room) {
+    const variant = getVariant((room.game_settings && room.game_settings.variant) || DEFAULT_VARIANT);
+    
+    return {
+      variant: variant.key,
+      bet_amount: parseFloat(room.bet_amount),
+      house_fee: parseFloat(room.house_fee),
+      game_duration: room.game_duration,
+      max_cards_per_player: room.max_cards_per_player,
+      card_count: Math.min(room.card_count, variant.maxCards),
+      card_season: CardCatalogue.defaultSeason(),
+      min_players: room.min_players || 1,
+      min_cards: room.min_cards || 1,
+      max_extensions: room.max_extensions || 0,
+      extension_seconds: room.countdown,
+      guaranteed_prize: room.guaranteed_prize ? parseFloat(room.guaranteed_prize) : 0,
+      patterns: variant.defaultPatterns,
+      claim_mode: process.env.CLAIM_MODE || 'auto',
+      claim_window: parseInt(process.env.CLAIM_WINDOW || 10),
+      false_claim_penalty: process.env.FALSE_CLAIM_PENALTY || 'lockout',
+      false_claim_fine: parseFloat(process.env.FALSE_CLAIM_FINE || 0),
+      call_interval: parseFloat(process.env.CALL_INTERVAL || 3),
+      call_interval_min: parseFloat(process.env.CALL_INTERVAL_MIN || process.env.CALL_INTERVAL || 3),
+      call_acceleration: parseFloat(process.env.CALL_ACCELERATION || 0),
+      jackpot: room.jackpot_enabled ? {
+        share: parseFloat(room.jackpot_share),
+        calls: room.jackpot_calls
+      } : null,
+      ...room.game_settings,
+      // Always the room's: bets, pot and prizes are all in it
+      currency: room.currency || BASE_CURRENCY
+    };
+  }
+  
+  // `fields` adds columns to the game row, e.g. the tournament a round belongs to
+  async createNewGame(room, fields = {}) {
     try {
-      const gameId = `bingo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const gameId = `bingo_${this.clock.now()}_${this.random().toString(36).substr(2, 9)}`;
+      const serverSeed = ProvablyFair.generateServerSeed(this.rng);
+      const settings = this.buildGameSettings(room);
+      
+      // Fail early on a misconfigured variant or pattern set
+      this.validateGameSettings(settings);
       
       const game = await Game.create({
+        id: this.generateId(),
         game_id: gameId,
+        room_id: room.id,
         status: 'waiting',
         pot: 0.00,
-        start_time: new Date(Date.now() + 30000), // 30 seconds from now
-        settings: {
-          bet_amount: parseFloat(process.env.BET_AMOUNT || 10.00),
-          house_fee: parseFloat(process.env.HOUSE_FEE || 0.05),
-          game_duration: parseInt(process.env.GAME_DURATION || 180),
-          max_cards_per_player: parseInt(process.env.MAX_CARDS_PER_PLAYER || 5),
-          min_players: 1
-        }
+        start_time: new Date(this.clock.now() + room.countdown * 1000),
+        server_seed: serverSeed,
+        server_seed_hash: ProvablyFair.hashSeed(serverSeed),
+        settings,
+        ...fields
       });
       
-      // Generate cards for this game
-      await this.generateGameCards(game.id);
+      // Another node may adopt the new row before we lease it; that node then runs the game
+      const leased = await this.acquireLease(game.id);
       
-      const gameData = game.toJSON();
-      this.waitingGames.set(game.id, gameData);
+      // Cards come from the season catalogue; make sure it exists before anyone buys
+      await CardCatalogue.getCatalogue(settings.variant, settings.card_season);
       
-      // Store in Redis
-      await RedisClient.set(`game:${game.id}`, JSON.stringify(gameData), 7200); // 2 hours
+      const gameData = game.toJSON();
       
-      // Start countdown
-      this.startCountdown(game.id);
+      if (leased) {
+        this.serverSeeds.set(game.id, serverSeed);
+        this.waitingGames.set(game.id, gameData);
+        
+        // Store in Redis
+        await RedisClient.set(`game:${game.id}`, JSON.stringify(gameData), 7200); // 2 hours
+        
+        // Start countdown
+        this.startCountdown(game.id);
+      } else {
+        console.log(`🔒 Game ${game.id} was adopted by another node before it was leased here`);
+      }
       
       this.emit('gameCreated', gameData);
       console.log(`🆕 Game Created: ${gameId} (${game.id})`);
       
+      await this.fulfilAutoBuys(gameData);
+      
       return gameData;
     } catch (error) {
       console.error('Error creating game:', error);
@@ -99,75 +426,62 @@ class GameEngine extends EventEmitter {
     }
   }
   
-  async generateGameCards(gameId) {
-    const cards = [];
+  validateGameSettings(settings) {
+    const variant = getVariant(settings.variant);
     
-    for (let cardNum = 1; cardNum <= 400; cardNum++) {
-      const numbers = this.generateCardNumbers(cardNum, gameId);
-      
-      cards.push({
-        game_id: gameId,
-        card_number: cardNum,
-        numbers: numbers
-      });
+    if (settings.card_count > variant.maxCards) {
+      throw new Error(`${variant.name} games allow at most ${variant.maxCards} cards`);
     }
     
-    // Bulk create cards
-    await Card.bulkCreate(cards);
-    console.log(`🃏 Generated 400 cards for game ${gameId}`);
-  }
-  
-  generateCardNumbers(cardNumber, gameId) {
-    const numbers = [];
-    const ranges = {
-      'B': [1, 15],
-      'I': [16, 30],
-      'N': [31, 45],
-      'G': [46, 60],
-      'O': [61, 75]
-    };
+    if (typeof settings.card_season !== 'string' || !/^[\w-]{1,50}$/.test(settings.card_season)) {
+      throw new Error('Card season must be 1-50 letters, digits, dashes or underscores');
+    }
     
-    // Use deterministic seed
-    const seed = cardNumber + gameId;
-    const seededRandom = (index) => {
-      const x = Math.sin(seed + index) * 10000;
-      return x - Math.floor(x);
-    };
+    if (!CardCatalogue.isConfigured(settings.card_season)) {
+      throw new Error(`Card season ${settings.card_season} is not listed in CARD_SEASONS`);
+    }
     
-    // Generate columns
-    Object.entries(ranges).forEach(([letter, [min, max]], colIndex) => {
-      const columnNumbers = [];
-      for (let num = min; num <= max; num++) {
-        columnNumbers.push(num);
-      }
-      
-      // Shuffle using seeded random
-      for (let i = columnNumbers.length - 1; i > 0; i--) {
-        const j = Math.floor(seededRandom(colIndex * 100 + i) * (i + 1));
-        [columnNumbers[i], columnNumbers[j]] = [columnNumbers[j], columnNumbers[i]];
-      }
-      
-      // Take first 5 for this column
-      const selectedNumbers = columnNumbers.slice(0, 5);
-      
-      // Distribute across rows
-      selectedNumbers.forEach((number, rowIndex) => {
-        if (!numbers[rowIndex]) numbers[rowIndex] = [];
-        numbers[rowIndex][colIndex] = {
-          letter,
-          number,
-          called: false,
-          row: rowIndex,
-          col: colIndex
-        };
-      });
-    });
+    const stages = getStages(settings);
+    stages.forEach(stage => WinPatterns.resolve(stage.patterns, variant));
+    
+    const totalShare = stages.reduce((sum, stage) => sum + stage.share, 0);
+    if (Math.abs(totalShare - 1) > 1e-9) {
+      throw new Error('Prize stage shares must add up to 1');
+    }
+    
+    if (!(settings.call_interval > 0) || !(settings.call_interval_min > 0) ||
+        settings.call_interval_min > settings.call_interval || !(settings.call_acceleration >= 0)) {
+      throw new Error('Call interval must be positive, at least the minimum interval, with a non-negative acceleration');
+    }
+    
+    if (settings.min_cards > settings.card_count ||
+        settings.min_players > settings.card_count) {
+      throw new Error('Minimum players and cards cannot exceed the cards on sale');
+    }
     
-    // Mark center as free
-    numbers[2][2].called = true;
-    numbers[2][2].free = true;
+    if (settings.guaranteed_prize < 0) {
+      throw new Error('Guaranteed prize cannot be negative');
+    }
     
-    return numbers;
+    if (settings.jackpot && settings.jackpot.share > settings.house_fee) {
+      throw new Error('Jackpot share cannot exceed the house fee');
+    }
+  }
+  
+  variantOf(game) {
+    return getVariant(game.settings.variant);
+  }
+  
+  // Games from before rooms had a currency played in the base currency
+  currencyOf(game) {
+    return game.settings.currency || BASE_CURRENCY;
+  }
+  
+  // The prize currently being played for; 90-ball games move through several
+  currentStage(game) {
+    const stages = getStages(game.settings);
+    const index = game.prize_stage || 0;
+    return { ...stages[index], index, final: index >= stages.length - 1 };
   }
   
   startCountdown(gameId) {
@@ -176,11 +490,11 @@ class GameEngine extends EventEmitter {
     
     // Clear any existing timer
     if (this.gameTimers.has(gameId)) {
-      clearTimeout(this.gameTimers.get(gameId));
+      this.clock.clearTimeout(this.gameTimers.get(gameId));
     }
     
     const startTime = new Date(game.start_time).getTime();
-    const now = Date.now();
+    const now = this.clock.now();
     const timeUntilStart = startTime - now;
     
     if (timeUntilStart <= 0) {
@@ -188,8 +502,8 @@ class GameEngine extends EventEmitter {
       return;
     }
     
-    const timer = setTimeout(() => {
-      this.startGame(gameId);
+    const timer = this.clock.setTimeout(() => {
+      return this.startGame(gameId);
     }, timeUntilStart);
     
     this.gameTimers.set(gameId, timer);
@@ -203,31 +517,101 @@ class GameEngine extends EventEmitter {
       const game = this.waitingGames.get(gameId);
       if (!game) return;
       
-      // Check if enough players
-      const cards = await Card.count({
-        where: { 
-          game_id: gameId,
-          user_id: { $not: null }
+      // Lock the game row so no purchase lands between counting cards and going live
+      const started = await runSerializable(async (transaction) => {
+        const gameRow = await Game.findByPk(gameId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!gameRow || gameRow.status !== 'waiting') return null;
+        
+        // Check if enough players
+        const cards = await Card.findAll({
+          where: { 
+            game_id: gameId,
+            user_id: { [Op.ne]: null }
+          },
+          attributes: ['card_number', 'user_id', 'client_seed'],
+          transaction
+        });
+        
+        // Below the minimum the countdown restarts a limited number of times, then the game is called off
+        const players = new Set(cards.map(card => card.user_id)).size;
+        const minPlayers = Math.max(1, game.settings.min_players || 1);
+        const minCards = Math.max(1, game.settings.min_cards || 1);
+        
+        if (players < minPlayers || cards.length < minCards) {
+          const extensions = gameRow.countdown_extensions || 0;
+          if (extensions >= (game.settings.max_extensions || 0)) {
+            return { cancelled: true, players, cards };
+          }
+          
+          const startTime = new Date(this.clock.now() + (game.settings.extension_seconds || 30) * 1000);
+          await gameRow.update(
+            { start_time: startTime, countdown_extensions: extensions + 1 },
+            { transaction }
+          );
+          
+          return { extended: true, startTime, extensions: extensions + 1, players, cards };
         }
+        
+        // Purchases are final now, so they and the players' seeds make up the client seed for the draw
+        const clientSeed = ProvablyFair.deriveClientSeed(gameId, cards);
+        const drawSequence = ProvablyFair.generateDrawOrder(gameRow.server_seed, clientSeed, this.variantOf(gameRow))
+          .map(({ letter, number }) => ({ letter, number }));
+        const startTime = new Date(this.clock.now());
+        
+        // Update game status; the persisted sequence lets another process continue the game
+        await gameRow.update(
+          {
+            status: 'active',
+            start_time: startTime,
+            client_seed: clientSeed,
+            draw_sequence: drawSequence,
+            call_index: 0,
+            elapsed_ms: 0
+          },
+          { transaction }
+        );
+        
+        return { cards, clientSeed, drawSequence, startTime, pot: gameRow.pot };
       });
       
-      if (cards < 1) {
-        console.log(`❌ Game ${gameId} cancelled - no cards purchased`);
-        await this.cancelGame(gameId);
+      if (!started) return;
+      
+      if (started.extended) {
+        game.start_time = started.startTime;
+        game.countdown_extensions = started.extensions;
+        
+        this.emit('countdownExtended', {
+          gameId,
+          startTime: started.startTime,
+          extensions: started.extensions,
+          players: started.players,
+          cards: started.cards.length,
+          minPlayers: game.settings.min_players,
+          minCards: game.settings.min_cards
+        });
+        console.log(`⏳ Game ${gameId} countdown extended (${started.players} players, ${started.cards.length} cards)`);
+        
+        this.startCountdown(gameId);
         return;
       }
       
-      // Update game status
-      await Game.update(
-        { status: 'active', start_time: new Date() },
-        { where: { id: gameId } }
-      );
+      if (started.cancelled) {
+        console.log(`❌ Game ${gameId} cancelled - ${started.players} players, ${started.cards.length} cards`);
+        await this.cancelGame(gameId, started.cards.length === 0 ? 'no_players' : 'min_players');
+        return;
+      }
       
       game.status = 'active';
-      game.start_time = new Date();
+      game.start_time = started.startTime;
+      game.client_seed = started.clientSeed;
+      game.pot = parseFloat(started.pot);
+      game.call_index = 0;
+      game.elapsed_ms = 0;
+      this.drawSequences.set(gameId, started.drawSequence);
       
       this.waitingGames.delete(gameId);
       this.activeGames.set(gameId, game);
+      await this.buildCardIndex(gameId);
       
       // Update Redis
       await RedisClient.set(`game:${gameId}`, JSON.stringify(game), 7200);
@@ -243,281 +627,910 @@ class GameEngine extends EventEmitter {
     }
   }
   
-  async callNumbers(gameId) {
+  // Continue an active game from its persisted call index and elapsed play time
+  async resumeGame(gameId, gameRow) {
     const game = this.activeGames.get(gameId);
     if (!game) return;
     
-    const allNumbers = [];
-    const ranges = [
-      { letter: 'B', start: 1, end: 15 },
-      { letter: 'I', start: 16, end: 30 },
-      { letter: 'N', start: 31, end: 45 },
-      { letter: 'G', start: 46, end: 60 },
-      { letter: 'O', start: 61, end: 75 }
-    ];
+    // Games started before the sequence was persisted can still rebuild it from their seeds
+    const drawSequence = gameRow.draw_sequence ||
+      (gameRow.server_seed && gameRow.client_seed
+        ? ProvablyFair.generateDrawOrder(gameRow.server_seed, gameRow.client_seed, this.variantOf(gameRow))
+        : null);
     
-    // Generate all 75 numbers
-    ranges.forEach(({ letter, start, end }) => {
-      for (let num = start; num <= end; num++) {
-        allNumbers.push({ letter, number: num, called: false });
-      }
-    });
+    const calledNumbers = game.called_numbers || [];
+    const resumable = Array.isArray(drawSequence) && drawSequence.length > 0 &&
+      calledNumbers.every((called, index) =>
+        drawSequence[index] && drawSequence[index].number === called.number
+      );
     
-    // Shuffle
-    for (let i = allNumbers.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [allNumbers[i], allNumbers[j]] = [allNumbers[j], allNumbers[i]];
+    if (!resumable) {
+      console.log(`❌ Game ${gameId} cannot be resumed - cancelling with refunds`);
+      await this.cancelGame(gameId, 'unresumable');
+      return;
     }
     
-    const startTime = Date.now();
-    let numberIndex = 0;
+    game.call_index = calledNumbers.length;
+    game.elapsed_ms = game.elapsed_ms || 0;
+    this.drawSequences.set(gameId, drawSequence);
+    await this.buildCardIndex(gameId);
     
-    const callInterval = setInterval(async () => {
-      // Check if game should end
-      if (!this.activeGames.has(gameId)) {
-        clearInterval(callInterval);
-        return;
-      }
-      
-      const elapsed = Date.now() - startTime;
-      if (elapsed > game.settings.game_duration * 1000 || numberIndex >= allNumbers.length) {
-        clearInterval(callInterval);
-        await this.endGame(gameId);
-        return;
-      }
-      
-      // Call next number
-      const number = allNumbers[numberIndex];
-      number.called = true;
-      numberIndex++;
-      
-      // Update game state
-      game.called_numbers.push(number);
-      game.current_calls = game.called_numbers.slice(-3);
-      
-      // Update in database
-      await Game.update(
-        {
-          called_numbers: game.called_numbers,
-          current_calls: game.current_calls
-        },
-        { where: { id: gameId } }
-      );
-      
-      // Update Redis
-      await RedisClient.set(`game:${gameId}`, JSON.stringify(game), 7200);
-      
-      // Mark on cards
-      await this.markNumberOnCards(gameId, number);
-      
-      // Broadcast
-      this.emit('numberCalled', {
-        gameId,
-        number,
-        calledNumbers: game.called_numbers.length,
-        currentCalls: game.current_calls
-      });
-      
-      // Check for winners
-      await this.checkForWinners(gameId);
-      
-    }, 3000); // Every 3 seconds
+    // A game paused by an admin stays paused until resumed
+    this.callNumbers(gameId);
+    
+    this.emit('gameResumed', {
+      gameId,
+      paused: Boolean(game.paused),
+      callIndex: game.call_index,
+      remainingMs: Math.max(0, game.settings.game_duration * 1000 - game.elapsed_ms),
+      currentCalls: game.current_calls
+    });
+    console.log(`♻️ Game Resumed: ${gameId} at call ${game.call_index + 1}`);
   }
   
-  async markNumberOnCards(gameId, number) {
-    try {
-      // Update in database
-      await Card.update(
-        {
-          marked_numbers: sequelize.fn('array_append', sequelize.col('marked_numbers'), `${number.letter}${number.number}`)
-        },
-        {
-          where: {
-            game_id: gameId,
-            numbers: {
-              [sequelize.Op.contains]: [
-                {
-                  letter: number.letter,
-                  number: number.number
-                }
-              ]
-            }
-          }
-        }
-      );
-      
-    } catch (error) {
-      console.error('Error marking number on cards:', error);
-    }
+  // Wait before the next ball: call_interval seconds, shortened by call_acceleration
+  // seconds per ball already called, never below call_interval_min
+  callDelay(game) {
+    const interval = game.settings.call_interval || 3;
+    const minInterval = game.settings.call_interval_min || interval;
+    const acceleration = game.settings.call_acceleration || 0;
+    
+    return Math.max(minInterval, interval - acceleration * (game.call_index || 0)) * 1000;
   }
   
-  async checkForWinners(gameId) {
-    try {
-      const game = this.activeGames.get(gameId);
-      if (!game) return;
-      
-      // Get all cards for this game
-      const cards = await Card.findAll({
-        where: { 
-          game_id: gameId,
-          user_id: { $not: null }
-        },
-        include: [{ model: User, as: 'owner' }]
-      });
-      
-      for (const card of cards) {
-        if (this.checkCardForBingo(card.numbers, game.called_numbers)) {
-          await this.declareWinner(gameId, card.user_id, card.card_number);
-          return;
-        }
-      }
-    } catch (error) {
-      console.error('Error checking for winners:', error);
+  callNumbers(gameId) {
+    const game = this.activeGames.get(gameId);
+    if (!game || game.paused) return;
+    
+    this.stopCalling(gameId);
+    
+    // Only time spent running counts against the duration, so downtime and pauses are not lost
+    this.callLoops.set(gameId, { lastTick: this.clock.now(), timer: null });
+    this.scheduleCall(gameId);
+  }
+  
+  scheduleCall(gameId) {
+    const game = this.activeGames.get(gameId);
+    const loop = this.callLoops.get(gameId);
+    if (!loop) return;
+    
+    // Game over: nothing more to call
+    if (!game) {
+      this.callLoops.delete(gameId);
+      return;
     }
+    
+    loop.timer = this.clock.setTimeout(() => {
+      return this.callNextNumber(gameId, loop);
+    }, this.callDelay(game));
   }
   
-  checkCardForBingo(cardNumbers, calledNumbers) {
-    const calledSet = new Set();
-    calledNumbers.forEach(n => calledSet.add(`${n.letter}${n.number}`));
+  // Stop the call loop, crediting the running time since the last ball
+  stopCalling(gameId) {
+    const loop = this.callLoops.get(gameId);
+    if (!loop) return;
     
-    // Check rows
-    for (let row = 0; row < 5; row++) {
-      let complete = true;
-      for (let col = 0; col < 5; col++) {
-        const cell = cardNumbers[row][col];
-        if (cell.free) continue;
-        if (!calledSet.has(`${cell.letter}${cell.number}`)) {
-          complete = false;
-          break;
-        }
-      }
-      if (complete) return true;
+    this.clock.clearTimeout(loop.timer);
+    this.callLoops.delete(gameId);
+    
+    const game = this.activeGames.get(gameId);
+    if (game) game.elapsed_ms = (game.elapsed_ms || 0) + this.clock.now() - loop.lastTick;
+  }
+  
+  async callNextNumber(gameId, loop) {
+    const game = this.activeGames.get(gameId);
+    if (!game || this.callLoops.get(gameId) !== loop) return;
+    
+    // Hold the next ball while manual claims are being collected
+    if (game.claimsClosingAt) {
+      this.scheduleCall(gameId);
+      return;
     }
     
-    // Check columns
-    for (let col = 0; col < 5; col++) {
-      let complete = true;
-      for (let row = 0; row < 5; row++) {
-        const cell = cardNumbers[row][col];
-        if (cell.free) continue;
-        if (!calledSet.has(`${cell.letter}${cell.number}`)) {
-          complete = false;
-          break;
-        }
-      }
-      if (complete) return true;
+    // Draw order was fixed at start by the committed server seed and the purchase-derived client seed
+    const allNumbers = this.drawSequences.get(gameId);
+    
+    const now = this.clock.now();
+    game.elapsed_ms = (game.elapsed_ms || 0) + now - loop.lastTick;
+    loop.lastTick = now;
+    
+    if (game.elapsed_ms > game.settings.game_duration * 1000 || game.call_index >= allNumbers.length) {
+      this.callLoops.delete(gameId);
+      await this.endGame(gameId);
+      return;
     }
     
-    // Check diagonals
-    let diag1 = true;
-    let diag2 = true;
+    // Call next number
+    const number = {
+      ...allNumbers[game.call_index],
+      called: true,
+      called_at: new Date(now).toISOString()
+    };
+    
+    // Update game state
+    game.called_numbers.push(number);
+    game.current_calls = game.called_numbers.slice(-3);
+    game.call_index++;
+    
+    // Update in database
+    await Game.update(
+      {
+        called_numbers: game.called_numbers,
+        current_calls: game.current_calls,
+        call_index: game.call_index,
+        elapsed_ms: game.elapsed_ms
+      },
+      { where: { id: gameId } }
+    );
+    
+    // Update Redis
+    await RedisClient.set(`game:${gameId}`, JSON.stringify(game), 7200);
+    
+    // Mark on cards
+    await this.markNumberOnCards(gameId, number);
+    
+    // Broadcast
+    this.emit('numberCalled', {
+      gameId,
+      number,
+      calledNumbers: game.called_numbers.length,
+      totalBalls: allNumbers.length,
+      currentCalls: game.current_calls,
+      nextCallIn: this.callDelay(game)
+    });
+    
+    // Check for winners
+    await this.checkForWinners(gameId);
+    
+    this.announceNearWins(gameId);
+    
+    // Paused or finished meanwhile: the loop is gone
+    if (this.callLoops.get(gameId) === loop) {
+      this.scheduleCall(gameId);
+    }
+  }
+  
+  // Admin control of a live game: 'pause', 'resume' or 'abort' (cancel with refunds).
+  // The node driving the game acts; any other node passes the request on.
+  async controlGame(gameId, action, reason = null) {
+    if (!['pause', 'resume', 'abort'].includes(action)) {
+      throw new Error(`Unknown game action: ${action}`);
+    }
     
-    for (let i = 0; i < 5; i++) {
-      // Main diagonal
-      const cell1 = cardNumbers[i][i];
-      if (!cell1.free && !calledSet.has(`${cell1.letter}${cell1.number}`)) {
-        diag1 = false;
+    if (!this.activeGames.has(gameId) && !this.waitingGames.has(gameId)) {
+      const row = await Game.findByPk(gameId);
+      if (!row || !['waiting', 'active'].includes(row.status) || this.standalone) {
+        throw new Error('Game is not running');
       }
       
-      // Anti-diagonal
-      const cell2 = cardNumbers[i][4 - i];
-      if (!cell2.free && !calledSet.has(`${cell2.letter}${cell2.number}`)) {
-        diag2 = false;
-      }
+      await RedisClient.publish(CONTROL_CHANNEL, { gameId, action, reason });
+      return { status: 'forwarded' };
     }
     
-    return diag1 || diag2;
+    if (action === 'pause') await this.pauseGame(gameId, reason);
+    if (action === 'resume') await this.unpauseGame(gameId, reason);
+    if (action === 'abort') await this.cancelGame(gameId, reason || 'aborted');
+    
+    return { status: 'done' };
   }
   
-  async declareWinner(gameId, userId, cardNumber) {
-    try {
-      const game = this.activeGames.get(gameId);
-      if (!game || game.winner_id) return;
-      
-      // Calculate winnings
-      const winnings = game.pot * (1 - game.settings.house_fee);
-      
-      // Update game
-      await Game.update(
-        {
-          status: 'completed',
-          winner_id: userId,
-          winning_card: cardNumber,
-          end_time: new Date()
-        },
-        { where: { id: gameId } }
-      );
-      
-      // Update user balance
-      await User.increment('balance', {
-        by: winnings,
-        where: { id: userId }
-      });
-      
-      await User.increment('total_won', {
-        by: winnings,
-        where: { id: userId }
-      });
-      
-      await User.increment('games_won', {
-        by: 1,
-        where: { id: userId }
-      });
-      
-      // Mark winning card
-      await Card.update(
-        { is_winner: true },
-        { where: { game_id: gameId, card_number: cardNumber } }
+  async pauseGame(gameId, reason = null) {
+    const game = this.activeGames.get(gameId);
+    if (!game) {
+      throw new Error('Only active games can be paused');
+    }
+    if (game.paused) return;
+    
+    this.stopCalling(gameId);
+    game.paused = true;
+    
+    await Game.update(
+      { paused: true, elapsed_ms: game.elapsed_ms },
+      { where: { id: gameId } }
+    );
+    
+    this.emit('gamePaused', {
+      gameId,
+      reason,
+      callIndex: game.call_index,
+      remainingMs: Math.max(0, game.settings.game_duration * 1000 - game.elapsed_ms)
+    });
+    console.log(`⏸️ Game Paused: ${gameId}${reason ? ` (${reason})` : ''}`);
+  }
+  
+  async unpauseGame(gameId, reason = null) {
+    const game = this.activeGames.get(gameId);
+    if (!game) {
+      throw new Error('Only active games can be resumed');
+    }
+    if (!game.paused) return;
+    
+    game.paused = false;
+    await Game.update({ paused: false }, { where: { id: gameId } });
+    
+    this.callNumbers(gameId);
+    
+    this.emit('gameResumed', {
+      gameId,
+      reason,
+      callIndex: game.call_index,
+      remainingMs: Math.max(0, game.settings.game_duration * 1000 - game.elapsed_ms),
+      currentCalls: game.current_calls
+    });
+    console.log(`▶️ Game Resumed: ${gameId}`);
+  }
+  
+  // Owned cards are loaded once per game and indexed; calls then never touch the cards table
+  async buildCardIndex(gameId) {
+    const game = this.activeGames.get(gameId);
+    if (!game) return;
+    
+    const cards = await Card.findAll({
+      where: { 
+        game_id: gameId,
+        user_id: { [Op.ne]: null }
+      },
+      include: [{ model: User, as: 'owner', attributes: ['id', 'settings'] }],
+      order: [['card_number', 'ASC']]
+    });
+    
+    const index = new CardIndex(this.variantOf(game));
+    for (const card of cards) {
+      const settings = card.owner && card.owner.settings;
+      index.add(card, !settings || settings.auto_claim !== false);
+    }
+    
+    // A resumed game replays its calls; marks already stored are rewritten with the next batch
+    (game.called_numbers || []).forEach(called => index.mark(called.number));
+    
+    this.cardIndexes.set(gameId, index);
+    this.syncCardIndex(gameId);
+  }
+  
+  // Point the index at the patterns of the stage being played for
+  syncCardIndex(gameId) {
+    const game = this.activeGames.get(gameId);
+    const index = this.cardIndexes.get(gameId);
+    if (!game || !index) return null;
+    
+    const stage = this.currentStage(game);
+    if (index.stage !== stage.index) {
+      index.setPatterns(stage.patterns);
+      index.stage = stage.index;
+    }
+    
+    return index;
+  }
+  
+  async markNumberOnCards(gameId, number) {
+    const index = this.cardIndexes.get(gameId);
+    if (!index) return;
+    
+    index.mark(number.number);
+    
+    const game = this.activeGames.get(gameId);
+    if (game && game.call_index % MARK_FLUSH_CALLS === 0) {
+      await this.flushMarks(gameId);
+    }
+  }
+  
+  // Write the marks of every changed card in one statement
+  async flushMarks(gameId) {
+    const index = this.cardIndexes.get(gameId);
+    if (!index) return;
+    
+    const dirty = index.takeDirty();
+    if (dirty.length === 0) return;
+    
+    try {
+      await Card.bulkCreate(
+        dirty.map(entry => ({
+          id: entry.id,
+          game_id: gameId,
+          card_number: entry.cardNumber,
+          numbers: entry.numbers,
+          user_id: entry.userId,
+          marked_numbers: entry.marked
+        })),
+        { updateOnDuplicate: ['marked_numbers'] }
       );
+    } catch (error) {
+      // Marks are derived from the calls; put them back for the next batch
+      dirty.forEach(entry => index.dirty.add(entry));
+      console.error('Error saving card marks:', error);
+    }
+  }
+  
+  // Last batch of marks, then the index is no longer needed
+  async releaseCardIndex(gameId) {
+    await this.flushMarks(gameId);
+    this.cardIndexes.delete(gameId);
+  }
+  
+  async checkForWinners(gameId) {
+    try {
+      const game = this.activeGames.get(gameId);
+      if (!game) return;
       
-      // Get winner info
-      const winner = await User.findByPk(userId);
+      const manualClaims = game.settings.claim_mode === 'manual';
       
-      // Create transaction
-      await Transaction.create({
-        user_id: userId,
-        type: 'win',
-        amount: winnings,
-        status: 'completed',
-        metadata: {
-          game_id: gameId,
-          card_number: cardNumber,
-          pot: game.pot
+      // One call can settle several prize stages, e.g. one line and two lines together
+      for (;;) {
+        const index = this.syncCardIndex(gameId);
+        if (!index) return;
+        
+        if (manualClaims) {
+          // Players who keep auto-claim on are claimed for as soon as they win
+          for (const card of index.takeFresh()) {
+            if (!card.autoClaim) continue;
+            this.acceptClaim(gameId, { userId: card.userId, cardNumber: card.cardNumber, pattern: card.pattern }, this.clock.now());
+          }
+          break;
         }
+        
+        // Every card completed by this call shares the prize
+        const winningCards = index.winners();
+        if (winningCards.length === 0) break;
+        
+        const continues = await this.declareWinners(gameId, winningCards);
+        if (!continues) break;
+      }
+    } catch (error) {
+      console.error('Error checking for winners:', error);
+    }
+  }
+  
+  // Owners hear about each card that just got one number away; the room hears how many there are
+  announceNearWins(gameId) {
+    const game = this.activeGames.get(gameId);
+    const index = this.syncCardIndex(gameId);
+    if (!game || !index) return;
+    
+    for (const card of index.takeFreshOneAway()) {
+      this.emit('cardOneAway', { gameId, ...card });
+    }
+    
+    const count = index.oneAwayCount();
+    if (count !== index.lastOneAwayCount) {
+      index.lastOneAwayCount = count;
+      this.emit('oneAwayCount', {
+        gameId,
+        roomId: game.room_id,
+        stage: this.currentStage(game).name,
+        count
       });
+    }
+  }
+  
+  // Returns the winning pattern name, or null when no configured pattern is complete
+  checkCardForBingo(cardNumbers, calledNumbers, patterns, variant = getVariant()) {
+    return WinPatterns.findMatch(cardNumbers, calledNumbers, patterns, variant);
+  }
+  
+  // Index of the call that first completed one of the card's patterns, or -1
+  findWinningCall(cardNumbers, calledNumbers, patterns, variant = getVariant()) {
+    for (let index = 0; index < calledNumbers.length; index++) {
+      if (this.checkCardForBingo(cardNumbers, calledNumbers.slice(0, index + 1), patterns, variant)) {
+        return index;
+      }
+    }
+    return -1;
+  }
+  
+  async claimBingo(gameId, userId, cardNumber = null) {
+    const game = this.activeGames.get(gameId);
+    
+    // Another node drives this game: hand the claim over, the outcome arrives as an event
+    if (!game) {
+      const remoteGame = await Game.findByPk(gameId);
+      if (!remoteGame || remoteGame.status !== 'active' || remoteGame.settings.claim_mode !== 'manual') {
+        throw new Error('Game not accepting claims');
+      }
       
-      // Update game object
-      game.status = 'completed';
-      game.winner_id = userId;
-      game.winning_card = cardNumber;
-      game.end_time = new Date();
+      await RedisClient.publish(CLAIMS_CHANNEL, { gameId, userId, cardNumber });
+      return [{ cardNumber, status: 'forwarded' }];
+    }
+    
+    if (game.status !== 'active') {
+      throw new Error('Game not accepting claims');
+    }
+    
+    if (game.settings.claim_mode !== 'manual') {
+      throw new Error('Wins are claimed automatically in this game');
+    }
+    
+    const index = this.syncCardIndex(gameId);
+    
+    // Without a card number the claim covers all of the player's cards
+    const cards = index ? index.cardsOf(userId).filter(card => !cardNumber || card.cardNumber === cardNumber) : [];
+    if (cards.length === 0) {
+      throw new Error('Card not found');
+    }
+    
+    const openCards = cards.filter(card => !card.lockedOut);
+    if (openCards.length === 0) {
+      throw new Error('Card is locked out for a false claim');
+    }
+    
+    const windowMs = game.settings.claim_window * 1000;
+    const stage = this.currentStage(game);
+    const variant = this.variantOf(game);
+    const results = [];
+    
+    for (const card of openCards) {
+      const pattern = index.patternFor(card.cardNumber);
+      if (!pattern) continue;
       
-      // Remove from active games
-      this.activeGames.delete(gameId);
+      // Only complete cards get here, so the scan for the completing call is rare
+      const callIndex = this.findWinningCall(card.numbers, game.called_numbers, stage.patterns, variant);
+      
+      // A bingo completed before its prize stage opened counts from the opening
+      const winningCall = game.called_numbers[callIndex];
+      const calledAt = Math.max(new Date(winningCall.called_at).getTime(), game.stageOpenedAt || 0);
+      
+      if (this.clock.now() > calledAt + windowMs) {
+        results.push({ cardNumber: card.cardNumber, status: 'missed' });
+        continue;
+      }
+      
+      this.acceptClaim(gameId, { userId, cardNumber: card.cardNumber, pattern }, calledAt);
+      results.push({ cardNumber: card.cardNumber, status: 'accepted', pattern });
+    }
+    
+    if (results.length === 0) {
+      await this.penalizeFalseClaim(gameId, userId, openCards.map(card => card.cardNumber));
+      return openCards.map(card => ({ cardNumber: card.cardNumber, status: 'rejected' }));
+    }
+    
+    return results;
+  }
+  
+  acceptClaim(gameId, claim, winningCallTime) {
+    const game = this.activeGames.get(gameId);
+    if (!game || game.status !== 'active') return;
+    
+    if (!this.pendingClaims.has(gameId)) {
+      this.pendingClaims.set(gameId, new Map());
+    }
+    
+    const claims = this.pendingClaims.get(gameId);
+    if (claims.has(claim.cardNumber)) return;
+    claims.set(claim.cardNumber, claim);
+    
+    // The first valid claim stops the calls; everyone still inside the window may join it
+    if (!game.claimsClosingAt) {
+      game.claimsClosingAt = winningCallTime + game.settings.claim_window * 1000;
+      
+      const timer = this.clock.setTimeout(() => {
+        return this.closeClaims(gameId);
+      }, Math.max(0, game.claimsClosingAt - this.clock.now()));
+      
+      this.gameTimers.set(gameId, timer);
+    }
+    
+    this.emit('bingoClaimed', {
+      gameId,
+      userId: claim.userId,
+      cardNumber: claim.cardNumber,
+      pattern: claim.pattern,
+      closesAt: game.claimsClosingAt
+    });
+  }
+  
+  async closeClaims(gameId) {
+    const claims = this.pendingClaims.get(gameId);
+    this.pendingClaims.delete(gameId);
+    this.gameTimers.delete(gameId);
+    
+    if (!claims || claims.size === 0) return;
+    
+    const winningCards = [...claims.values()].sort((a, b) => a.cardNumber - b.cardNumber);
+    await this.declareWinners(gameId, winningCards);
+  }
+  
+  async penalizeFalseClaim(gameId, userId, cardNumbers) {
+    const game = this.activeGames.get(gameId);
+    if (!game) return;
+    
+    const penalty = game.settings.false_claim_penalty;
+    let fine = 0;
+    
+    if (penalty === 'fine') {
+      // Fines go into the pot, capped at what the player holds
+      const result = await runSerializable(async (transaction) => {
+        const gameRow = await Game.findByPk(gameId, { transaction, lock: transaction.LOCK.UPDATE });
+        const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+        const currency = this.currencyOf(game);
+        const amount = fromCents(Math.min(toCents(game.settings.false_claim_fine), toCents(Wallet.balanceIn(user, currency))));
+        
+        if (amount <= 0) return { amount: 0, pot: parseFloat(gameRow.pot) };
+        
+        await Wallet.transfer('penalty', Wallet.user(userId, currency), Wallet.pot(gameId, currency), toCents(amount), transaction, {
+          userId,
+          metadata: { game_id: gameId, card_numbers: cardNumbers, reason: 'false_claim' }
+        });
+        
+        const pot = fromCents(toCents(gameRow.pot) + toCents(amount));
+        await gameRow.update({ pot }, { transaction });
+        
+        return { amount, pot };
+      });
       
-      // Broadcast winner
-      this.emit('winnerDeclared', {
+      fine = result.amount;
+      game.pot = result.pot;
+    } else {
+      await Card.update(
+        { locked_out: true },
+        { where: { game_id: gameId, card_number: cardNumbers } }
+      );
+      
+      const index = this.cardIndexes.get(gameId);
+      if (index) index.lockOut(cardNumbers);
+    }
+    
+    this.emit('falseClaim', {
+      gameId,
+      userId,
+      cardNumbers,
+      penalty,
+      fine,
+      pot: game.pot
+    });
+    
+    console.log(`🚫 False claim by ${userId} in game ${gameId} (${penalty})`);
+  }
+  
+  // Pays the current prize stage. Returns true when the game goes on to a further stage.
+  async declareWinners(gameId, winningCards) {
+    const game = this.activeGames.get(gameId);
+    if (!game || game.status !== 'active') return false;
+    
+    // Stop further calls from declaring again while payouts are written
+    game.status = 'completed';
+    
+    try {
+      const endTime = new Date(this.clock.now());
+      const stages = getStages(game.settings);
+      const currency = this.currencyOf(game);
+      
+      // Game row, balances, cards and win transactions commit together or not at all
+      const payout = await runSerializable(async (transaction) => {
+        const gameRow = await Game.findByPk(gameId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!gameRow || gameRow.status !== 'active') return null;
+        
+        // Open the pot account before the row changes under it
+        await Wallet.balanceOf(Wallet.pot(gameId, currency), transaction);
+        
+        const stageIndex = gameRow.prize_stage || 0;
+        const stage = stages[stageIndex];
+        const final = stageIndex >= stages.length - 1;
+        
+        // Earlier stages take their share of the prize, the last stage takes what is left
+        const previousWinners = gameRow.winners || [];
+        const potPrize = prizeCents(gameRow.pot, game.settings.house_fee);
+        const totalPrize = Math.max(potPrize, toCents(game.settings.guaranteed_prize || 0));
+        const alreadyPaid = previousWinners.reduce((sum, w) => sum + toCents(w.amount), 0);
+        const stagePrize = (total, paid) => final
+          ? Math.max(0, total - paid)
+          : Math.floor(total * stage.share + 1e-6);
+        const prize = stagePrize(totalPrize, alreadyPaid);
+        
+        // A guaranteed prize above what the pot covers is topped up by the house, stage by stage
+        const subsidyPaid = toCents(gameRow.prize_subsidy || 0);
+        const subsidy = Math.max(0, prize - stagePrize(potPrize, alreadyPaid - subsidyPaid));
+        
+        // Split the prize per winning card in whole cents, leftover cents go to the lowest card numbers
+        const shares = splitCents(prize, winningCards.length);
+        const winners = winningCards.map((card, index) => ({
+          ...card,
+          amount: fromCents(shares[index])
+        }));
+        
+        const [firstWinner] = winners;
+        const allWinners = [
+          ...previousWinners,
+          ...winners.map(w => ({
+            user_id: w.userId,
+            card_number: w.cardNumber,
+            pattern: w.pattern,
+            stage: stage.name,
+            amount: w.amount
+          }))
+        ];
+        
+        // Full-card wins within the call limit take the room jackpot
+        const jackpotLimit = game.settings.jackpot && game.settings.jackpot.calls;
+        const jackpotCards = final && jackpotLimit && game.called_numbers.length <= jackpotLimit
+          ? winners.filter(w => w.pattern === this.variantOf(game).fullCardPattern)
+          : [];
+        
+        // Update game
+        await gameRow.update(
+          final ? {
+            status: 'completed',
+            winner_id: firstWinner.userId,
+            winning_card: firstWinner.cardNumber,
+            winning_pattern: firstWinner.pattern,
+            winners: allWinners,
+            prize_subsidy: fromCents(subsidyPaid + subsidy),
+            end_time: endTime
+          } : {
+            prize_stage: stageIndex + 1,
+            winners: allWinners,
+            prize_subsidy: fromCents(subsidyPaid + subsidy)
+          },
+          { transaction }
+        );
+        
+        if (subsidy > 0) {
+          await Wallet.transfer('prize_subsidy', Wallet.house(currency), Wallet.pot(gameId, currency), subsidy, transaction, {
+            metadata: {
+              game_id: gameId,
+              room_id: gameRow.room_id,
+              stage: stage.name,
+              guaranteed_prize: game.settings.guaranteed_prize,
+              pot: gameRow.pot
+            }
+          });
+        }
+        
+        const winnerIds = [...new Set(winners.map(w => w.userId))];
+        const users = await User.findAll({
+          where: { id: winnerIds },
+          order: [['id', 'ASC']],
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+        
+        const toBase = await ExchangeService.baseValue(currency, transaction);
+        for (const winner of winners) {
+          await Wallet.transfer('win', Wallet.pot(gameId, currency), Wallet.user(winner.userId, currency), toCents(winner.amount), transaction, {
+            userId: winner.userId,
+            metadata: {
+              game_id: gameId,
+              card_number: winner.cardNumber,
+              pattern: winner.pattern,
+              stage: stage.name,
+              pot: gameRow.pot,
+              winner_count: winners.length
+            }
+          });
+          
+          await User.increment(
+            { total_won: toBase(winner.amount) },
+            { where: { id: winner.userId }, transaction }
+          );
+        }
+        
+        // Winning cards are flagged with one update per pattern
+        const cardsByPattern = new Map();
+        winners.forEach(w => {
+          cardsByPattern.set(w.pattern, [...(cardsByPattern.get(w.pattern) || []), w.cardNumber]);
+        });
+        for (const [pattern, cardNumbers] of cardsByPattern) {
+          await Card.update(
+            { is_winner: true, winning_pattern: pattern },
+            { where: { game_id: gameId, card_number: cardNumbers }, transaction }
+          );
+        }
+        
+        let jackpot = null;
+        if (final) {
+          await User.increment('games_won', {
+            by: 1,
+            where: { id: winnerIds },
+            transaction
+          });
+          
+          jackpot = await this.settleJackpot(gameRow, jackpotCards, transaction);
+          await this.closePot(gameRow, transaction);
+        }
+        
+        return { winners, allWinners, prize, users, stage, stageIndex, final, jackpot, pot: parseFloat(gameRow.pot) };
+      });
+      
+      if (!payout) return false;
+      
+      const { winners, prize, users, stage, final } = payout;
+      const [firstWinner] = winners;
+      const usersById = new Map(users.map(user => [user.id, user]));
+      
+      // Update game object
+      game.pot = payout.pot;
+      game.winners = payout.allWinners;
+      
+      if (final) {
+        game.winner_id = firstWinner.userId;
+        game.winning_card = firstWinner.cardNumber;
+        game.winning_pattern = firstWinner.pattern;
+        game.end_time = endTime;
+        
+        // Remove from active games
+        await this.releaseCardIndex(gameId);
+        this.activeGames.delete(gameId);
+        this.revealSeed(gameId);
+        await this.releaseLease(gameId);
+      } else {
+        // Next stage: calls carry on
+        game.status = 'active';
+        game.prize_stage = payout.stageIndex + 1;
+        game.stageOpenedAt = this.clock.now();
+        game.claimsClosingAt = null;
+      }
+      
+      // Broadcast winners
+      this.emit('winnersDeclared', {
         gameId,
-        winner: {
-          id: userId,
-          username: winner.username,
-          avatar: winner.avatar
-        },
-        winningCard: cardNumber,
-        winnings,
-        pot: game.pot
+        stage: stage.name,
+        final,
+        winners: winners.map(w => {
+          const user = usersById.get(w.userId);
+          return {
+            id: w.userId,
+            username: user ? user.username : null,
+            avatar: user ? user.avatar : null,
+            cardNumber: w.cardNumber,
+            pattern: w.pattern,
+            amount: w.amount
+          };
+        }),
+        prize: fromCents(prize),
+        pot: game.pot,
+        currency
       });
       
-      console.log(`🏆 Winner Declared: ${winner.username} won $${winnings} in game ${gameId}`);
+      console.log(`🏆 ${winners.length} winner(s) shared ${formatMoney(fromCents(prize), currency)} for ${stage.name} in game ${gameId}`);
       
-      // Start new game after delay
-      setTimeout(() => {
-        this.createNewGame();
-      }, 10000); // 10 seconds delay
+      this.announceJackpot(gameId, payout.jackpot);
+      
+      if (final) {
+        // Top up the room after delay
+        this.clock.setTimeout(() => {
+          return this.fillRoom(game.room_id);
+        }, 10000); // 10 seconds delay
+      }
+      
+      return !final;
       
     } catch (error) {
-      console.error('Error declaring winner:', error);
+      // Nothing was committed, let the next call try again
+      game.status = 'active';
+      console.error('Error declaring winners:', error);
+      return false;
+    }
+  }
+  
+  // Fund the room jackpot from this game's house fee and pay it to the given cards.
+  // Runs inside the transaction that completes the game, after the game row lock.
+  async settleJackpot(gameRow, jackpotCards, transaction) {
+    const config = gameRow.settings.jackpot;
+    if (!config || !gameRow.room_id) return null;
+    
+    const room = await Room.findByPk(gameRow.room_id, { transaction, lock: transaction.LOCK.UPDATE });
+    const currency = this.currencyOf(gameRow);
+    // The jackpot is held in the room's currency; a game in any other takes no part
+    if (!room || room.currency !== currency) return null;
+    
+    const jackpotAccount = Wallet.jackpot(room.id, currency);
+    const seed = toCents(room.jackpot_seed);
+    const cap = room.jackpot_cap === null ? Infinity : toCents(room.jackpot_cap);
+    let balance = toCents(room.jackpot_amount);
+    
+    // A new or re-seeded jackpot starts from the seed amount
+    if (balance < seed) {
+      await Wallet.transfer('jackpot_seed', Wallet.house(currency), jackpotAccount, seed - balance, transaction, {
+        metadata: { game_id: gameRow.id, room_id: room.id }
+      });
+      balance = seed;
+    }
+    
+    // The slice comes out of the house fee, never the players' prize, and stops at the cap
+    const potCents = toCents(gameRow.pot);
+    const houseCents = potCents - prizeCents(gameRow.pot, gameRow.settings.house_fee);
+    const contribution = Math.max(0, Math.min(
+      Math.floor(potCents * config.share + 1e-6),
+      houseCents,
+      cap - balance
+    ));
+    
+    if (contribution > 0) {
+      await Wallet.transfer('jackpot_contribution', Wallet.pot(gameRow.id, currency), jackpotAccount, contribution, transaction, {
+        metadata: { game_id: gameRow.id, room_id: room.id }
+      });
+      balance += contribution;
+    }
+    
+    const payouts = [];
+    if (jackpotCards.length > 0 && balance > 0) {
+      const shares = splitCents(balance, jackpotCards.length);
+      const toBase = await ExchangeService.baseValue(currency, transaction);
+      
+      for (const [index, card] of jackpotCards.entries()) {
+        const amount = fromCents(shares[index]);
+        
+        await Wallet.transfer('jackpot_win', jackpotAccount, Wallet.user(card.userId, currency), shares[index], transaction, {
+          userId: card.userId,
+          metadata: {
+            game_id: gameRow.id,
+            room_id: room.id,
+            card_number: card.cardNumber,
+            calls: gameRow.called_numbers.length
+          }
+        });
+        await User.increment(
+          { total_won: toBase(amount) },
+          { where: { id: card.userId }, transaction }
+        );
+        
+        payouts.push({ userId: card.userId, cardNumber: card.cardNumber, amount });
+      }
+      
+      await gameRow.update({ jackpot_won: fromCents(balance) }, { transaction });
+      
+      balance = 0;
+      if (seed > 0) {
+        await Wallet.transfer('jackpot_seed', Wallet.house(currency), jackpotAccount, seed, transaction, {
+          metadata: { game_id: gameRow.id, room_id: room.id }
+        });
+        balance = seed;
+      }
+    }
+    
+    await room.update({ jackpot_amount: fromCents(balance) }, { transaction });
+    
+    return {
+      roomId: room.id,
+      currency,
+      amount: fromCents(balance),
+      contribution: fromCents(contribution),
+      payouts
+    };
+  }
+  
+  // What the pot still holds once prizes and the jackpot slice are out is the house fee
+  async closePot(gameRow, transaction) {
+    const currency = this.currencyOf(gameRow);
+    await Wallet.sweep('house_fee', Wallet.pot(gameRow.id, currency), Wallet.house(currency), transaction, {
+      metadata: { game_id: gameRow.id, room_id: gameRow.room_id, pot: gameRow.pot }
+    });
+  }
+  
+  announceJackpot(gameId, jackpot) {
+    if (!jackpot) return;
+    
+    const room = this.rooms.get(jackpot.roomId);
+    if (room) room.jackpot_amount = jackpot.amount;
+    
+    if (jackpot.payouts.length > 0) {
+      this.emit('jackpotWon', {
+        gameId,
+        roomId: jackpot.roomId,
+        currency: jackpot.currency,
+        winners: jackpot.payouts,
+        total: fromCents(jackpot.payouts.reduce((sum, p) => sum + toCents(p.amount), 0))
+      });
+      console.log(`💎 Jackpot paid to ${jackpot.payouts.length} card(s) in game ${gameId}`);
     }
+    
+    this.emit('jackpotUpdated', {
+      roomId: jackpot.roomId,
+      currency: jackpot.currency,
+      amount: jackpot.amount,
+      contribution: jackpot.contribution
+    });
+  }
+  
+  // Current jackpot of a room, or null when the room has none
+  getJackpot(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !room.jackpot_enabled) return null;
+    
+    return {
+      amount: parseFloat(room.jackpot_amount),
+      currency: room.currency,
+      calls: room.jackpot_calls,
+      cap: room.jackpot_cap === null ? null : parseFloat(room.jackpot_cap)
+    };
   }
   
   async endGame(gameId) {
@@ -525,14 +1538,31 @@ class GameEngine extends EventEmitter {
       const game = this.activeGames.get(gameId);
       if (!game) return;
       
-      // Update game status
-      await Game.update(
-        { status: 'completed', end_time: new Date() },
-        { where: { id: gameId } }
-      );
+      // Completing the game and funding the jackpot commit together
+      const ended = await runSerializable(async (transaction) => {
+        const gameRow = await Game.findByPk(gameId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!gameRow || gameRow.status !== 'active') return null;
+        
+        // Open the pot account before the row changes under it
+        await Wallet.balanceOf(Wallet.pot(gameId, this.currencyOf(game)), transaction);
+        
+        // Update game status
+        await gameRow.update(
+          { status: 'completed', end_time: new Date(this.clock.now()) },
+          { transaction }
+        );
+        
+        const jackpot = await this.settleJackpot(gameRow, [], transaction);
+        await this.closePot(gameRow, transaction);
+        
+        return { jackpot };
+      });
       
       // Remove from active games
+      await this.releaseCardIndex(gameId);
       this.activeGames.delete(gameId);
+      this.revealSeed(gameId);
+      await this.releaseLease(gameId);
       
       this.emit('gameEnded', {
         gameId,
@@ -542,9 +1572,11 @@ class GameEngine extends EventEmitter {
       
       console.log(`⏰ Game Ended: ${gameId} - No winner`);
       
-      // Start new game
-      setTimeout(() => {
-        this.createNewGame();
+      if (ended) this.announceJackpot(gameId, ended.jackpot);
+      
+      // Top up the room
+      this.clock.setTimeout(() => {
+        return this.fillRoom(game.room_id);
       }, 5000);
       
     } catch (error) {
@@ -552,59 +1584,101 @@ class GameEngine extends EventEmitter {
     }
   }
   
-  async cancelGame(gameId) {
+  async cancelGame(gameId, reason = null) {
     try {
-      const game = this.waitingGames.get(gameId);
+      const game = this.waitingGames.get(gameId) || this.activeGames.get(gameId);
       if (!game) return;
       
-      // Update game status
-      await Game.update(
-        { status: 'cancelled', end_time: new Date() },
-        { where: { id: gameId } }
-      );
-      
-      // Refund all card purchases
-      const cards = await Card.findAll({
-        where: { 
-          game_id: gameId,
-          user_id: { $not: null }
-        }
-      });
-      
-      for (const card of cards) {
-        await User.increment('balance', {
-          by: game.settings.bet_amount,
-          where: { id: card.user_id }
-        });
+      // Status change and every refund commit together
+      const refunded = await runSerializable(async (transaction) => {
+        const gameRow = await Game.findByPk(gameId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!gameRow || !['waiting', 'active'].includes(gameRow.status)) return null;
         
-        await Transaction.create({
-          user_id: card.user_id,
-          type: 'refund',
-          amount: game.settings.bet_amount,
-          status: 'completed',
-          metadata: { game_id: gameId, card_number: card.card_number }
+        // Refund all card purchases
+        const cards = await Card.findAll({
+          where: { 
+            game_id: gameId,
+            user_id: { [Op.ne]: null }
+          },
+          transaction,
+          lock: transaction.LOCK.UPDATE
         });
-      }
+        
+        // Only games that took money have a pot to settle
+        const currency = this.currencyOf(game);
+        const potAccount = Wallet.pot(gameId, currency);
+        const settlePot = cards.length > 0 || toCents(gameRow.pot) > 0;
+        const potBalance = settlePot ? await Wallet.balanceOf(potAccount, transaction) : 0;
+        
+        // Update game status
+        await gameRow.update(
+          { status: 'cancelled', end_time: new Date(this.clock.now()) },
+          { transaction }
+        );
+        
+        // Prizes already paid in an aborted game leave the pot short; the house covers it
+        const betCents = toCents(game.settings.bet_amount);
+        const shortfall = betCents * cards.length - potBalance;
+        if (shortfall > 0) {
+          await Wallet.post('refund_cover', [[Wallet.house(currency), -shortfall], [potAccount, shortfall]], transaction);
+        }
+        
+        for (const card of cards) {
+          await Wallet.transfer('refund', potAccount, Wallet.user(card.user_id, currency), betCents, transaction, {
+            userId: card.user_id,
+            metadata: { game_id: gameId, card_number: card.card_number }
+          });
+        }
+        
+        // Fines paid into the pot stay with the house
+        if (settlePot) {
+          await this.closePot(gameRow, transaction);
+        }
+        
+        return cards.length;
+      });
       
-      // Remove from waiting games
+      // Remove from waiting or active games
+      this.stopCalling(gameId);
       this.waitingGames.delete(gameId);
+      this.activeGames.delete(gameId);
+      this.cardIndexes.delete(gameId);
+      this.revealSeed(gameId);
+      await this.releaseLease(gameId);
       
       // Clear timer
       if (this.gameTimers.has(gameId)) {
-        clearTimeout(this.gameTimers.get(gameId));
+        this.clock.clearTimeout(this.gameTimers.get(gameId));
         this.gameTimers.delete(gameId);
       }
       
-      console.log(`❌ Game Cancelled: ${gameId}`);
+      if (refunded !== null) {
+        this.emit('gameCancelled', { gameId, reason, refundedCards: refunded });
+        console.log(`❌ Game Cancelled: ${gameId} (${refunded} cards refunded)`);
+      }
       
-      // Start new game
-      this.createNewGame();
+      // Top up the room
+      this.fillRoom(game.room_id);
       
     } catch (error) {
       console.error('Error cancelling game:', error);
     }
   }
   
+  revealSeed(gameId) {
+    const serverSeed = this.serverSeeds.get(gameId);
+    this.drawSequences.delete(gameId);
+    if (!serverSeed) return;
+    
+    this.serverSeeds.delete(gameId);
+    
+    this.emit('seedRevealed', {
+      gameId,
+      serverSeed,
+      serverSeedHash: ProvablyFair.hashSeed(serverSeed)
+    });
+  }
+  
   broadcastCountdown(gameId, secondsLeft) {
     this.emit('gameCountdown', {
       gameId,
@@ -615,35 +1689,96 @@ class GameEngine extends EventEmitter {
   
   startCleanupJob() {
     // Clean up old games every hour
-    setInterval(async () => {
+    this.clock.setInterval(async () => {
+      if (!this.isLeader) return;
+      
       try {
-        const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const oneDayAgo = new Date(this.clock.now() - 24 * 60 * 60 * 1000);
         
-        await Game.destroy({
+        // Played games are history and stay; only cancelled games nobody bought into go
+        const removed = await Game.destroy({
           where: {
-            status: 'completed',
-            end_time: { $lt: oneDayAgo }
+            status: 'cancelled',
+            end_time: { [Op.lt]: oneDayAgo },
+            pot: 0,
+            id: { [Op.notIn]: Game.sequelize.literal('(SELECT DISTINCT game_id FROM cards)') }
           }
         });
         
-        console.log('🧹 Cleaned up old games');
+        console.log(`🧹 Cleaned up ${removed} empty cancelled games`);
       } catch (error) {
         console.error('Error cleaning up games:', error);
       }
     }, 60 * 60 * 1000); // Every hour
   }
   
+  // Rooms with their next waiting game, for the lobby
+  async getLobby() {
+    // Read from the database so every node shows games driven by any node
+    const openGames = (await Game.findAll({
+      where: { status: ['waiting', 'active'] },
+      attributes: ['id', 'game_id', 'room_id', 'status', 'start_time', 'pot']
+    })).map(game => game.toJSON());
+    const waiting = openGames.filter(game => game.status === 'waiting');
+    const active = openGames.filter(game => game.status === 'active');
+    
+    const soldCounts = waiting.length > 0 ? await Card.count({
+      where: {
+        game_id: waiting.map(game => game.id),
+        user_id: { [Op.ne]: null }
+      },
+      group: ['game_id']
+    }) : [];
+    const soldByGame = new Map(soldCounts.map(row => [row.game_id, parseInt(row.count)]));
+    
+    const now = this.clock.now();
+    
+    return [...this.rooms.values()].map(room => {
+      const roomGames = waiting
+        .filter(game => game.room_id === room.id)
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+      const nextGame = roomGames[0];
+      
+      return {
+        id: room.id,
+        slug: room.slug,
+        name: room.name,
+        currency: room.currency,
+        betAmount: parseFloat(room.bet_amount),
+        houseFee: parseFloat(room.house_fee),
+        gameDuration: room.game_duration,
+        maxCardsPerPlayer: room.max_cards_per_player,
+        cardCount: room.card_count,
+        jackpot: this.getJackpot(room.id),
+        minPlayers: room.min_players,
+        guaranteedPrize: room.guaranteed_prize ? parseFloat(room.guaranteed_prize) : null,
+        waitingGames: roomGames.length,
+        activeGames: active.filter(game => game.room_id === room.id).length,
+        nextGame: nextGame ? {
+          id: nextGame.id,
+          gameId: nextGame.game_id,
+          startTime: nextGame.start_time,
+          countdown: Math.max(0, Math.ceil((new Date(nextGame.start_time).getTime() - now) / 1000)),
+          pot: parseFloat(nextGame.pot),
+          cardsSold: soldByGame.get(nextGame.id) || 0
+        } : null
+      };
+    });
+  }
+  
+  // Our own copy when this node drives the game, otherwise the database row
   async getGameState(gameId) {
     const game = this.waitingGames.get(gameId) || this.activeGames.get(gameId);
     if (!game) {
-      return await Game.findByPk(gameId);
+      const row = await Game.findByPk(gameId);
+      return row ? row.toJSON() : null;
     }
     return game;
   }
   
   async joinGame(gameId, userId) {
     try {
-      const game = this.waitingGames.get(gameId);
+      const game = await this.getGameState(gameId);
       if (!game || game.status !== 'waiting') {
         throw new Error('Game not available for joining');
       }
@@ -668,67 +1803,279 @@ class GameEngine extends EventEmitter {
     }
   }
   
-  async purchaseCard(gameId, userId, cardNumber) {
+  // Free cards for players who paid elsewhere, e.g. tournament entrants; numbered from 1 in player order
+  async seatPlayers(gameId, userIds, cardsPerPlayer = 1) {
+    const game = this.waitingGames.get(gameId);
+    if (!game) {
+      throw new Error('Game not available for seating');
+    }
+    
+    if (userIds.length * cardsPerPlayer > game.settings.card_count) {
+      throw new Error('Not enough cards for every player');
+    }
+    
+    const layouts = await CardCatalogue.getCatalogue(game.settings.variant, game.settings.card_season);
+    const purchasedAt = new Date(this.clock.now());
+    
+    const cards = userIds.flatMap((userId, index) =>
+      Array.from({ length: cardsPerPlayer }, (_, offset) => {
+        const cardNumber = index * cardsPerPlayer + offset + 1;
+        return {
+          game_id: gameId,
+          card_number: cardNumber,
+          numbers: layouts[cardNumber - 1].numbers,
+          user_id: userId,
+          purchased_at: purchasedAt
+        };
+      })
+    );
+    
+    await Card.bulkCreate(cards);
+    
+    this.emit('playersSeated', { gameId, players: userIds.length, cards: cards.length });
+    return cards.length;
+  }
+  
+  // Buy for every active auto-buy rule of the game's room, oldest rule first
+  async fulfilAutoBuys(game) {
+    if (!game.room_id) return;
+    
     try {
-      const game = this.waitingGames.get(gameId);
-      if (!game || game.status !== 'waiting') {
-        throw new Error('Game not available for card purchase');
+      const rules = await AutoBuy.findAll({
+        where: { room_id: game.room_id, is_active: true },
+        order: [['created_at', 'ASC']]
+      });
+      if (rules.length === 0) return;
+      
+      const taken = new Set((await Card.findAll({
+        where: { game_id: game.id },
+        attributes: ['card_number']
+      })).map(card => card.card_number));
+      
+      for (const rule of rules) {
+        try {
+          await this.fulfilAutoBuy(game, rule, taken);
+        } catch (error) {
+          console.error(`Error fulfilling auto-buy ${rule.id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error fulfilling auto-buys:', error);
+    }
+  }
+  
+  // Favourite numbers first, then random free cards; a rule stops when its games are
+  // used up or the balance would drop below its limit
+  async fulfilAutoBuy(game, rule, taken) {
+    const cardCount = game.settings.card_count;
+    const favourites = rule.card_numbers.filter(n => n >= 1 && n <= cardCount && !taken.has(n));
+    
+    const randomFreeCard = () => {
+      const free = [];
+      for (let n = 1; n <= cardCount; n++) {
+        if (!taken.has(n)) free.push(n);
       }
+      return free.length > 0 ? free[Math.floor(this.random() * free.length)] : null;
+    };
+    
+    let bought = 0;
+    let stoppedReason = null;
+    
+    while (bought < rule.cards_per_game) {
+      const cardNumber = favourites.length > 0 ? favourites.shift() : randomFreeCard();
+      if (cardNumber === null) break;
+      taken.add(cardNumber);
       
-      // Check if card is available
-      const card = await Card.findOne({
-        where: {
-          game_id: gameId,
-          card_number: cardNumber,
-          user_id: null
+      try {
+        await this.purchaseCard(game.id, rule.user_id, cardNumber, { minBalance: rule.min_balance });
+        bought++;
+      } catch (error) {
+        // Sold meanwhile on another node: try the next card
+        if (['Card not available', 'Card is held by another player'].includes(error.message)) continue;
+        
+        if (['Insufficient balance', 'Balance below auto-buy limit'].includes(error.message)) {
+          stoppedReason = 'balance';
         }
+        break;
+      }
+    }
+    
+    let gamesRemaining = rule.games_remaining;
+    if (bought > 0 && gamesRemaining !== null) {
+      gamesRemaining--;
+      if (gamesRemaining <= 0) stoppedReason = stoppedReason || 'completed';
+    }
+    
+    await rule.update({
+      games_bought: rule.games_bought + (bought > 0 ? 1 : 0),
+      games_remaining: gamesRemaining,
+      last_game_id: bought > 0 ? game.id : rule.last_game_id,
+      is_active: !stoppedReason,
+      stopped_reason: stoppedReason
+    });
+    
+    if (bought > 0 || stoppedReason) {
+      this.emit('autoBuyFulfilled', {
+        autoBuyId: rule.id,
+        userId: rule.user_id,
+        gameId: game.id,
+        cards: bought,
+        gamesRemaining,
+        stoppedReason
       });
+    }
+  }
+  
+  // Reserve an unsold card while the player decides; other players see it as held
+  async holdCard(gameId, userId, cardNumber) {
+    const game = await this.getGameState(gameId);
+    if (!game || game.status !== 'waiting') {
+      throw new Error('Game not available for card purchase');
+    }
+    
+    if (!Number.isInteger(cardNumber) || cardNumber < 1 || cardNumber > game.settings.card_count) {
+      throw new Error('Card not available');
+    }
+    
+    const taken = await Card.count({ where: { game_id: gameId, card_number: cardNumber } });
+    if (taken > 0) {
+      throw new Error('Card not available');
+    }
+    
+    const expiresAt = await CardHolds.hold(gameId, String(userId), cardNumber, this.clock.now());
+    
+    this.emit('cardHeld', { gameId, userId, cardNumber, expiresAt });
+    
+    return { cardNumber, expiresAt };
+  }
+  
+  async releaseCardHold(gameId, userId, cardNumber) {
+    const holder = await CardHolds.holderOf(gameId, cardNumber);
+    if (holder !== String(userId)) {
+      throw new Error('Card is not held by you');
+    }
+    
+    await CardHolds.release(gameId, String(userId), cardNumber);
+    
+    this.emit('cardReleased', { gameId, userId, cardNumber });
+  }
+  
+  async getCardHolds(gameId, userId = null) {
+    const holds = await CardHolds.list(gameId);
+    return holds.map(hold => ({
+      cardNumber: hold.cardNumber,
+      mine: userId !== null && hold.userId === String(userId)
+    }));
+  }
+  
+  // options.minBalance: refuse a purchase that would take the balance below it (auto-buy limits)
+  // options.clientSeed: the buyer's own seed for the draw
+  async purchaseCard(gameId, userId, cardNumber, options = {}) {
+    try {
+      const clientSeed = options.clientSeed ? ProvablyFair.checkClientSeed(options.clientSeed) : null;
       
-      if (!card) {
-        throw new Error('Card not available');
+      // Any node can sell cards; the row lock below keeps nodes consistent
+      const game = await this.getGameState(gameId);
+      if (!game || game.status !== 'waiting') {
+        throw new Error('Game not available for card purchase');
       }
       
-      // Check user balance
-      const user = await User.findByPk(userId);
-      if (user.balance < game.settings.bet_amount) {
-        throw new Error('Insufficient balance');
+      if (game.tournament_id) {
+        throw new Error('Tournament rounds are entered by registering for the tournament');
       }
       
-      // Deduct balance
-      await User.decrement('balance', {
-        by: game.settings.bet_amount,
-        where: { id: userId }
-      });
+      const betAmount = game.settings.bet_amount;
+      const currency = this.currencyOf(game);
       
-      // Update card ownership
-      card.user_id = userId;
-      card.purchased_at = new Date();
-      await card.save();
+      // The game sells card numbers 1..card_count of its season catalogue
+      const layout = cardNumber <= game.settings.card_count
+        ? await CardCatalogue.getLayout(game.settings.variant, game.settings.card_season, cardNumber)
+        : null;
+      if (!layout) {
+        throw new Error('Card not available');
+      }
       
-      // Update game pot
-      game.pot += game.settings.bet_amount;
-      await Game.update(
-        { pot: game.pot },
-        { where: { id: gameId } }
-      );
+      // A card someone is choosing stays theirs until the hold runs out
+      const holder = await CardHolds.holderOf(gameId, cardNumber);
+      if (holder && holder !== String(userId)) {
+        throw new Error('Card is held by another player');
+      }
       
-      // Update in memory
-      this.waitingGames.set(gameId, game);
-      
-      // Create transaction
-      await Transaction.create({
-        user_id: userId,
-        type: 'bet',
-        amount: game.settings.bet_amount,
-        status: 'completed',
-        metadata: { game_id: gameId, card_number: cardNumber }
+      // Game row first, then card, then user: every purchase locks in the same order
+      const purchase = await runSerializable(async (transaction) => {
+        const gameRow = await Game.findByPk(gameId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!gameRow || gameRow.status !== 'waiting') {
+          throw new Error('Game not available for card purchase');
+        }
+        
+        // Only sold cards have a row, so an existing row means the card is taken
+        const taken = await Card.count({
+          where: {
+            game_id: gameId,
+            card_number: cardNumber
+          },
+          transaction
+        });
+        
+        if (taken > 0) {
+          throw new Error('Card not available');
+        }
+        
+        const userCardCount = await Card.count({
+          where: { game_id: gameId, user_id: userId },
+          transaction
+        });
+        
+        if (userCardCount >= game.settings.max_cards_per_player) {
+          throw new Error('Maximum cards per player reached');
+        }
+        
+        // Check user balance
+        const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!user) {
+          throw new Error('User not found');
+        }
+        
+        const balance = toCents(Wallet.balanceIn(user, currency));
+        if (balance < toCents(betAmount)) {
+          throw new Error('Insufficient balance');
+        }
+        
+        if (options.minBalance && balance - toCents(betAmount) < toCents(options.minBalance)) {
+          throw new Error('Balance below auto-buy limit');
+        }
+        
+        // Record card ownership
+        const card = await Card.create({
+          game_id: gameId,
+          card_number: cardNumber,
+          numbers: layout.numbers,
+          user_id: userId,
+          client_seed: clientSeed,
+          purchased_at: new Date(this.clock.now())
+        }, { transaction });
+        
+        // Stake moves from the player to the game pot
+        await Wallet.transfer('bet', Wallet.user(userId, currency), Wallet.pot(gameId, currency), toCents(betAmount), transaction, {
+          userId,
+          metadata: { game_id: gameId, card_number: cardNumber }
+        });
+        await User.increment('games_played', { where: { id: userId }, transaction });
+        
+        // Update game pot
+        const pot = fromCents(toCents(gameRow.pot) + toCents(betAmount));
+        await gameRow.update({ pot }, { transaction });
+        
+        return { card, pot };
       });
       
-      // Increment user games played
-      await User.increment('games_played', {
-        by: 1,
-        where: { id: userId }
-      });
+      // Update in memory
+      game.pot = purchase.pot;
+      
+      // The purchase converts the buyer's hold
+      if (holder) {
+        await CardHolds.release(gameId, String(userId), cardNumber);
+      }
       
       this.emit('cardPurchased', {
         gameId,
@@ -737,7 +2084,7 @@ class GameEngine extends EventEmitter {
         pot: game.pot
       });
       
-      return card;
+      return purchase.card;
       
     } catch (error) {
       console.error('Error purchasing card:', error);
@@ -747,3 +2094,4 @@ class GameEngine extends EventEmitter {
 }
 
 module.exports = new GameEngine();
+module.exports.GameEngine = GameEngine;
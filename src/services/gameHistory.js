@@ -0,0 +1,111 @@
+const CardIndex = require('./cardIndex');
+const { getVariant, getStages } = require('./variants');
+const { Game, Card, GameEvent } = require('../models');
+
+// Per-second countdown ticks carry nothing a replay needs
+const UNLOGGED_EVENTS = ['gameCountdown'];
+
+// The game an engine event belongs to; game snapshots carry it as `id`
+const gameIdOf = (event, payload) => {
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.gameId) return payload.gameId;
+  return ['gameCreated', 'gameStarted'].includes(event) ? payload.id || null : null;
+};
+
+// Every game event goes to an append-only log, written in emit order. A replay
+// re-applies the log to the game's cards, so support can see what each card
+// showed after every call.
+class GameHistory {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  // Queue the event behind earlier ones; logging never holds up or fails the game
+  record(event, payload, { nodeId = null, at = Date.now() } = {}) {
+    const gameId = gameIdOf(event, payload);
+    if (!gameId || UNLOGGED_EVENTS.includes(event)) return this.tail;
+
+    this.tail = this.tail
+      .then(() => GameEvent.create({
+        game_id: gameId,
+        event,
+        payload: JSON.parse(JSON.stringify(payload)),
+        node_id: nodeId,
+        occurred_at: new Date(at)
+      }))
+      .catch(error => console.error(`Error logging ${event} for game ${gameId}:`, error));
+
+    return this.tail;
+  }
+
+  async getEvents(gameId) {
+    return GameEvent.findAll({
+      where: { game_id: gameId },
+      order: [['id', 'ASC']]
+    });
+  }
+
+  // Frames in log order; number calls carry the state of every card (or only userId's cards)
+  async *replay(gameId, { userId = null } = {}) {
+    const game = await Game.findByPk(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    const variant = getVariant(game.settings.variant);
+    const stages = getStages(game.settings);
+    const where = { game_id: gameId };
+    if (userId) where.user_id = userId;
+
+    const cards = await Card.findAll({ where, order: [['card_number', 'ASC']] });
+    const index = new CardIndex(variant);
+    cards.forEach(card => index.add(card));
+
+    let stageIndex = 0;
+    index.setPatterns(stages[stageIndex].patterns);
+
+    const events = await this.getEvents(gameId);
+    let call = 0;
+
+    for (const [seq, record] of events.entries()) {
+      const frame = {
+        seq: seq + 1,
+        event: record.event,
+        at: record.occurred_at,
+        payload: record.payload
+      };
+
+      if (record.event === 'numberCalled') {
+        call++;
+        index.mark(record.payload.number.number);
+        frame.call = call;
+        frame.stage = stages[stageIndex].name;
+        frame.cards = cards.map(card => ({
+          cardNumber: card.card_number,
+          userId: card.user_id,
+          marked: [...index.cards.get(card.card_number).marked],
+          progress: index.progress(card.card_number),
+          complete: index.patternFor(card.card_number)
+        }));
+      }
+
+      yield frame;
+
+      // Later calls play for the next prize stage
+      if (record.event === 'winnersDeclared' && record.payload.final === false && stageIndex < stages.length - 1) {
+        stageIndex++;
+        index.setPatterns(stages[stageIndex].patterns);
+      }
+    }
+  }
+
+  // Single frame after the given call, or null if the game never got that far
+  async frameAtCall(gameId, callNumber, options = {}) {
+    for await (const frame of this.replay(gameId, options)) {
+      if (frame.call === callNumber) return frame;
+    }
+    return null;
+  }
+}
+
+module.exports = new GameHistory();
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const GameEngine = require('./gameEngine');
+const TelegramService = require('./telegramService');
+const Wallet = require('./wallet');
+const ExchangeService = require('./exchangeService');
+const { getProvider, listProviders } = require('./payments');
+const { toCents, fromCents, formatMoney } = require('../utils/money');
+const { runSerializable } = require('../utils/transaction');
+const { Transaction, User } = require('../models');
+
+const LIMITS = {
+  min: parseFloat(process.env.PAYMENT_MIN_DEPOSIT || 10),
+  max: parseFloat(process.env.PAYMENT_MAX_DEPOSIT || 50000)
+};
+
+// Mobile money deposits. A checkout creates a pending 'deposit' transaction with
+// the provider as its network and our checkout reference as its tx_hash; the
+// provider's signed callback (or a status query when the player comes back)
+// settles it. Credits go through the ledger from custody, once per reference, to
+// the player's balance in the provider's currency.
+class PaymentService {
+  get limits() {
+    return LIMITS;
+  }
+
+  listProviders() {
+    return listProviders();
+  }
+
+  callbackUrl(provider) {
+    return `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/payments/${provider.key}/webhook`;
+  }
+
+  newReference() {
+    return `GB${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`.toUpperCase();
+  }
+
+  async checkout(userId, providerKey, { amount, returnUrl } = {}) {
+    const provider = getProvider(providerKey);
+
+    const cents = toCents(amount);
+    if (!(cents > 0) || fromCents(cents) !== parseFloat(amount)) {
+      throw new Error('Amount must be positive, in whole cents');
+    }
+    if (cents < toCents(LIMITS.min) || cents > toCents(LIMITS.max)) {
+      throw new Error(`Deposits must be between ${LIMITS.min} and ${LIMITS.max} ${provider.currency}`);
+    }
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.is_banned) {
+      throw new Error('Account is suspended');
+    }
+
+    const reference = this.newReference();
+    const record = await Transaction.create({
+      user_id: userId,
+      type: 'deposit',
+      amount: fromCents(cents),
+      status: 'pending',
+      network: provider.key,
+      currency: provider.currency,
+      tx_hash: reference,
+      metadata: { provider: provider.key }
+    });
+
+    let checkout;
+    try {
+      checkout = await provider.createCheckout({
+        reference,
+        amount: fromCents(cents),
+        user,
+        callbackUrl: this.callbackUrl(provider),
+        returnUrl: returnUrl || `${process.env.WEB_APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000'}/wallet?reference=${reference}`
+      });
+    } catch (error) {
+      console.error(`${provider.name} checkout error:`, error.message);
+      await record.update({ status: 'failed', metadata: { ...record.metadata, reason: 'checkout_failed' } });
+      throw new Error(`${provider.name} is not available right now`);
+    }
+
+    await record.update({
+      metadata: { ...record.metadata, provider_reference: checkout.providerReference, checkout_url: checkout.checkoutUrl }
+    });
+
+    return { reference, checkoutUrl: checkout.checkoutUrl, transaction: record };
+  }
+
+  // A provider callback; throws if the signature does not check out
+  async handleWebhook(providerKey, { headers, rawBody, body }) {
+    const provider = getProvider(providerKey);
+    const result = provider.verifyCallback({ headers, rawBody: rawBody ? rawBody.toString('utf8') : null, body });
+    return this.apply(provider, result);
+  }
+
+  // Ask the provider about one of the player's pending deposits, e.g. when they return from checkout
+  async sync(userId, reference) {
+    const record = await Transaction.findOne({ where: { user_id: userId, type: 'deposit', tx_hash: reference } });
+    if (!record || !record.metadata.provider) {
+      throw new Error('Payment not found');
+    }
+    if (!['pending', 'failed'].includes(record.status)) return record;
+
+    const provider = getProvider(record.network);
+    return this.apply(provider, await provider.queryStatus(reference));
+  }
+
+  async apply(provider, result) {
+    const record = await Transaction.findOne({
+      where: { type: 'deposit', network: provider.key, tx_hash: result.reference }
+    });
+    if (!record) {
+      throw new Error('Payment not found');
+    }
+
+    if (result.status === 'success') {
+      return (await this.credit(record.id, result)) || record.reload();
+    }
+
+    if (result.status === 'failed' && record.status === 'pending') {
+      await record.update({ status: 'failed', metadata: { ...record.metadata, reason: 'payment_failed' } });
+    }
+    return record;
+  }
+
+  // The amount the provider confirms is what gets credited. A verified success also
+  // credits a payment marked failed earlier, e.g. after a failure callback the provider
+  // later reversed; the earlier reason is kept on the record for review.
+  async credit(transactionId, result) {
+    const credited = await runSerializable(async (transaction) => {
+      const record = await Transaction.findByPk(transactionId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!record || !['pending', 'failed'].includes(record.status)) return null;
+
+      const recovered = record.status === 'failed';
+      if (recovered) {
+        console.warn(`⚠️ ${record.network} payment ${record.tx_hash} was marked failed (${record.metadata.reason}) but is now paid`);
+      }
+
+      const cents = Number.isFinite(result.amount) ? toCents(result.amount) : toCents(record.amount);
+      if (cents !== toCents(record.amount)) {
+        console.warn(`⚠️ ${record.network} payment ${record.tx_hash} paid ${fromCents(cents)} for ${record.amount}`);
+        await record.update({ amount: fromCents(cents) }, { transaction });
+      }
+
+      await Wallet.complete(record, [
+        [Wallet.custody(record.currency), -cents],
+        [Wallet.user(record.user_id, record.currency), cents]
+      ], transaction, {
+        metadata: {
+          ...record.metadata,
+          provider_reference: result.providerReference || record.metadata.provider_reference,
+          ...(recovered ? { paid_after_failure: record.metadata.reason || true } : {})
+        }
+      });
+
+      const toBase = await ExchangeService.baseValue(record.currency, transaction);
+      await User.increment('total_deposited', { by: toBase(fromCents(cents)), where: { id: record.user_id }, transaction });
+
+      return record;
+    });
+
+    if (!credited) return null;
+
+    const user = await User.findByPk(credited.user_id, { attributes: ['id', 'telegram_id', 'balance', 'balances'] });
+
+    GameEngine.emit('depositCredited', {
+      userId: credited.user_id,
+      transactionId: credited.id,
+      network: credited.network,
+      txHash: credited.tx_hash,
+      amount: parseFloat(credited.amount),
+      currency: credited.currency,
+      balance: user ? Wallet.balanceIn(user, credited.currency) : null
+    });
+    console.log(`💵 Credited ${credited.network} payment of ${formatMoney(credited.amount, credited.currency)} to ${credited.user_id}`);
+
+    if (user && user.telegram_id) {
+      const provider = listProviders().find(p => p.key === credited.network);
+      await TelegramService.sendMessage(user.telegram_id, `
+💵 <b>Deposit received</b>
+
+<b>${formatMoney(credited.amount, credited.currency)}</b> via ${provider ? provider.name : credited.network} has been added to your balance.
+Your new ${credited.currency} balance: ${formatMoney(Wallet.balanceIn(user, credited.currency), credited.currency)}
+      `);
+    }
+
+    return credited;
+  }
+
+  // Take a completed deposit back off the player's balance and return it through the
+  // provider. A refund the provider refused is reversed; one whose outcome is unknown,
+  // e.g. after a timeout, stays pending as 'unconfirmed' until staff check with the
+  // provider and mark it refunded or failed.
+  async refund(transactionId, adminId, reason = null) {
+    const { deposit, refund, provider } = await runSerializable(async (transaction) => {
+      const deposit = await Transaction.findByPk(transactionId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!deposit || deposit.type !== 'deposit' || !deposit.metadata.provider) {
+        throw new Error('Payment not found');
+      }
+      if (deposit.status !== 'completed' || deposit.metadata.refund_id) {
+        throw new Error('Only completed payments can be refunded, once');
+      }
+      const provider = getProvider(deposit.network);
+
+      const cents = toCents(deposit.amount);
+      const refund = await Wallet.record('deposit_refund', [
+        [Wallet.user(deposit.user_id, deposit.currency), -cents],
+        [Wallet.custody(deposit.currency), cents]
+      ], transaction, {
+        userId: deposit.user_id,
+        amount: cents,
+        status: 'pending',
+        network: deposit.network,
+        currency: deposit.currency,
+        tx_hash: deposit.tx_hash,
+        metadata: { deposit_id: deposit.id, reason, refunded_by: adminId }
+      });
+      await deposit.update({ metadata: { ...deposit.metadata, refund_id: refund.id } }, { transaction });
+
+      return { deposit, refund, provider };
+    });
+
+    let result;
+    try {
+      result = await provider.refund({
+        reference: deposit.tx_hash,
+        providerReference: deposit.metadata.provider_reference,
+        amount: parseFloat(deposit.amount),
+        reason
+      });
+    } catch (error) {
+      console.error(`Refund of ${deposit.network} payment ${deposit.tx_hash} failed:`, error.message);
+
+      if (error.rejected) {
+        await runSerializable(async (transaction) => {
+          const record = await Transaction.findByPk(refund.id, { transaction, lock: transaction.LOCK.UPDATE });
+          await this.reverseRefund(record, transaction, { error: error.message });
+        });
+        throw new Error(`Refund failed: ${error.message}`);
+      }
+
+      return refund.update({ metadata: { ...refund.metadata, stage: 'unconfirmed', error: error.message } });
+    }
+
+    return refund.update({ status: 'completed', metadata: { ...refund.metadata, refund_reference: result.refundReference } });
+  }
+
+  // Refunds whose outcome staff still have to check with the provider
+  async unconfirmedRefunds() {
+    return Transaction.findAll({
+      where: { type: 'deposit_refund', status: 'pending', metadata: { stage: 'unconfirmed' } },
+      include: [{ model: User, as: 'user', attributes: ['id', 'username', 'email'] }],
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  // Staff found an unconfirmed refund at the provider: the money went back
+  async confirmRefund(refundId, adminId, refundReference = null) {
+    return this.resolveRefund(refundId, (refund, transaction) =>
+      refund.update({
+        status: 'completed',
+        metadata: { ...refund.metadata, stage: 'refunded', refund_reference: refundReference, reviewed_by: adminId }
+      }, { transaction })
+    );
+  }
+
+  // Staff found no trace of an unconfirmed refund: the player keeps the credit
+  async failRefund(refundId, adminId, reason = 'refund_failed') {
+    return this.resolveRefund(refundId, (refund, transaction) =>
+      this.reverseRefund(refund, transaction, { stage: 'failed', error: reason, reviewed_by: adminId })
+    );
+  }
+
+  async resolveRefund(refundId, change) {
+    return runSerializable(async (transaction) => {
+      const refund = await Transaction.findByPk(refundId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!refund || refund.type !== 'deposit_refund') {
+        throw new Error('Refund not found');
+      }
+      if (refund.status !== 'pending' || refund.metadata.stage !== 'unconfirmed') {
+        throw new Error(`Refund is ${refund.status === 'pending' ? 'in progress' : refund.status}`);
+      }
+
+      return change(refund, transaction);
+    });
+  }
+
+  // Put the amount back on the player's balance and free the deposit for another refund
+  async reverseRefund(refund, transaction, details) {
+    const cents = toCents(refund.amount);
+    const reversed = await Wallet.settle(refund, 'deposit_refund_reversal', [
+      [Wallet.custody(refund.currency), -cents],
+      [Wallet.user(refund.user_id, refund.currency), cents]
+    ], transaction, {
+      status: 'failed',
+      metadata: { ...refund.metadata, ...details }
+    });
+
+    const deposit = await Transaction.findByPk(refund.metadata.deposit_id, { transaction, lock: transaction.LOCK.UPDATE });
+    const metadata = { ...deposit.metadata };
+    delete metadata.refund_id;
+    await deposit.update({ metadata }, { transaction });
+
+    return reversed;
+  }
+}
+
+module.exports = new PaymentService();
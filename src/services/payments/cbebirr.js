@@ -0,0 +1,96 @@
+const axios = require('axios');
+const { signingString, hmacSha256, safeEqual } = require('./signing');
+const { rejected } = require('./errors');
+
+const config = () => ({
+  baseUrl: process.env.CBEBIRR_BASE_URL,
+  merchantId: process.env.CBEBIRR_MERCHANT_ID,
+  tillCode: process.env.CBEBIRR_TILL_CODE,
+  hashKey: process.env.CBEBIRR_HASH_KEY
+});
+
+// Every request and callback is signed: HMAC-SHA256 of the sorted fields with the merchant key
+const sign = (params) => ({ ...params, signature: hmacSha256(config().hashKey, signingString(params)) });
+
+const api = () => axios.create({ baseURL: config().baseUrl, timeout: 15000 });
+
+const toStatus = (status) => {
+  const normalized = String(status || '').toUpperCase();
+  if (['SUCCESS', 'COMPLETED', 'PAID'].includes(normalized)) return 'success';
+  if (['FAILED', 'CANCELLED', 'EXPIRED', 'REJECTED'].includes(normalized)) return 'failed';
+  return 'pending';
+};
+
+// CBE Birr merchant payments through the bank's hosted payment page
+module.exports = {
+  key: 'cbebirr',
+  name: 'CBE Birr',
+  currency: 'ETB',
+
+  isConfigured() {
+    const { baseUrl, merchantId, tillCode, hashKey } = config();
+    return Boolean(baseUrl && merchantId && tillCode && hashKey);
+  },
+
+  async createCheckout({ reference, amount, callbackUrl, returnUrl }) {
+    const { data } = await api().post('/checkout', sign({
+      merchantId: config().merchantId,
+      tillCode: config().tillCode,
+      transactionId: reference,
+      amount: amount.toFixed(2),
+      callbackUrl,
+      returnUrl,
+      timestamp: new Date().toISOString()
+    }));
+
+    if (!data.paymentUrl) {
+      throw new Error(data.message || 'CBE Birr checkout failed');
+    }
+    return { checkoutUrl: data.paymentUrl, providerReference: data.referenceId || null };
+  },
+
+  verifyCallback({ body }) {
+    if (!safeEqual(body.signature, sign(body).signature)) {
+      throw new Error('Invalid signature');
+    }
+
+    return {
+      reference: body.transactionId,
+      providerReference: body.referenceId || null,
+      status: toStatus(body.status),
+      amount: parseFloat(body.amount)
+    };
+  },
+
+  async queryStatus(reference) {
+    const { data } = await api().post('/transactions/status', sign({
+      merchantId: config().merchantId,
+      transactionId: reference,
+      timestamp: new Date().toISOString()
+    }));
+
+    return {
+      reference,
+      providerReference: data.referenceId || null,
+      status: toStatus(data.status),
+      amount: data.amount ? parseFloat(data.amount) : null
+    };
+  },
+
+  async refund({ reference, providerReference, amount, reason }) {
+    const { data } = await api().post('/refunds', sign({
+      merchantId: config().merchantId,
+      transactionId: reference,
+      referenceId: providerReference,
+      amount: amount.toFixed(2),
+      reason: reason || 'Refund',
+      timestamp: new Date().toISOString()
+    }), { validateStatus: status => status < 500 });
+
+    // A 4xx is CBE Birr refusing the refund; a 5xx or no answer leaves the outcome open
+    if (toStatus(data.status) === 'failed') {
+      throw rejected(new Error(data.message || 'CBE Birr refund failed'));
+    }
+    return { refundReference: data.refundId || null };
+  }
+};
@@ -0,0 +1,87 @@
+const axios = require('axios');
+const { hmacSha256, safeEqual } = require('./signing');
+const { rejected } = require('./errors');
+
+const config = () => ({
+  baseUrl: process.env.CHAPA_BASE_URL || 'https://api.chapa.co/v1',
+  secretKey: process.env.CHAPA_SECRET_KEY,
+  webhookSecret: process.env.CHAPA_WEBHOOK_SECRET
+});
+
+const api = () => axios.create({
+  baseURL: config().baseUrl,
+  headers: { Authorization: `Bearer ${config().secretKey}` },
+  timeout: 15000
+});
+
+const toStatus = (status) => {
+  if (status === 'success') return 'success';
+  if (['failed', 'cancelled', 'reversed'].includes(status)) return 'failed';
+  return 'pending';
+};
+
+// Chapa hosted checkout. Webhooks carry an HMAC-SHA256 of the body made with the
+// webhook secret.
+module.exports = {
+  key: 'chapa',
+  name: 'Chapa',
+  currency: 'ETB',
+
+  isConfigured() {
+    return Boolean(config().secretKey && config().webhookSecret);
+  },
+
+  async createCheckout({ reference, amount, user, callbackUrl, returnUrl }) {
+    const { data } = await api().post('/transaction/initialize', {
+      amount: amount.toFixed(2),
+      currency: 'ETB',
+      email: user.email,
+      first_name: user.username,
+      tx_ref: reference,
+      callback_url: callbackUrl,
+      return_url: returnUrl
+    });
+
+    if (data.status !== 'success') {
+      throw new Error(data.message || 'Chapa checkout failed');
+    }
+    return { checkoutUrl: data.data.checkout_url, providerReference: reference };
+  },
+
+  verifyCallback({ headers, rawBody, body }) {
+    const signature = headers['x-chapa-signature'] || headers['chapa-signature'];
+    if (!safeEqual(signature, hmacSha256(config().webhookSecret, rawBody || JSON.stringify(body)))) {
+      throw new Error('Invalid signature');
+    }
+
+    return {
+      reference: body.tx_ref,
+      providerReference: body.reference || null,
+      status: toStatus(body.status),
+      amount: parseFloat(body.amount)
+    };
+  },
+
+  async queryStatus(reference) {
+    const { data } = await api().get(`/transaction/verify/${encodeURIComponent(reference)}`);
+    return {
+      reference,
+      providerReference: data.data ? data.data.reference : null,
+      status: toStatus(data.data ? data.data.status : data.status),
+      amount: data.data ? parseFloat(data.data.amount) : null
+    };
+  },
+
+  async refund({ reference, amount, reason }) {
+    // A 4xx is Chapa refusing the refund; a 5xx or no answer leaves the outcome open
+    const { data } = await api().post(`/refund/${encodeURIComponent(reference)}`, {
+      amount: amount.toFixed(2),
+      reason
+    }, { validateStatus: status => status < 500 });
+
+    if (data.status !== 'success') {
+      throw rejected(new Error(data.message || 'Chapa refund failed'));
+    }
+    return { refundReference: data.data ? data.data.refund_reference || null : null };
+  }
+};
@@ -0,0 +1,8 @@
+// Mark an error where the provider answered and refused the request, so nothing
+// went through and the request can safely be undone
+const rejected = (error) => {
+  error.rejected = true;
+  return error;
+};
+
+module.exports = { rejected };
@@ -0,0 +1,42 @@
+const telebirr = require('./telebirr');
+const cbebirr = require('./cbebirr');
+const chapa = require('./chapa');
+const { rejected } = require('./errors');
+
+// Local payment providers. Each adapter implements:
+//   createCheckout({ reference, amount, user, callbackUrl, returnUrl }) → { checkoutUrl, providerReference }
+//   verifyCallback({ headers, rawBody, body }) → { reference, providerReference, status, amount }, throws on a bad signature
+//   queryStatus(reference) → { reference, providerReference, status, amount }
+//   refund({ reference, providerReference, amount, reason }) → { refundReference }
+// An error marked with rejected() means the provider answered and refused; any other
+// error, e.g. a timeout or a 5xx, leaves it open whether the provider acted on the request.
+// Statuses are normalised to 'success', 'failed' or 'pending'. A provider is offered
+// to players once isConfigured() is true.
+const PROVIDERS = {
+  [telebirr.key]: telebirr,
+  [cbebirr.key]: cbebirr,
+  [chapa.key]: chapa
+};
+
+const registerProvider = (provider) => {
+  PROVIDERS[provider.key] = provider;
+};
+
+const getProvider = (key) => {
+  const provider = PROVIDERS[String(key || '').toLowerCase()];
+  if (!provider || !provider.isConfigured()) {
+    throw new Error('Unknown payment provider');
+  }
+  return provider;
+};
+
+const listProviders = () => Object.values(PROVIDERS)
+  .filter(provider => provider.isConfigured())
+  .map(provider => ({ key: provider.key, name: provider.name, currency: provider.currency }));
+
+module.exports = {
+  rejected,
+  registerProvider,
+  getProvider,
+  listProviders
+};
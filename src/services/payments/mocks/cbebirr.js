@@ -0,0 +1,68 @@
+const express = require('express');
+const { signingString, hmacSha256, safeEqual } = require('../signing');
+const { createOrders, mockId, postCallback, payPage } = require('./common');
+
+// Local stand-in for the CBE Birr merchant API
+const createCbeBirrMock = ({ baseUrl, merchantId = 'MOCKMERCHANT', tillCode = '100100', hashKey = 'cbebirr-mock-key' }) => {
+  const app = express();
+  const orders = createOrders();
+  const sign = (params) => ({ ...params, signature: hmacSha256(hashKey, signingString(params)) });
+  app.use(express.json());
+
+  // Requests must carry the merchant's signature
+  app.use((req, res, next) => {
+    if (req.method === 'POST' && !safeEqual(req.body.signature, sign(req.body).signature)) {
+      return res.status(401).json({ status: 'FAILED', message: 'Invalid signature' });
+    }
+    next();
+  });
+
+  app.post('/checkout', (req, res) => {
+    const { transactionId: id, amount, callbackUrl, returnUrl } = req.body;
+    if (req.body.merchantId !== merchantId || !id || orders.has(id)) {
+      return res.status(400).json({ status: 'FAILED', message: 'Invalid or duplicate transaction' });
+    }
+
+    const order = { id, referenceId: mockId('CBE'), amount, callbackUrl, returnUrl, status: 'pending' };
+    orders.set(id, order);
+    res.json({ paymentUrl: `${baseUrl}/pay/${id}`, referenceId: order.referenceId });
+  });
+
+  app.post('/transactions/status', (req, res) => {
+    const order = orders.get(req.body.transactionId);
+    if (!order) {
+      return res.status(404).json({ status: 'FAILED', message: 'Transaction not found' });
+    }
+    res.json({ transactionId: order.id, referenceId: order.referenceId, status: order.status.toUpperCase(), amount: order.amount });
+  });
+
+  app.post('/refunds', (req, res) => {
+    const order = orders.get(req.body.transactionId);
+    if (!order || order.status !== 'success') {
+      return res.status(400).json({ status: 'FAILED', message: 'Transaction cannot be refunded' });
+    }
+    order.status = 'refunded';
+    res.json({ status: 'SUCCESS', refundId: mockId('RF') });
+  });
+
+  payPage(app, '/pay/:id', req => orders.get(req.params.id), order => postCallback(order.callbackUrl, sign({
+    transactionId: order.id,
+    referenceId: order.referenceId,
+    status: order.status.toUpperCase(),
+    amount: order.amount,
+    timestamp: new Date().toISOString()
+  })));
+
+  return {
+    app,
+    orders,
+    env: {
+      CBEBIRR_BASE_URL: baseUrl,
+      CBEBIRR_MERCHANT_ID: merchantId,
+      CBEBIRR_TILL_CODE: tillCode,
+      CBEBIRR_HASH_KEY: hashKey
+    }
+  };
+};
+
+module.exports = createCbeBirrMock;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { hmacSha256 } = require('../signing');
+const { createOrders, mockId, postCallback, payPage } = require('./common');
+
+// Local stand-in for the Chapa API
+const createChapaMock = ({ baseUrl, secretKey = 'CHASECK_TEST-mock', webhookSecret = 'chapa-mock-webhook' }) => {
+  const app = express();
+  const orders = createOrders();
+  app.use(express.json());
+
+  app.use('/v1', (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${secretKey}`) {
+      return res.status(401).json({ status: 'failed', message: 'Invalid API Key' });
+    }
+    next();
+  });
+
+  app.post('/v1/transaction/initialize', (req, res) => {
+    const { tx_ref: id, amount, callback_url: callbackUrl, return_url: returnUrl } = req.body;
+    if (!id || !(parseFloat(amount) > 0) || orders.has(id)) {
+      return res.status(400).json({ status: 'failed', message: 'Invalid or duplicate transaction' });
+    }
+
+    orders.set(id, { id, reference: mockId('CH'), amount, callbackUrl, returnUrl, status: 'pending' });
+    res.json({ status: 'success', message: 'Hosted Link', data: { checkout_url: `${baseUrl}/pay/${id}` } });
+  });
+
+  app.get('/v1/transaction/verify/:id', (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) {
+      return res.status(404).json({ status: 'failed', message: 'Invalid transaction or Transaction not found' });
+    }
+    res.json({ status: 'success', data: { tx_ref: order.id, reference: order.reference, status: order.status, amount: order.amount, currency: 'ETB' } });
+  });
+
+  app.post('/v1/refund/:id', (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order || order.status !== 'success') {
+      return res.status(400).json({ status: 'failed', message: 'Transaction cannot be refunded' });
+    }
+    order.status = 'refunded';
+    res.json({ status: 'success', data: { refund_reference: mockId('RF') } });
+  });
+
+  payPage(app, '/pay/:id', req => orders.get(req.params.id), order => {
+    const body = { tx_ref: order.id, reference: order.reference, status: order.status, amount: order.amount, currency: 'ETB' };
+    return postCallback(order.callbackUrl, body, { 'x-chapa-signature': hmacSha256(webhookSecret, JSON.stringify(body)) });
+  });
+
+  return {
+    app,
+    orders,
+    env: {
+      CHAPA_BASE_URL: `${baseUrl}/v1`,
+      CHAPA_SECRET_KEY: secretKey,
+      CHAPA_WEBHOOK_SECRET: webhookSecret
+    }
+  };
+};
+
+module.exports = createChapaMock;
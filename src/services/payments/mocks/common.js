@@ -0,0 +1,47 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// What the provider mocks share: an in-memory order book and a pay page that
+// settles an order and sends the provider's callback, as the real checkout would.
+const createOrders = () => new Map();
+
+const mockId = (prefix) => `${prefix}${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+// POST the callback body exactly as signed, so raw-body signatures match
+const postCallback = (url, body, headers = {}) => axios.post(url, JSON.stringify(body), {
+  headers: { 'Content-Type': 'application/json', ...headers },
+  timeout: 10000
+});
+
+// GET <path>?result=failed declines the payment; anything else pays it.
+// ?redirect=false answers with JSON instead of sending the browser back.
+const payPage = (app, path, findOrder, sendCallback) => {
+  app.get(path, async (req, res) => {
+    const order = findOrder(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Unknown order' });
+    }
+
+    if (order.status === 'pending') {
+      order.status = req.query.result === 'failed' ? 'failed' : 'success';
+      try {
+        await sendCallback(order);
+        order.notified = true;
+      } catch (error) {
+        order.callbackError = error.message;
+      }
+    }
+
+    if (order.returnUrl && req.query.redirect !== 'false') {
+      return res.redirect(order.returnUrl);
+    }
+    res.json({ id: order.id, status: order.status, notified: Boolean(order.notified), callbackError: order.callbackError });
+  });
+};
+
+module.exports = {
+  createOrders,
+  mockId,
+  postCallback,
+  payPage
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const express = require('express');
+const { signingString, rsaSign } = require('../signing');
+const { createOrders, mockId, postCallback, payPage } = require('./common');
+
+const pem = (key) => key.replace(/\n/g, '\\n');
+
+const keyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+// Local stand-in for the Telebirr merchant API. It signs notifications with its
+// own key pair, whose public half goes into TELEBIRR_PUBLIC_KEY; merchant request
+// signatures are not checked.
+const createTelebirrMock = ({ baseUrl, appId = 'mock-app', appSecret = 'mock-secret', merchantAppId = '100000', merchantCode = '200000' }) => {
+  const app = express();
+  const orders = createOrders();
+  const keys = keyPair();
+  const merchantKey = keyPair().privateKey;
+  app.use(express.json());
+
+  const ok = (bizContent) => ({ result: 'SUCCESS', code: '0', msg: 'success', biz_content: bizContent });
+  const fail = (msg) => ({ result: 'FAIL', code: '1', msg });
+
+  app.post('/payment/v1/token', (req, res) => {
+    if (req.headers['x-app-key'] !== appId || req.body.appSecret !== appSecret) {
+      return res.status(401).json(fail('Invalid app credentials'));
+    }
+    res.json({ token: `Bearer ${mockId('TOKEN')}`, effectiveDate: new Date().toISOString() });
+  });
+
+  app.use('/payment/v1/merchant', (req, res, next) => {
+    if (req.headers['x-app-key'] !== appId || !req.headers.authorization) {
+      return res.status(401).json(fail('Unauthorized'));
+    }
+    next();
+  });
+
+  app.post('/payment/v1/merchant/preOrder', (req, res) => {
+    const biz = req.body.biz_content || {};
+    if (!biz.merch_order_id || orders.has(biz.merch_order_id)) {
+      return res.json(fail('Invalid or duplicate order'));
+    }
+
+    const order = {
+      id: biz.merch_order_id,
+      prepayId: mockId('PP'),
+      paymentOrderId: mockId('TB'),
+      amount: biz.total_amount,
+      callbackUrl: biz.notify_url,
+      returnUrl: biz.redirect_url,
+      status: 'pending'
+    };
+    orders.set(order.id, order);
+    res.json(ok({ merch_order_id: order.id, prepay_id: order.prepayId }));
+  });
+
+  const ORDER_STATUS = { pending: 'WAIT_PAY', success: 'PAY_SUCCESS', failed: 'PAY_FAILED', refunded: 'ORDER_CLOSED' };
+
+  app.post('/payment/v1/merchant/queryOrder', (req, res) => {
+    const order = orders.get((req.body.biz_content || {}).merch_order_id);
+    if (!order) {
+      return res.json(fail('Order not found'));
+    }
+    res.json(ok({
+      merch_order_id: order.id,
+      payment_order_id: order.paymentOrderId,
+      order_status: ORDER_STATUS[order.status],
+      total_amount: order.amount
+    }));
+  });
+
+  app.post('/payment/v1/merchant/refund', (req, res) => {
+    const order = orders.get((req.body.biz_content || {}).merch_order_id);
+    if (!order || order.status !== 'success') {
+      return res.json(fail('Order cannot be refunded'));
+    }
+    order.status = 'refunded';
+    res.json(ok({ merch_order_id: order.id, refund_order_id: mockId('RF'), refund_status: 'REFUND_SUCCESS' }));
+  });
+
+  const findByPrepay = (req) => [...orders.values()].find(order => order.prepayId === req.query.prepay_id);
+
+  payPage(app, '/payment/web/paygate', findByPrepay, order => {
+    const body = {
+      appid: merchantAppId,
+      merch_code: merchantCode,
+      merch_order_id: order.id,
+      payment_order_id: order.paymentOrderId,
+      total_amount: order.amount,
+      trans_currency: 'ETB',
+      trade_status: order.status === 'success' ? 'Completed' : 'Failure',
+      notify_time: String(Date.now())
+    };
+    return postCallback(order.callbackUrl, { ...body, sign_type: 'SHA256WithRSA', sign: rsaSign(keys.privateKey, signingString(body)) });
+  });
+
+  return {
+    app,
+    orders,
+    env: {
+      TELEBIRR_BASE_URL: baseUrl,
+      TELEBIRR_CHECKOUT_URL: `${baseUrl}/payment/web/paygate`,
+      TELEBIRR_APP_ID: appId,
+      TELEBIRR_APP_SECRET: appSecret,
+      TELEBIRR_MERCHANT_APP_ID: merchantAppId,
+      TELEBIRR_MERCHANT_CODE: merchantCode,
+      TELEBIRR_PRIVATE_KEY: pem(merchantKey),
+      TELEBIRR_PUBLIC_KEY: pem(keys.publicKey)
+    }
+  };
+};
+
+module.exports = createTelebirrMock;
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Parameters as `key=value` pairs sorted by key, the string mobile money APIs sign.
+// Signature fields and empty values are left out.
+const signingString = (params, exclude = ['sign', 'sign_type', 'signature']) => Object.keys(params)
+  .filter(key => !exclude.includes(key) && params[key] !== undefined && params[key] !== null && params[key] !== '')
+  .sort()
+  .map(key => `${key}=${typeof params[key] === 'object' ? JSON.stringify(params[key]) : params[key]}`)
+  .join('&');
+
+const hmacSha256 = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const rsaSign = (privateKey, data) => crypto.createSign('RSA-SHA256').update(data).sign(privateKey, 'base64');
+
+const rsaVerify = (publicKey, data, signature) => {
+  try {
+    return crypto.createVerify('RSA-SHA256').update(data).verify(publicKey, String(signature), 'base64');
+  } catch (error) {
+    return false;
+  }
+};
+
+// Constant-time comparison of two hex or base64 strings
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+module.exports = {
+  signingString,
+  hmacSha256,
+  rsaSign,
+  rsaVerify,
+  safeEqual
+};
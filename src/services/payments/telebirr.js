@@ -0,0 +1,139 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { signingString, rsaSign, rsaVerify } = require('./signing');
+const { rejected } = require('./errors');
+
+const config = () => ({
+  baseUrl: process.env.TELEBIRR_BASE_URL || 'https://developerportal.ethiotelebirr.et:38443/apiaccess/payment/gateway',
+  checkoutUrl: process.env.TELEBIRR_CHECKOUT_URL || 'https://developerportal.ethiotelebirr.et:38443/payment/web/paygate',
+  appId: process.env.TELEBIRR_APP_ID,
+  appSecret: process.env.TELEBIRR_APP_SECRET,
+  merchantAppId: process.env.TELEBIRR_MERCHANT_APP_ID,
+  merchantCode: process.env.TELEBIRR_MERCHANT_CODE,
+  // PEM keys, with \n escaped in .env
+  privateKey: (process.env.TELEBIRR_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+  publicKey: (process.env.TELEBIRR_PUBLIC_KEY || '').replace(/\\n/g, '\n')
+});
+
+let token = null;
+
+// Short-lived access token for the merchant API
+const fabricToken = async () => {
+  if (token && token.expiresAt > Date.now()) return token.value;
+
+  const { baseUrl, appId, appSecret } = config();
+  const { data } = await axios.post(`${baseUrl}/payment/v1/token`, { appSecret }, {
+    headers: { 'X-APP-Key': appId },
+    timeout: 15000
+  });
+
+  token = { value: data.token, expiresAt: Date.now() + 50 * 60 * 1000 };
+  return token.value;
+};
+
+// Signed request envelope: method, nonce and timestamp around the business fields
+const signedRequest = (method, bizContent) => {
+  const request = {
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    nonce_str: crypto.randomBytes(16).toString('hex'),
+    method,
+    version: '1.0',
+    biz_content: { appid: config().merchantAppId, merch_code: config().merchantCode, ...bizContent }
+  };
+
+  const signed = { ...request, ...request.biz_content };
+  delete signed.biz_content;
+
+  return { ...request, sign_type: 'SHA256WithRSA', sign: rsaSign(config().privateKey, signingString(signed)) };
+};
+
+const call = async (path, method, bizContent) => {
+  const { baseUrl, appId } = config();
+  const { data } = await axios.post(`${baseUrl}${path}`, signedRequest(method, bizContent), {
+    headers: { 'X-APP-Key': appId, Authorization: await fabricToken() },
+    timeout: 15000
+  });
+
+  if (data.result && data.result !== 'SUCCESS') {
+    throw rejected(new Error(data.msg || `Telebirr ${method} failed`));
+  }
+  return data.biz_content || {};
+};
+
+const toStatus = (status) => {
+  if (['Completed', 'PAY_SUCCESS'].includes(status)) return 'success';
+  if (['Failure', 'Expired', 'PAY_FAILED', 'ORDER_CLOSED'].includes(status)) return 'failed';
+  return 'pending';
+};
+
+// Telebirr merchant checkout. Requests are signed with the merchant's RSA key and
+// notifications with Telebirr's, over the sorted request fields.
+module.exports = {
+  key: 'telebirr',
+  name: 'Telebirr',
+  currency: 'ETB',
+
+  isConfigured() {
+    const { appId, appSecret, merchantAppId, merchantCode, privateKey, publicKey } = config();
+    return Boolean(appId && appSecret && merchantAppId && merchantCode && privateKey && publicKey);
+  },
+
+  async createCheckout({ reference, amount, callbackUrl, returnUrl }) {
+    const order = await call('/payment/v1/merchant/preOrder', 'payment.preorder', {
+      merch_order_id: reference,
+      trade_type: 'Checkout',
+      title: 'Geez Bingo deposit',
+      total_amount: amount.toFixed(2),
+      trans_currency: 'ETB',
+      timeout_express: '120m',
+      notify_url: callbackUrl,
+      redirect_url: returnUrl
+    });
+
+    const { merchantAppId, merchantCode, privateKey, checkoutUrl } = config();
+    const params = {
+      appid: merchantAppId,
+      merch_code: merchantCode,
+      nonce_str: crypto.randomBytes(16).toString('hex'),
+      prepay_id: order.prepay_id,
+      timestamp: String(Math.floor(Date.now() / 1000))
+    };
+    const query = new URLSearchParams({ ...params, sign: rsaSign(privateKey, signingString(params)), sign_type: 'SHA256WithRSA' });
+
+    return { checkoutUrl: `${checkoutUrl}?${query}&version=1.0&trade_type=Checkout`, providerReference: order.prepay_id };
+  },
+
+  verifyCallback({ body }) {
+    if (!rsaVerify(config().publicKey, signingString(body), body.sign)) {
+      throw new Error('Invalid signature');
+    }
+
+    return {
+      reference: body.merch_order_id,
+      providerReference: body.payment_order_id || null,
+      status: toStatus(body.trade_status),
+      amount: parseFloat(body.total_amount)
+    };
+  },
+
+  async queryStatus(reference) {
+    const order = await call('/payment/v1/merchant/queryOrder', 'payment.queryorder', { merch_order_id: reference });
+    return {
+      reference,
+      providerReference: order.payment_order_id || null,
+      status: toStatus(order.order_status || order.trade_status),
+      amount: order.total_amount ? parseFloat(order.total_amount) : null
+    };
+  },
+
+  async refund({ reference, amount, reason }) {
+    const refund = await call('/payment/v1/merchant/refund', 'payment.refund', {
+      merch_order_id: reference,
+      refund_request_no: `${reference}-refund`,
+      actual_amount: amount.toFixed(2),
+      trans_currency: 'ETB',
+      refund_reason: reason || 'Refund'
+    });
+    return { refundReference: refund.refund_order_id || null };
+  }
+};
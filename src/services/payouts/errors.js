@@ -0,0 +1,8 @@
+// Mark an error raised before anything was signed or handed over, so the
+// withdrawal can safely be given back
+const notSent = (error) => {
+  error.notSent = true;
+  return error;
+};
+
+module.exports = { notSent };
@@ -0,0 +1,50 @@
+const { JsonRpcProvider, Wallet, Contract, Transaction } = require('ethers');
+const { parseAddress } = require('../../utils/address');
+const { notSent } = require('./errors');
+
+const TOKEN_ABI = ['function transfer(address to, uint256 amount) returns (bool)'];
+
+const contracts = new Map();
+
+// Pays from a hot wallet with ethers, for networks that speak Ethereum JSON-RPC
+// transactions (ERC20). The key comes from <NETWORK>_PAYOUT_PRIVATE_KEY.
+const tokenFor = (config) => {
+  if (!contracts.has(config.network)) {
+    const privateKey = process.env[`${config.network}_PAYOUT_PRIVATE_KEY`];
+    if (!privateKey) {
+      throw new Error(`No payout key configured for ${config.network}`);
+    }
+
+    const signer = new Wallet(privateKey, new JsonRpcProvider(config.rpcUrl));
+    contracts.set(config.network, new Contract(parseAddress(config.addressFormat, config.tokenAddress), TOKEN_ABI, signer));
+  }
+  return contracts.get(config.network);
+};
+
+module.exports = {
+  key: 'evm',
+
+  // Signs first and broadcasts second, so a failure to broadcast still knows the hash
+  // the transfer would have had if the node took it after all
+  async send(withdrawal, config) {
+    let token;
+    let signed;
+    try {
+      token = tokenFor(config);
+      const units = BigInt(withdrawal.cents) * 10n ** BigInt(config.decimals - 2);
+      const request = await token.transfer.populateTransaction(parseAddress(config.addressFormat, withdrawal.address), units);
+      signed = await token.runner.signTransaction(await token.runner.populateTransaction(request));
+    } catch (error) {
+      throw notSent(error);
+    }
+
+    const txHash = Transaction.from(signed).hash;
+    try {
+      await token.runner.provider.broadcastTransaction(signed);
+    } catch (error) {
+      error.txHash = txHash;
+      throw error;
+    }
+    return { txHash };
+  }
+};
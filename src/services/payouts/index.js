@@ -0,0 +1,33 @@
+const manual = require('./manual');
+const evm = require('./evm');
+const { notSent } = require('./errors');
+
+// Payout providers send approved withdrawals. A provider's send(withdrawal, networkConfig)
+// either returns { txHash } once the transfer is broadcast, returns { manual: true } when
+// staff will pay it by hand, or throws. An error marked with notSent() means nothing can
+// have gone out; any other error leaves it open whether the payout was sent.
+// <NETWORK>_PAYOUT_PROVIDER picks the provider per network; the default is manual.
+const PROVIDERS = {
+  [manual.key]: manual,
+  [evm.key]: evm
+};
+
+// Add a provider, e.g. a payment processor or a stub for tests
+const registerProvider = (provider) => {
+  PROVIDERS[provider.key] = provider;
+};
+
+const getProvider = (network) => {
+  const key = process.env[`${network}_PAYOUT_PROVIDER`] || manual.key;
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    throw notSent(new Error(`Unknown payout provider: ${key}`));
+  }
+  return provider;
+};
+
+module.exports = {
+  notSent,
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,9 @@
+// Staff pay the withdrawal from the exchange or treasury and record the
+// transaction hash from the admin queue
+module.exports = {
+  key: 'manual',
+
+  async send() {
+    return { manual: true };
+  }
+};
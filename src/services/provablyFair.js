@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { shuffle } = require('../utils/random');
+const { getVariant } = require('./variants');
+
+// Commit-reveal fairness: the server seed hash is published when a game is
+// created, the seed itself once the game is over. Card layouts come from a public
+// per-season catalogue fixed before any game. The draw order mixes the server
+// seed with a client seed built from the purchases, including any seed a player
+// chose when buying. The house is bound to its server seed before it sees those,
+// so a player who picks their own seed knows the house could not have aimed the
+// draw at it; the house could only react to player seeds by buying cards itself,
+// which shows in the published purchases.
+class ProvablyFair {
+  // A seeded rng is only for simulations; live games use the CSPRNG
+  generateServerSeed(rng = null) {
+    if (!rng) return crypto.randomBytes(32).toString('hex');
+
+    return Buffer.from(Array.from({ length: 32 }, () => Math.floor(rng() * 256))).toString('hex');
+  }
+
+  hashSeed(seed) {
+    return crypto.createHash('sha256').update(seed).digest('hex');
+  }
+
+  // What a player may pick as their own seed for a card
+  checkClientSeed(seed) {
+    if (typeof seed !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(seed)) {
+      throw new Error('Client seed must be 1-64 letters, digits, _ or -');
+    }
+    return seed;
+  }
+
+  // Cards bought without a player seed keep their old entry, so earlier games still verify
+  deriveClientSeed(gameId, purchasedCards) {
+    const entries = purchasedCards
+      .map(card => card.client_seed
+        ? `${card.card_number}:${card.user_id}:${card.client_seed}`
+        : `${card.card_number}:${card.user_id}`)
+      .sort();
+
+    return this.hashSeed(`${gameId}|${entries.join(',')}`);
+  }
+
+  // Deterministic float stream in [0, 1) from HMAC-SHA256(serverSeed, message:counter)
+  createRng(serverSeed, message) {
+    let counter = 0;
+    let buffer = Buffer.alloc(0);
+    let offset = 0;
+
+    return () => {
+      if (offset + 4 > buffer.length) {
+        buffer = crypto.createHmac('sha256', serverSeed)
+          .update(`${message}:${counter++}`)
+          .digest();
+        offset = 0;
+      }
+
+      const value = buffer.readUInt32BE(offset);
+      offset += 4;
+      return value / 0x100000000;
+    };
+  }
+
+  shuffle(items, rng) {
+    return shuffle(items, rng);
+  }
+
+  generateCardNumbers(serverSeed, gameId, cardNumber, variant = getVariant()) {
+    return variant.generateCard(this.createRng(serverSeed, `${gameId}:card:${cardNumber}`));
+  }
+
+  // Catalogue layouts derive from the season name only, so anyone can rebuild them
+  catalogueCardNumbers(season, cardNumber, variant = getVariant()) {
+    return this.generateCardNumbers(`catalogue:${season}`, variant.key, cardNumber, variant);
+  }
+
+  // Games from before the catalogue drew their layouts from their own server seed
+  gameCardNumbers(game, cardNumber, variant = getVariant()) {
+    const season = game.settings && game.settings.card_season;
+    return season
+      ? this.catalogueCardNumbers(season, cardNumber, variant)
+      : this.generateCardNumbers(game.server_seed, game.id, cardNumber, variant);
+  }
+
+  generateDrawOrder(serverSeed, clientSeed, variant = getVariant()) {
+    const allNumbers = variant.balls().map(ball => ({ ...ball, called: false }));
+    return this.shuffle(allNumbers, this.createRng(serverSeed, `draw:${clientSeed}`));
+  }
+
+  sameLayout(expected, actual) {
+    return expected.every((row, rowIndex) =>
+      row.every((cell, colIndex) => {
+        const stored = actual[rowIndex] && actual[rowIndex][colIndex];
+        return cell ? Boolean(stored) && stored.number === cell.number : !stored;
+      })
+    );
+  }
+
+  // Recompute everything a finished game published and compare it to what was stored
+  verifyGame(game, cards = []) {
+    if (!game.server_seed) {
+      throw new Error('Server seed has not been revealed');
+    }
+
+    const variant = getVariant(game.settings && game.settings.variant);
+    const hashMatches = this.hashSeed(game.server_seed) === game.server_seed_hash;
+
+    const purchasedCards = cards.filter(card => card.user_id);
+    const clientSeedMatches = !game.client_seed ||
+      this.deriveClientSeed(game.id, purchasedCards) === game.client_seed;
+
+    const drawOrder = game.client_seed
+      ? this.generateDrawOrder(game.server_seed, game.client_seed, variant)
+      : [];
+    const calledNumbers = game.called_numbers || [];
+    const drawMatches = calledNumbers.every((called, index) =>
+      drawOrder[index] && drawOrder[index].number === called.number
+    );
+
+    const cardMismatches = cards
+      .filter(card => !this.sameLayout(
+        this.gameCardNumbers(game, card.card_number, variant),
+        card.numbers
+      ))
+      .map(card => card.card_number);
+
+    return {
+      valid: hashMatches && clientSeedMatches && drawMatches && cardMismatches.length === 0,
+      serverSeed: game.server_seed,
+      serverSeedHash: game.server_seed_hash,
+      clientSeed: game.client_seed,
+      hashMatches,
+      clientSeedMatches,
+      drawMatches,
+      cardsChecked: cards.length,
+      cardMismatches,
+      drawOrder: drawOrder.map(n => `${n.letter}${n.number}`)
+    };
+  }
+}
+
+module.exports = new ProvablyFair();
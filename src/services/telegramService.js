@@ -1,5 +1,6 @@
 const TelegramBot = require('node-telegram-bot-api');
 const axios = require('axios');
+const { formatMoney } = require('../utils/money');
 
 class TelegramService {
     constructor() {
@@ -101,6 +102,10 @@ class TelegramService {
                 message = this.formatCardSoldMessage(data);
                 break;
                 
+            case 'ONE_AWAY':
+                message = this.formatOneAwayMessage(data);
+                break;
+                
             case 'WINNER':
                 message = this.formatWinnerMessage(data);
                 if (data.isWinner) {
@@ -133,7 +138,7 @@ class TelegramService {
 
 Game ID: <code>${gameId.slice(0, 8)}</code>
 Players: ${data.playerCount}
-Pot: $${data.pot.toFixed(2)}
+Pot: ${formatMoney(data.pot, data.currency)}
 
 Game starts in ${data.timeLeft} seconds!
         `;
@@ -146,7 +151,16 @@ Game starts in ${data.timeLeft} seconds!
 
 Current calls: ${currentCalls}
 
-Called numbers: ${data.totalCalled}/75
+Called numbers: ${data.totalCalled}/${data.totalBalls}
+        `;
+    }
+    
+    formatOneAwayMessage(data) {
+        const needs = data.needs.map(n => `<b>${n.letter || ''}${n.number}</b>`).join(' or ');
+        return `
+😬 <b>One to go!</b>
+
+Card #${data.cardNumber} needs ${needs}
         `;
     }
     
@@ -155,18 +169,21 @@ Called numbers: ${data.totalCalled}/75
             return `
 🏆 <b>BINGO! YOU WON!</b>
 
-Congratulations! You won <b>$${data.amount.toFixed(2)}</b>!
+Congratulations! You won <b>${formatMoney(data.amount, data.currency)}</b>!
 
 Game: <code>${data.gameId.slice(0, 8)}</code>
 Winning card: #${data.winningCard}
 
-Your new balance: $${data.newBalance.toFixed(2)}
+Your new balance: ${formatMoney(data.newBalance, data.currency)}
             `;
         } else {
+            const names = data.winners.map(w => `<b>${w.username}</b>`).join(', ');
+            const shared = data.winners.length > 1;
+            const title = shared ? 'Game Winners!' : 'Game Winner!';
             return `
-🎉 <b>Game Winner!</b>
+🎉 <b>${title}</b>
 
-<b>${data.winnerName}</b> won <b>$${data.amount.toFixed(2)}</b>!
+${names} ${shared ? 'shared' : 'won'} <b>${formatMoney(data.prize, data.currency)}</b>!
 
 Better luck next time! 🍀
             `;
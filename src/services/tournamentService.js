@@ -0,0 +1,461 @@
+const cron = require('node-cron');
+const GameEngine = require('./gameEngine');
+const TelegramService = require('./telegramService');
+const Wallet = require('./wallet');
+const ExchangeService = require('./exchangeService');
+const { getVariant } = require('./variants');
+const { toCents, fromCents, prizeCents, shareCents } = require('../utils/money');
+const { runSerializable } = require('../utils/transaction');
+const { Tournament, TournamentEntry, Game, User } = require('../models');
+
+// Every 10 seconds: send reminders, start due rounds, score finished ones
+const TICK_SCHEDULE = '*/10 * * * * *';
+const ROUND_COUNTDOWN = 30;
+
+// Tournaments run a fixed number of engine games for the players who registered.
+// Entry fees form the prize pool, each round adds points per win and per pattern,
+// and the pool is paid out by final rank. Only the engine leader drives them.
+class TournamentService {
+  constructor() {
+    this.task = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.task) return;
+
+    this.task = cron.schedule(TICK_SCHEDULE, () => this.tick());
+
+    // Score a round as soon as its game is over; the tick catches anything missed
+    const onGameOver = ({ gameId, final }) => {
+      if (final === false || !GameEngine.isLeader) return;
+      this.scoreRound(gameId).catch(error => console.error('Error scoring tournament round:', error));
+    };
+    GameEngine.on('winnersDeclared', onGameOver);
+    GameEngine.on('gameEnded', onGameOver);
+    GameEngine.on('gameCancelled', onGameOver);
+
+    console.log('🏅 Tournament scheduler started');
+  }
+
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+  }
+
+  now() {
+    return GameEngine.clock.now();
+  }
+
+  async tick() {
+    if (!GameEngine.isLeader || this.ticking) return;
+
+    this.ticking = true;
+    try {
+      const tournaments = await Tournament.findAll({
+        where: { status: ['scheduled', 'running'] },
+        order: [['starts_at', 'ASC']]
+      });
+
+      for (const tournament of tournaments) {
+        try {
+          await this.advance(tournament);
+        } catch (error) {
+          console.error(`Error advancing tournament ${tournament.id}:`, error);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async advance(tournament) {
+    // A round is in play or waiting to be scored
+    if (tournament.current_round > tournament.rounds_scored) {
+      // Claimed, but the game was never created, e.g. a restart in between
+      if (await Game.count({ where: { id: tournament.round_game_id } }) === 0) {
+        await this.openRound(tournament, tournament.current_round);
+        return;
+      }
+
+      await this.scoreRound(tournament.round_game_id);
+      return;
+    }
+
+    if (tournament.rounds_scored >= tournament.rounds) {
+      await this.finish(tournament.id);
+      return;
+    }
+
+    const round = tournament.current_round + 1;
+    const roundStart = this.roundStartTime(tournament, round);
+    const now = this.now();
+
+    if (tournament.reminded_round < round && now >= roundStart - tournament.reminder_minutes * 60 * 1000) {
+      await this.sendReminders(tournament, round);
+    }
+
+    if (now >= roundStart) {
+      await this.startRound(tournament, round);
+    }
+  }
+
+  // Rounds follow the schedule; one that overruns pushes the next back until it is scored
+  roundStartTime(tournament, round) {
+    return new Date(tournament.starts_at).getTime() + (round - 1) * tournament.round_interval * 60 * 1000;
+  }
+
+  // Round games are built like room games: free cards, no pot, no jackpot
+  roundRoom(tournament) {
+    const settings = tournament.game_settings || {};
+    const variant = getVariant(settings.variant);
+
+    return {
+      id: null,
+      slug: `tournament-${tournament.id}`,
+      currency: tournament.currency,
+      bet_amount: 0,
+      house_fee: 0,
+      game_duration: settings.game_duration || 180,
+      countdown: ROUND_COUNTDOWN,
+      max_cards_per_player: tournament.cards_per_round,
+      card_count: variant.maxCards,
+      jackpot_enabled: false,
+      game_settings: settings
+    };
+  }
+
+  capacity(tournament) {
+    return Math.floor(this.roundRoom(tournament).card_count / tournament.cards_per_round);
+  }
+
+  // An entry fee in cents, split into [prize pool share, house share]
+  entrySplit(tournament) {
+    const fee = toCents(tournament.entry_fee);
+    const poolShare = prizeCents(tournament.entry_fee, tournament.house_fee);
+    return [poolShare, fee - poolShare];
+  }
+
+  async create(fields) {
+    const tournament = Tournament.build(fields);
+
+    const shares = tournament.payout_shares;
+    if (!Array.isArray(shares) || shares.length === 0 || shares.some(share => !(share >= 0)) ||
+        shares.reduce((sum, share) => sum + share, 0) > 1 + 1e-9) {
+      throw new Error('Payout shares must be non-negative and add up to at most 1');
+    }
+
+    if (new Date(tournament.starts_at).getTime() <= this.now()) {
+      throw new Error('Tournament must start in the future');
+    }
+
+    // Same checks a room game goes through
+    GameEngine.validateGameSettings(GameEngine.buildGameSettings(this.roundRoom(tournament)));
+
+    await tournament.save();
+    console.log(`🏅 Tournament scheduled: ${tournament.name} (${tournament.id})`);
+
+    return tournament;
+  }
+
+  // Tournament row, then user: entry fee, entry and pool commit together
+  async register(tournamentId, userId) {
+    return runSerializable(async (transaction) => {
+      const tournament = await Tournament.findByPk(tournamentId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!tournament || tournament.status !== 'scheduled' ||
+          this.now() >= new Date(tournament.starts_at).getTime()) {
+        throw new Error('Registration is closed');
+      }
+
+      const existing = await TournamentEntry.count({
+        where: { tournament_id: tournamentId, user_id: userId },
+        transaction
+      });
+      if (existing > 0) {
+        throw new Error('Already registered');
+      }
+
+      const entries = await TournamentEntry.count({ where: { tournament_id: tournamentId }, transaction });
+      if (entries >= this.capacity(tournament)) {
+        throw new Error('Tournament is full');
+      }
+
+      const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const fee = parseFloat(tournament.entry_fee);
+      const { currency } = tournament;
+      if (toCents(Wallet.balanceIn(user, currency)) < toCents(fee)) {
+        throw new Error('Insufficient balance');
+      }
+
+      // The house keeps its fee, the rest goes to the pool
+      const [poolShare, houseShare] = this.entrySplit(tournament);
+      if (fee > 0) {
+        await Wallet.record('tournament_entry', [
+          [Wallet.user(userId, currency), -toCents(fee)],
+          [Wallet.tournament(tournamentId, currency), poolShare],
+          [Wallet.house(currency), houseShare]
+        ], transaction, {
+          userId,
+          amount: toCents(fee),
+          metadata: { tournament_id: tournamentId }
+        });
+      }
+
+      const pool = fromCents(toCents(tournament.prize_pool) + poolShare);
+      await tournament.update({ prize_pool: pool }, { transaction });
+
+      return TournamentEntry.create({ tournament_id: tournamentId, user_id: userId }, { transaction });
+    });
+  }
+
+  async startRound(tournament, round) {
+    if (round === 1 && await TournamentEntry.count({ where: { tournament_id: tournament.id } }) < tournament.min_players) {
+      await this.cancel(tournament.id, 'not_enough_players');
+      return;
+    }
+
+    // The round and its game id are recorded under the row lock before the game exists,
+    // so a second scheduler or a retry finds the round taken instead of opening it again
+    const claimed = await runSerializable(async (transaction) => {
+      const locked = await Tournament.findByPk(tournament.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!locked || !['scheduled', 'running'].includes(locked.status) || locked.current_round >= round) return null;
+
+      return locked.update({
+        status: 'running',
+        current_round: round,
+        round_game_id: GameEngine.generateId()
+      }, { transaction });
+    });
+    if (!claimed) return;
+
+    await this.openRound(claimed, round);
+  }
+
+  // Create a claimed round's game under the id the tournament recorded and seat the players
+  async openRound(tournament, round) {
+    const entries = await TournamentEntry.findAll({
+      where: { tournament_id: tournament.id },
+      order: [['created_at', 'ASC']]
+    });
+
+    const game = await GameEngine.createNewGame(this.roundRoom(tournament), {
+      id: tournament.round_game_id,
+      tournament_id: tournament.id,
+      tournament_round: round
+    });
+    await GameEngine.seatPlayers(game.id, entries.map(entry => entry.user_id), tournament.cards_per_round);
+
+    GameEngine.emit('tournamentRoundStarted', {
+      tournamentId: tournament.id,
+      round,
+      rounds: tournament.rounds,
+      gameId: game.id,
+      startTime: game.start_time
+    });
+    console.log(`🏅 Tournament ${tournament.id} round ${round}/${tournament.rounds}: game ${game.id}`);
+  }
+
+  pointsFor(tournament, pattern) {
+    const points = tournament.points || {};
+    return (points.win || 0) + ((points.patterns || {})[pattern] || 0);
+  }
+
+  // Add a finished round game to the standings, once
+  async scoreRound(gameId) {
+    if (!gameId) return;
+
+    const game = await Game.findByPk(gameId);
+    if (!game || !game.tournament_id || ['waiting', 'active'].includes(game.status)) return;
+
+    const round = game.tournament_round;
+    const scored = await runSerializable(async (transaction) => {
+      const tournament = await Tournament.findByPk(game.tournament_id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!tournament || tournament.status !== 'running' || tournament.rounds_scored >= round) return null;
+
+      // Every prize stage won counts; a cancelled round scores nothing
+      const results = new Map();
+      if (game.status === 'completed') {
+        for (const winner of game.winners || []) {
+          const result = results.get(winner.user_id) || { points: 0, wins: 0 };
+          result.points += this.pointsFor(tournament, winner.pattern);
+          result.wins += 1;
+          results.set(winner.user_id, result);
+        }
+      }
+
+      const entries = await TournamentEntry.findAll({
+        where: { tournament_id: tournament.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      for (const entry of entries) {
+        const result = results.get(entry.user_id) || { points: 0, wins: 0 };
+        await entry.update({
+          points: entry.points + result.points,
+          wins: entry.wins + result.wins,
+          round_results: [...entry.round_results, { round, ...result }]
+        }, { transaction });
+      }
+
+      await tournament.update({ rounds_scored: round }, { transaction });
+      return tournament;
+    });
+
+    if (!scored) return;
+
+    GameEngine.emit('tournamentStandings', {
+      tournamentId: scored.id,
+      round,
+      rounds: scored.rounds,
+      standings: await this.getStandings(scored.id)
+    });
+    console.log(`🏅 Tournament ${scored.id} round ${round} scored`);
+
+    if (round >= scored.rounds) {
+      await this.finish(scored.id);
+    }
+  }
+
+  // Best points first, then most wins, then earliest registration
+  async getStandings(tournamentId, transaction = null) {
+    const entries = await TournamentEntry.findAll({
+      where: { tournament_id: tournamentId },
+      include: [{ model: User, as: 'user', attributes: ['id', 'username', 'avatar'] }],
+      order: [['points', 'DESC'], ['wins', 'DESC'], ['created_at', 'ASC']],
+      transaction
+    });
+
+    return entries.map((entry, index) => ({
+      rank: entry.rank || index + 1,
+      userId: entry.user_id,
+      username: entry.user ? entry.user.username : null,
+      avatar: entry.user ? entry.user.avatar : null,
+      points: entry.points,
+      wins: entry.wins,
+      prize: parseFloat(entry.prize)
+    }));
+  }
+
+  // Pay the pool by final rank; with fewer players than paid places the shares are scaled up
+  async finish(tournamentId) {
+    const finished = await runSerializable(async (transaction) => {
+      const tournament = await Tournament.findByPk(tournamentId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!tournament || tournament.status !== 'running' || tournament.rounds_scored < tournament.rounds) return null;
+
+      const entries = await TournamentEntry.findAll({
+        where: { tournament_id: tournamentId },
+        order: [['points', 'DESC'], ['wins', 'DESC'], ['created_at', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      // Cents lost to rounding go to the winner
+      const prizes = shareCents(toCents(tournament.prize_pool), tournament.payout_shares.slice(0, entries.length));
+
+      const { currency } = tournament;
+      const toBase = await ExchangeService.baseValue(currency, transaction);
+      for (const [index, entry] of entries.entries()) {
+        const prize = fromCents(prizes[index] || 0);
+
+        if (prize > 0) {
+          await Wallet.transfer('tournament_prize', Wallet.tournament(tournamentId, currency), Wallet.user(entry.user_id, currency), prizes[index], transaction, {
+            userId: entry.user_id,
+            metadata: { tournament_id: tournamentId, rank: index + 1, points: entry.points }
+          });
+
+          await User.increment(
+            { total_won: toBase(prize) },
+            { where: { id: entry.user_id }, transaction }
+          );
+        }
+
+        await entry.update({ rank: index + 1, prize }, { transaction });
+      }
+
+      await tournament.update({ status: 'completed' }, { transaction });
+      return tournament;
+    });
+
+    if (!finished) return;
+
+    GameEngine.emit('tournamentCompleted', {
+      tournamentId,
+      prizePool: parseFloat(finished.prize_pool),
+      currency: finished.currency,
+      standings: await this.getStandings(tournamentId)
+    });
+    console.log(`🏆 Tournament completed: ${finished.name} (${tournamentId})`);
+  }
+
+  // Refund every entry fee; a round already in play finishes without counting
+  async cancel(tournamentId, reason = 'cancelled') {
+    const cancelled = await runSerializable(async (transaction) => {
+      const tournament = await Tournament.findByPk(tournamentId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!tournament || !['scheduled', 'running'].includes(tournament.status)) return null;
+
+      const entries = await TournamentEntry.findAll({
+        where: { tournament_id: tournamentId },
+        order: [['user_id', 'ASC']],
+        transaction
+      });
+
+      // Both the pool share and the house fee go back
+      const [poolShare, houseShare] = this.entrySplit(tournament);
+      const { currency } = tournament;
+      if (poolShare + houseShare > 0) {
+        for (const entry of entries) {
+          await Wallet.record('refund', [
+            [Wallet.tournament(tournamentId, currency), -poolShare],
+            [Wallet.house(currency), -houseShare],
+            [Wallet.user(entry.user_id, currency), poolShare + houseShare]
+          ], transaction, {
+            userId: entry.user_id,
+            amount: poolShare + houseShare,
+            metadata: { tournament_id: tournamentId, reason }
+          });
+        }
+      }
+
+      await tournament.update({ status: 'cancelled', prize_pool: 0 }, { transaction });
+      return { tournament, refunded: entries.length };
+    });
+
+    if (!cancelled) return null;
+
+    GameEngine.emit('tournamentCancelled', { tournamentId, reason, refundedEntries: cancelled.refunded });
+    console.log(`❌ Tournament cancelled: ${tournamentId} (${reason})`);
+
+    return cancelled.tournament;
+  }
+
+  async sendReminders(tournament, round) {
+    // Mark first so a slow send is never repeated by the next tick
+    await tournament.update({ reminded_round: round });
+
+    const entries = await TournamentEntry.findAll({
+      where: { tournament_id: tournament.id },
+      include: [{ model: User, as: 'user', attributes: ['id', 'telegram_id'] }]
+    });
+
+    const minutes = Math.max(0, Math.round((this.roundStartTime(tournament, round) - this.now()) / 60000));
+    const message = `
+🏅 <b>${tournament.name}</b>
+
+Round ${round} of ${tournament.rounds} starts in ${minutes} minute${minutes === 1 ? '' : 's'}!
+Your cards are dealt automatically.
+    `;
+
+    for (const entry of entries) {
+      if (entry.user && entry.user.telegram_id) {
+        await TelegramService.sendMessage(entry.user.telegram_id, message);
+      }
+    }
+  }
+}
+
+module.exports = new TournamentService();
@@ -0,0 +1,70 @@
+const { shuffle } = require('../../utils/random');
+
+// 30-ball speed bingo: 3x3 card, columns 1-10, 11-20 and 21-30, no free space
+const COLUMN_RANGES = [[1, 10], [11, 20], [21, 30]];
+
+const PATTERNS = {
+  line: [
+    ['111', '000', '000'],
+    ['000', '111', '000'],
+    ['000', '000', '111'],
+    ['100', '100', '100'],
+    ['010', '010', '010'],
+    ['001', '001', '001'],
+    ['100', '010', '001'],
+    ['001', '010', '100']
+  ],
+  full_house: [
+    ['111', '111', '111']
+  ]
+};
+
+class Bingo30 {
+  constructor() {
+    this.key = 'bingo30';
+    this.name = '30-ball';
+    this.rows = 3;
+    this.cols = 3;
+    this.maxCards = 200;
+    this.patterns = PATTERNS;
+    this.defaultPatterns = ['full_house'];
+    this.fullCardPattern = 'full_house';
+  }
+
+  balls() {
+    const balls = [];
+    for (let num = 1; num <= 30; num++) {
+      balls.push({ letter: '', number: num });
+    }
+    return balls;
+  }
+
+  generateCard(rng) {
+    const numbers = [[], [], []];
+
+    COLUMN_RANGES.forEach(([start, end], colIndex) => {
+      const columnNumbers = [];
+      for (let num = start; num <= end; num++) {
+        columnNumbers.push(num);
+      }
+
+      shuffle(columnNumbers, rng).slice(0, 3).forEach((number, rowIndex) => {
+        numbers[rowIndex][colIndex] = {
+          letter: '',
+          number,
+          called: false,
+          row: rowIndex,
+          col: colIndex
+        };
+      });
+    });
+
+    return numbers;
+  }
+
+  defaultStages(settings) {
+    return [{ name: 'bingo', patterns: settings.patterns || this.defaultPatterns, share: 1 }];
+  }
+}
+
+module.exports = new Bingo30();
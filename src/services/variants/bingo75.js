@@ -0,0 +1,120 @@
+const { shuffle } = require('../../utils/random');
+
+// 75-ball B-I-N-G-O: 5x5 card with a free centre, one column per letter
+const RANGES = [
+  { letter: 'B', start: 1, end: 15 },
+  { letter: 'I', start: 16, end: 30 },
+  { letter: 'N', start: 31, end: 45 },
+  { letter: 'G', start: 46, end: 60 },
+  { letter: 'O', start: 61, end: 75 }
+];
+
+const range = [0, 1, 2, 3, 4];
+
+const rowMask = (row) => range.map(r => (r === row ? '11111' : '00000'));
+const colMask = (col) => range.map(() => range.map(c => (c === col ? '1' : '0')).join(''));
+
+const PATTERNS = {
+  line: [
+    ...range.map(rowMask),
+    ...range.map(colMask),
+    ['10000', '01000', '00100', '00010', '00001'],
+    ['00001', '00010', '00100', '01000', '10000']
+  ],
+  four_corners: [
+    ['10001', '00000', '00000', '00000', '10001']
+  ],
+  x: [
+    ['10001', '01010', '00100', '01010', '10001']
+  ],
+  postage_stamp: [
+    ['11000', '11000', '00000', '00000', '00000'],
+    ['00011', '00011', '00000', '00000', '00000'],
+    ['00000', '00000', '00000', '11000', '11000'],
+    ['00000', '00000', '00000', '00011', '00011']
+  ],
+  outer_frame: [
+    ['11111', '10001', '10001', '10001', '11111']
+  ],
+  blackout: [
+    ['11111', '11111', '11111', '11111', '11111']
+  ],
+  letter_l: [
+    ['10000', '10000', '10000', '10000', '11111']
+  ],
+  letter_t: [
+    ['11111', '00100', '00100', '00100', '00100']
+  ],
+  letter_h: [
+    ['10001', '10001', '11111', '10001', '10001']
+  ],
+  letter_u: [
+    ['10001', '10001', '10001', '10001', '11111']
+  ],
+  letter_z: [
+    ['11111', '00010', '00100', '01000', '11111']
+  ]
+};
+
+PATTERNS.coverall = PATTERNS.blackout;
+
+class Bingo75 {
+  constructor() {
+    this.key = 'bingo75';
+    this.name = '75-ball';
+    this.rows = 5;
+    this.cols = 5;
+    this.maxCards = 400;
+    this.patterns = PATTERNS;
+    this.defaultPatterns = ['line'];
+    this.fullCardPattern = 'blackout';
+  }
+
+  balls() {
+    const balls = [];
+    RANGES.forEach(({ letter, start, end }) => {
+      for (let num = start; num <= end; num++) {
+        balls.push({ letter, number: num });
+      }
+    });
+    return balls;
+  }
+
+  generateCard(rng) {
+    const numbers = [];
+
+    RANGES.forEach(({ letter, start, end }, colIndex) => {
+      const columnNumbers = [];
+      for (let num = start; num <= end; num++) {
+        columnNumbers.push(num);
+      }
+
+      // Take first 5 for this column
+      const selectedNumbers = shuffle(columnNumbers, rng).slice(0, 5);
+
+      selectedNumbers.forEach((number, rowIndex) => {
+        if (!numbers[rowIndex]) numbers[rowIndex] = [];
+        numbers[rowIndex][colIndex] = {
+          letter,
+          number,
+          called: false,
+          row: rowIndex,
+          col: colIndex
+        };
+      });
+    });
+
+    // Mark center as free
+    numbers[2][2].called = true;
+    numbers[2][2].free = true;
+
+    return numbers;
+  }
+
+  // One prize for whichever configured pattern completes first
+  defaultStages(settings) {
+    return [{ name: 'bingo', patterns: settings.patterns || this.defaultPatterns, share: 1 }];
+  }
+}
+
+module.exports = new Bingo75();
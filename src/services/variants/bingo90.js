@@ -0,0 +1,98 @@
+const { shuffle } = require('../../utils/random');
+
+// 90-ball UK tickets: 3 rows x 9 columns, five numbers per row, blanks are null.
+// Column 0 holds 1-9, columns 1-7 hold tens, column 8 holds 80-90.
+const COLUMN_RANGES = [
+  [1, 9], [10, 19], [20, 29], [30, 39], [40, 49],
+  [50, 59], [60, 69], [70, 79], [80, 90]
+];
+
+const PATTERNS = {
+  one_line: [
+    ['111111111', '000000000', '000000000'],
+    ['000000000', '111111111', '000000000'],
+    ['000000000', '000000000', '111111111']
+  ],
+  two_lines: [
+    ['111111111', '111111111', '000000000'],
+    ['111111111', '000000000', '111111111'],
+    ['000000000', '111111111', '111111111']
+  ],
+  full_house: [
+    ['111111111', '111111111', '111111111']
+  ]
+};
+
+class Bingo90 {
+  constructor() {
+    this.key = 'bingo90';
+    this.name = '90-ball';
+    this.rows = 3;
+    this.cols = 9;
+    this.maxCards = 600;
+    this.patterns = PATTERNS;
+    this.defaultPatterns = ['full_house'];
+    this.fullCardPattern = 'full_house';
+  }
+
+  balls() {
+    const balls = [];
+    for (let num = 1; num <= 90; num++) {
+      balls.push({ letter: '', number: num });
+    }
+    return balls;
+  }
+
+  // Each row picks five columns; retry until every column holds at least one number
+  chooseRowColumns(rng) {
+    const columns = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+
+    for (;;) {
+      const rows = [0, 1, 2].map(() => shuffle(columns, rng).slice(0, 5).sort((a, b) => a - b));
+      const covered = new Set(rows.flat());
+      if (covered.size === columns.length) return rows;
+    }
+  }
+
+  generateCard(rng) {
+    const rowColumns = this.chooseRowColumns(rng);
+    const numbers = [0, 1, 2].map(() => new Array(9).fill(null));
+
+    COLUMN_RANGES.forEach(([start, end], colIndex) => {
+      const rowsInColumn = [0, 1, 2].filter(row => rowColumns[row].includes(colIndex));
+
+      const columnNumbers = [];
+      for (let num = start; num <= end; num++) {
+        columnNumbers.push(num);
+      }
+
+      // Numbers run top to bottom in ascending order within a column
+      const selectedNumbers = shuffle(columnNumbers, rng)
+        .slice(0, rowsInColumn.length)
+        .sort((a, b) => a - b);
+
+      rowsInColumn.forEach((rowIndex, index) => {
+        numbers[rowIndex][colIndex] = {
+          letter: '',
+          number: selectedNumbers[index],
+          called: false,
+          row: rowIndex,
+          col: colIndex
+        };
+      });
+    });
+
+    return numbers;
+  }
+
+  // Classic UK game: one line, two lines and full house are all paid in the same game
+  defaultStages() {
+    return [
+      { name: 'one_line', patterns: ['one_line'], share: 0.2 },
+      { name: 'two_lines', patterns: ['two_lines'], share: 0.3 },
+      { name: 'full_house', patterns: ['full_house'], share: 0.5 }
+    ];
+  }
+}
+
+module.exports = new Bingo90();
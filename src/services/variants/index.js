@@ -0,0 +1,46 @@
+const bingo75 = require('./bingo75');
+const bingo90 = require('./bingo90');
+const bingo30 = require('./bingo30');
+
+// Card generation, ball ranges and win rules for each bingo variant.
+// Game.settings.variant holds the key; games created before variants existed are 75-ball.
+const VARIANTS = {
+  [bingo75.key]: bingo75,
+  [bingo90.key]: bingo90,
+  [bingo30.key]: bingo30
+};
+
+const DEFAULT_VARIANT = bingo75.key;
+
+const getVariant = (key = DEFAULT_VARIANT) => {
+  const variant = VARIANTS[key || DEFAULT_VARIANT];
+  if (!variant) {
+    throw new Error(`Unknown bingo variant: ${key}`);
+  }
+  return variant;
+};
+
+const listVariants = () => Object.values(VARIANTS).map(variant => ({
+  key: variant.key,
+  name: variant.name,
+  balls: variant.balls().length,
+  rows: variant.rows,
+  cols: variant.cols,
+  maxCards: variant.maxCards,
+  patterns: Object.keys(variant.patterns)
+}));
+
+// Prize stages for a game: explicit settings.prizes, otherwise the variant's default
+const getStages = (settings) => {
+  const variant = getVariant(settings.variant);
+  return Array.isArray(settings.prizes) && settings.prizes.length > 0
+    ? settings.prizes
+    : variant.defaultStages(settings);
+};
+
+module.exports = {
+  DEFAULT_VARIANT,
+  getVariant,
+  listVariants,
+  getStages
+};
@@ -0,0 +1,408 @@
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { BASE_CURRENCY, CURRENCY_CODES, getCurrency } = require('../config/currencies');
+const { toCents, fromCents } = require('../utils/money');
+const { User, Game, Room, Tournament, Transaction, LedgerAccount, LedgerEntry, sequelize } = require('../models');
+
+const HOUSE = 'house';
+const BONUS = 'bonus';
+// Money on chain: deposits come out of it and withdrawals go back, so it runs
+// negative by what players hold from crypto
+const CUSTODY = 'custody';
+// Converted money passes through it: it takes what players sell and pays what they buy
+const EXCHANGE = 'exchange';
+// House, bonus, custody and exchange fund everything else and may run negative; no other account can
+const FUNDING_TYPES = ['house', 'bonus', 'custody', 'exchange'];
+
+const ACCOUNT_TYPES = {
+  user: 'user',
+  game: 'pot',
+  tournament: 'pot',
+  jackpot: 'jackpot',
+  withdrawal: 'hold'
+};
+
+// Every movement of money is a balanced posting between ledger accounts: players,
+// game and tournament pots, room jackpots, the house, the bonus fund and custody. Each entry
+// keeps the account balance before and after it, and users.balance is only ever
+// written from here as a cache of the player's account.
+//
+// Every account holds one currency, and a posting balances within each currency.
+// Base currency accounts keep their plain codes; the others carry a /<currency>
+// suffix, so a player has user:<id> and user:<id>/ETB.
+class Wallet {
+  get HOUSE() {
+    return HOUSE;
+  }
+
+  get BONUS() {
+    return BONUS;
+  }
+
+  get CUSTODY() {
+    return CUSTODY;
+  }
+
+  // `code` in `currency`
+  inCurrency(code, currency = BASE_CURRENCY) {
+    const { code: currencyCode } = getCurrency(currency);
+    return currencyCode === BASE_CURRENCY ? code : `${code}/${currencyCode}`;
+  }
+
+  currencyOf(code) {
+    const [, currency = BASE_CURRENCY] = code.split('/');
+    return currency;
+  }
+
+  house(currency) {
+    return this.inCurrency(HOUSE, currency);
+  }
+
+  bonus(currency) {
+    return this.inCurrency(BONUS, currency);
+  }
+
+  custody(currency) {
+    return this.inCurrency(CUSTODY, currency);
+  }
+
+  exchange(currency) {
+    return this.inCurrency(EXCHANGE, currency);
+  }
+
+  user(userId, currency) {
+    return this.inCurrency(`user:${userId}`, currency);
+  }
+
+  pot(gameId, currency) {
+    return this.inCurrency(`game:${gameId}`, currency);
+  }
+
+  tournament(tournamentId, currency) {
+    return this.inCurrency(`tournament:${tournamentId}`, currency);
+  }
+
+  jackpot(roomId, currency) {
+    return this.inCurrency(`jackpot:${roomId}`, currency);
+  }
+
+  // Funds set aside for one withdrawal until it is paid out or released
+  withdrawal(transactionId, currency) {
+    return this.inCurrency(`withdrawal:${transactionId}`, currency);
+  }
+
+  describe(code) {
+    const [name, currency = BASE_CURRENCY] = code.split('/');
+    if (!CURRENCY_CODES.includes(currency) || this.inCurrency(name, currency) !== code) {
+      throw new Error(`Unknown ledger account ${code}`);
+    }
+
+    if (FUNDING_TYPES.includes(name)) {
+      return { code, type: name, owner_id: null, currency };
+    }
+
+    const [prefix, ownerId] = name.split(':');
+    if (!ACCOUNT_TYPES[prefix] || !ownerId) {
+      throw new Error(`Unknown ledger account ${code}`);
+    }
+    return { code, type: ACCOUNT_TYPES[prefix], owner_id: ownerId, currency };
+  }
+
+  // A player's balance in one currency, from the cache on a loaded user row
+  balanceIn(user, currency = BASE_CURRENCY) {
+    if (currency === BASE_CURRENCY) {
+      return parseFloat(user.balance || 0);
+    }
+    return parseFloat((user.balances || {})[currency] || 0);
+  }
+
+  // Every currency's balance, those never used included
+  balancesOf(user) {
+    return Object.fromEntries(CURRENCY_CODES.map(currency => [currency, this.balanceIn(user, currency)]));
+  }
+
+  // Lock the accounts in code order, opening any that do not exist yet
+  async lockAccounts(codes, transaction) {
+    codes = [...new Set(codes)].sort();
+
+    // Opening posts its own entries, so it happens before any account is held here
+    const existing = await LedgerAccount.findAll({ where: { code: codes }, attributes: ['code'], transaction });
+    const known = new Set(existing.map(account => account.code));
+    for (const code of codes.filter(code => !known.has(code))) {
+      await this.open(code, transaction);
+    }
+
+    const accounts = new Map();
+    for (const code of codes) {
+      accounts.set(code, await LedgerAccount.findOne({
+        where: { code },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      }));
+    }
+
+    return accounts;
+  }
+
+  // What an account held before the ledger existed, from the row it belongs to.
+  // Rows from before currencies were all in the base currency.
+  async openingBalance(code, transaction) {
+    const { owner_id: ownerId, currency } = this.describe(code);
+    const [prefix] = code.split(':');
+
+    switch (prefix) {
+      case 'user': {
+        if (currency !== BASE_CURRENCY) return 0;
+        const user = await User.findByPk(ownerId, { transaction });
+        if (!user) {
+          throw new Error('User not found');
+        }
+        return toCents(user.balance);
+      }
+      case 'game': {
+        // The pot less the prizes already paid from it, plus any house top-up
+        const game = await Game.findByPk(ownerId, { transaction });
+        if (!game || ['completed', 'cancelled'].includes(game.status)) return 0;
+        if ((game.settings.currency || BASE_CURRENCY) !== currency) return 0;
+        const paid = (game.winners || []).reduce((sum, w) => sum + toCents(w.amount), 0);
+        return toCents(game.pot) + toCents(game.prize_subsidy) - paid;
+      }
+      case 'tournament': {
+        const tournament = await Tournament.findByPk(ownerId, { transaction });
+        if (!tournament || tournament.currency !== currency) return 0;
+        return ['scheduled', 'running'].includes(tournament.status) ? toCents(tournament.prize_pool) : 0;
+      }
+      case 'jackpot': {
+        const room = await Room.findByPk(ownerId, { transaction });
+        return room && room.currency === currency ? toCents(room.jackpot_amount) : 0;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  // New accounts open at their pre-ledger balance, funded by the house
+  async open(code, transaction) {
+    const spec = this.describe(code);
+    const opening = await this.openingBalance(code, transaction);
+    const account = await LedgerAccount.create(spec, { transaction });
+
+    if (opening !== 0) {
+      await this.post('opening_balance', [[code, opening], [this.house(spec.currency), -opening]], transaction);
+    }
+
+    return account;
+  }
+
+  // Apply one balanced posting: `legs` are [accountCode, cents] pairs summing to zero
+  // in each currency. Runs inside the caller's transaction.
+  async post(type, legs, transaction, { transactionId = null } = {}) {
+    const totals = new Map();
+    legs.forEach(([code, cents]) => {
+      const currency = this.currencyOf(code);
+      totals.set(currency, (totals.get(currency) || 0) + cents);
+    });
+    if ([...totals.values()].some(total => total !== 0)) {
+      throw new Error(`Unbalanced ${type} posting`);
+    }
+
+    const moving = legs.filter(([, cents]) => cents !== 0);
+    if (moving.length === 0) return [];
+
+    const accounts = await this.lockAccounts(moving.map(([code]) => code), transaction);
+    const postingId = uuidv4();
+
+    const entries = moving.map(([code, cents]) => {
+      const account = accounts.get(code);
+      const before = toCents(account.balance);
+      const after = before + cents;
+
+      if (after < 0 && !FUNDING_TYPES.includes(account.type)) {
+        throw new Error(account.type === 'user' ? 'Insufficient balance' : `Ledger account ${code} cannot go negative`);
+      }
+
+      account.balance = fromCents(after);
+      return {
+        posting_id: postingId,
+        account_id: account.id,
+        transaction_id: transactionId,
+        type,
+        amount: fromCents(cents),
+        balance_before: fromCents(before),
+        balance_after: fromCents(after)
+      };
+    });
+
+    for (const account of new Set(moving.map(([code]) => accounts.get(code)))) {
+      await account.save({ transaction });
+
+      if (account.type === 'user') {
+        await this.cacheBalance(account, transaction);
+      }
+    }
+
+    return LedgerEntry.bulkCreate(entries, { transaction });
+  }
+
+  // Copy a player's account balance onto their user row, leaving other currencies alone
+  async cacheBalance(account, transaction) {
+    const balances = sequelize.fn('jsonb_set',
+      sequelize.fn('COALESCE', sequelize.col('balances'), sequelize.literal(`'{}'::jsonb`)),
+      `{${account.currency}}`,
+      sequelize.fn('to_jsonb', sequelize.cast(String(account.balance), 'NUMERIC'))
+    );
+
+    await User.update(
+      account.currency === BASE_CURRENCY ? { balance: account.balance, balances } : { balances },
+      { where: { id: account.owner_id }, transaction }
+    );
+  }
+
+  // A transaction row and the posting behind it, committed together. The row's
+  // currency is the first leg's unless given.
+  async record(type, legs, transaction, { userId = null, amount, metadata = {}, status = 'completed', ...fields } = {}) {
+    const record = await Transaction.create({
+      currency: this.currencyOf(legs[0][0]),
+      ...fields,
+      user_id: userId,
+      type,
+      amount: fromCents(amount),
+      status,
+      metadata
+    }, { transaction });
+
+    await this.post(type, legs, transaction, { transactionId: record.id });
+    return record;
+  }
+
+  // Post against an existing transaction row and apply `changes` to it
+  async settle(record, type, legs, transaction, changes = {}) {
+    await this.post(type, legs, transaction, { transactionId: record.id });
+    return record.update(changes, { transaction });
+  }
+
+  // Post a pending transaction row and mark it completed
+  async complete(record, legs, transaction, { metadata = record.metadata } = {}) {
+    return this.settle(record, record.type, legs, transaction, { status: 'completed', metadata });
+  }
+
+  // Move `cents` from one account to another
+  async transfer(type, from, to, cents, transaction, options = {}) {
+    return this.record(type, [[from, -cents], [to, cents]], transaction, { ...options, amount: cents });
+  }
+
+  // Balance of an account in cents, locking it for the rest of the transaction
+  async balanceOf(code, transaction) {
+    const accounts = await this.lockAccounts([code], transaction);
+    return toCents(accounts.get(code).balance);
+  }
+
+  // Move whatever is left in an account, e.g. a finished game's pot to the house
+  async sweep(type, from, to, transaction, options = {}) {
+    const cents = await this.balanceOf(from, transaction);
+    if (cents <= 0) return null;
+    return this.transfer(type, from, to, cents, transaction, options);
+  }
+
+  async getEntries(code, { limit = 100 } = {}) {
+    const account = await LedgerAccount.findOne({ where: { code } });
+    if (!account) {
+      throw new Error('Ledger account not found');
+    }
+
+    const entries = await LedgerEntry.findAll({
+      where: { account_id: account.id },
+      order: [['id', 'DESC']],
+      limit
+    });
+
+    return { account, entries };
+  }
+
+  // Every place the ledger and the cached balances disagree; empty when they all match
+  async checkConsistency() {
+    const issues = [];
+    const sum = sequelize.fn('SUM', sequelize.col('amount'));
+
+    // Postings balance per currency
+    const unbalanced = await LedgerEntry.findAll({
+      attributes: ['posting_id', [sequelize.col('account.currency'), 'currency'], [sum, 'total']],
+      include: [{ model: LedgerAccount, as: 'account', attributes: [] }],
+      group: ['posting_id', 'account.currency'],
+      having: sequelize.where(sum, Op.ne, 0),
+      raw: true
+    });
+    unbalanced.forEach(posting => issues.push({
+      kind: 'unbalanced_posting',
+      postingId: posting.posting_id,
+      currency: posting.currency,
+      total: parseFloat(posting.total)
+    }));
+
+    const totals = await LedgerEntry.findAll({
+      attributes: ['account_id', [sum, 'total'], [sequelize.fn('MAX', sequelize.col('id')), 'last_id']],
+      group: ['account_id'],
+      raw: true
+    });
+    const lastEntries = await LedgerEntry.findAll({
+      where: { id: totals.map(total => total.last_id) },
+      raw: true
+    });
+    const totalsByAccount = new Map(totals.map(total => [total.account_id, total]));
+    const lastByAccount = new Map(lastEntries.map(entry => [entry.account_id, entry]));
+
+    const accounts = await LedgerAccount.findAll({ raw: true });
+    const userAccounts = new Map();
+
+    for (const account of accounts) {
+      const balance = toCents(account.balance);
+      const total = totalsByAccount.get(account.id);
+      const last = lastByAccount.get(account.id);
+
+      if (toCents(total ? total.total : 0) !== balance) {
+        issues.push({ kind: 'entries_total', account: account.code, balance: fromCents(balance), entries: parseFloat(total ? total.total : 0) });
+      }
+      if (toCents(last ? last.balance_after : 0) !== balance) {
+        issues.push({ kind: 'last_snapshot', account: account.code, balance: fromCents(balance), snapshot: parseFloat(last ? last.balance_after : 0) });
+      }
+      if (account.type === 'user') {
+        userAccounts.set(account.owner_id, { ...userAccounts.get(account.owner_id), [account.currency]: balance });
+      }
+    }
+
+    // Players without an account yet are opened at their cached balance on first use
+    const users = await User.findAll({ attributes: ['id', 'username', 'balance', 'balances'], raw: true });
+    for (const user of users) {
+      if (!userAccounts.has(user.id)) continue;
+
+      for (const [currency, ledger] of Object.entries(userAccounts.get(user.id))) {
+        const cached = [toCents(this.balanceIn(user, currency))];
+        if (currency === BASE_CURRENCY && user.balances && user.balances[currency] !== undefined) {
+          cached.push(toCents(user.balances[currency]));
+        }
+
+        if (cached.some(cents => cents !== ledger)) {
+          issues.push({
+            kind: 'user_balance',
+            account: this.user(user.id, currency),
+            username: user.username,
+            cached: fromCents(cached.find(cents => cents !== ledger)),
+            ledger: fromCents(ledger)
+          });
+        }
+      }
+    }
+
+    if (issues.length > 0) {
+      console.warn(`⚠️ Ledger drift: ${issues.length} issue(s) found`);
+    }
+
+    return {
+      checkedAt: new Date(),
+      accounts: accounts.length,
+      issues
+    };
+  }
+}
+
+module.exports = new Wallet();
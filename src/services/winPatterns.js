@@ -0,0 +1,72 @@
+const { getVariant } = require('./variants');
+
+// Winning patterns are masks over the variant's card grid written as row strings,
+// '1' = cell required. A pattern may list several masks; matching any one of them wins.
+// Blank cells (90-ball) and the free centre (75-ball) always count as marked.
+class WinPatterns {
+  parseMask(mask, variant) {
+    if (!Array.isArray(mask) || mask.length !== variant.rows) {
+      throw new Error(`Pattern mask must have ${variant.rows} rows`);
+    }
+
+    const rowFormat = new RegExp(`^[01]{${variant.cols}}$`);
+    const cells = [];
+    mask.forEach((row, rowIndex) => {
+      if (typeof row !== 'string' || !rowFormat.test(row)) {
+        throw new Error(`Invalid pattern mask row: ${row}`);
+      }
+      [...row].forEach((bit, colIndex) => {
+        if (bit === '1') cells.push([rowIndex, colIndex]);
+      });
+    });
+
+    if (cells.length === 0) {
+      throw new Error('Pattern mask must require at least one cell');
+    }
+
+    return cells;
+  }
+
+  // Turn pattern names or { name, masks } into cell lists for the variant
+  resolve(patterns, variant = getVariant()) {
+    const list = Array.isArray(patterns) && patterns.length > 0 ? patterns : variant.defaultPatterns;
+
+    return list.map(pattern => {
+      if (typeof pattern === 'string') {
+        const masks = variant.patterns[pattern];
+        if (!masks) {
+          throw new Error(`Unknown winning pattern for ${variant.name}: ${pattern}`);
+        }
+        return { name: pattern, masks: masks.map(mask => this.parseMask(mask, variant)) };
+      }
+
+      if (!pattern || !pattern.name) {
+        throw new Error('Custom pattern requires a name');
+      }
+
+      const masks = pattern.masks || [pattern.mask];
+      return { name: pattern.name, masks: masks.map(mask => this.parseMask(mask, variant)) };
+    });
+  }
+
+  // Returns the name of the first configured pattern the card completes, or null
+  findMatch(cardNumbers, calledNumbers, patterns, variant = getVariant()) {
+    const calledSet = new Set();
+    calledNumbers.forEach(n => calledSet.add(n.number));
+
+    const isMarked = ([row, col]) => {
+      const cell = cardNumbers[row][col];
+      return !cell || cell.free || calledSet.has(cell.number);
+    };
+
+    for (const pattern of this.resolve(patterns, variant)) {
+      if (pattern.masks.some(cells => cells.every(isMarked))) {
+        return pattern.name;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new WinPatterns();
@@ -0,0 +1,364 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const GameEngine = require('./gameEngine');
+const TelegramService = require('./telegramService');
+const Wallet = require('./wallet');
+const { getProvider } = require('./payouts');
+const chains = require('../config/chains');
+const { parseAddress, formatAddress } = require('../utils/address');
+const { toCents, fromCents, formatMoney } = require('../utils/money');
+const { runSerializable } = require('../utils/transaction');
+const { Transaction, User } = require('../models');
+
+// Every 30 seconds: send approved withdrawals nobody has picked up yet
+const TICK_SCHEDULE = '*/30 * * * * *';
+const DAY = 24 * 60 * 60 * 1000;
+// A payout still 'processing' after this was cut off mid-send, e.g. by a restart
+const PROCESSING_TIMEOUT = 10 * 60 * 1000;
+// Payouts go out as USDT on chain, so withdrawals come out of the USDT balance
+const CURRENCY = 'USDT';
+
+const LIMITS = {
+  min: parseFloat(process.env.WITHDRAW_MIN || 10),
+  max: parseFloat(process.env.WITHDRAW_MAX || 5000),
+  daily: parseFloat(process.env.WITHDRAW_DAILY_LIMIT || 10000),
+  // Requests above this wait for an admin
+  review: parseFloat(process.env.WITHDRAW_REVIEW_THRESHOLD || 500)
+};
+
+// Withdrawals are 'withdraw' transactions. While pending, metadata.stage says where
+// the request is: 'review' (waiting for an admin), 'approved' (queued), 'processing'
+// (handed to the payout provider), 'awaiting_payout' (to be paid by hand) or
+// 'unconfirmed' (the send broke off and may have gone out; staff check the chain and
+// mark it paid or failed). The amount is moved from the player's balance into a hold
+// account when requested; a payout moves it on to custody, and a rejection or a
+// failure that sent nothing gives it back.
+class WithdrawalService {
+  constructor() {
+    this.task = null;
+    this.ticking = false;
+  }
+
+  get limits() {
+    return LIMITS;
+  }
+
+  start() {
+    if (this.task) return;
+    this.task = cron.schedule(TICK_SCHEDULE, () => this.tick());
+  }
+
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+  }
+
+  async tick() {
+    if (!GameEngine.isLeader || this.ticking) return;
+
+    this.ticking = true;
+    try {
+      const approved = await Transaction.findAll({
+        where: { type: 'withdraw', status: 'pending', metadata: { stage: 'approved' } },
+        order: [['created_at', 'ASC']],
+        limit: 50
+      });
+
+      for (const withdrawal of approved) {
+        await this.process(withdrawal.id);
+      }
+
+      const stale = await Transaction.findAll({
+        where: {
+          type: 'withdraw',
+          status: 'pending',
+          metadata: { stage: 'processing' },
+          updated_at: { [Op.lt]: new Date(Date.now() - PROCESSING_TIMEOUT) }
+        },
+        order: [['created_at', 'ASC']],
+        limit: 50
+      });
+
+      for (const withdrawal of stale) {
+        await this.unconfirmed(withdrawal.id, 'processing_timed_out')
+          .catch(error => console.error(`Error parking withdrawal ${withdrawal.id}:`, error));
+      }
+    } catch (error) {
+      console.error('Error processing withdrawals:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Reserve the amount and queue the request; small ones are approved straight away
+  async request(userId, { amount, network = 'TRC20', address } = {}) {
+    const cents = toCents(amount);
+    if (!(cents > 0) || fromCents(cents) !== parseFloat(amount)) {
+      throw new Error('Amount must be positive, in whole cents');
+    }
+    if (cents < toCents(LIMITS.min) || cents > toCents(LIMITS.max)) {
+      throw new Error(`Withdrawals must be between ${LIMITS.min} and ${LIMITS.max}`);
+    }
+
+    const config = chains.NETWORKS[String(network).toUpperCase()];
+    if (!config) {
+      throw new Error('Unsupported withdrawal network');
+    }
+
+    let payoutAddress;
+    try {
+      payoutAddress = formatAddress(config.addressFormat, parseAddress(config.addressFormat, String(address || '')));
+    } catch (error) {
+      throw new Error(`Invalid ${config.network} address`);
+    }
+
+    const withdrawal = await runSerializable(async (transaction) => {
+      const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (!user.is_verified) {
+        throw new Error('Verify your account before withdrawing');
+      }
+      if (user.is_banned) {
+        throw new Error('Account is suspended');
+      }
+
+      // Everything requested in the last 24 hours that was not given back counts
+      const withdrawnToday = await Transaction.sum('amount', {
+        where: {
+          user_id: userId,
+          type: 'withdraw',
+          status: ['pending', 'completed'],
+          created_at: { [Op.gte]: new Date(Date.now() - DAY) }
+        },
+        transaction
+      });
+      if (toCents(withdrawnToday) + cents > toCents(LIMITS.daily)) {
+        throw new Error(`Daily withdrawal limit of ${LIMITS.daily} reached`);
+      }
+
+      const id = uuidv4();
+      return Wallet.record('withdraw', [
+        [Wallet.user(userId, CURRENCY), -cents],
+        [Wallet.withdrawal(id, CURRENCY), cents]
+      ], transaction, {
+        id,
+        userId,
+        amount: cents,
+        status: 'pending',
+        network: config.network,
+        currency: CURRENCY,
+        wallet_address: payoutAddress,
+        metadata: { stage: cents > toCents(LIMITS.review) ? 'review' : 'approved' }
+      });
+    });
+
+    this.announce(withdrawal);
+
+    if (withdrawal.metadata.stage === 'approved') {
+      this.process(withdrawal.id).catch(error => console.error('Error sending withdrawal:', error));
+    }
+
+    return withdrawal;
+  }
+
+  async list(userId, { limit = 50 } = {}) {
+    return Transaction.findAll({
+      where: { user_id: userId, type: 'withdraw' },
+      order: [['created_at', 'DESC']],
+      limit
+    });
+  }
+
+  // Pending withdrawals for admins, by stage; the review queue by default
+  async queue(stage = 'review') {
+    return Transaction.findAll({
+      where: { type: 'withdraw', status: 'pending', metadata: { stage } },
+      include: [{ model: User, as: 'user', attributes: ['id', 'username', 'email', 'total_deposited', 'total_withdrawn'] }],
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  // Lock a pending withdrawal in one of `stages` and apply `change` to it
+  async transition(withdrawalId, stages, change) {
+    const withdrawal = await runSerializable(async (transaction) => {
+      const record = await Transaction.findOne({
+        where: { id: withdrawalId, type: 'withdraw' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!record) {
+        throw new Error('Withdrawal not found');
+      }
+      if (record.status !== 'pending' || !stages.includes(record.metadata.stage)) {
+        throw new Error(`Withdrawal is ${record.status === 'pending' ? record.metadata.stage : record.status}`);
+      }
+
+      return change(record, transaction);
+    });
+
+    this.announce(withdrawal);
+    return withdrawal;
+  }
+
+  // Hand the amount back to the player and close the withdrawal
+  release(record, transaction, status, details) {
+    const cents = toCents(record.amount);
+    return Wallet.settle(record, 'withdraw_release', [
+      [Wallet.withdrawal(record.id, record.currency), -cents],
+      [Wallet.user(record.user_id, record.currency), cents]
+    ], transaction, {
+      status,
+      metadata: { ...record.metadata, ...details }
+    });
+  }
+
+  async cancel(userId, withdrawalId) {
+    const withdrawal = await Transaction.findOne({ where: { id: withdrawalId, user_id: userId, type: 'withdraw' } });
+    if (!withdrawal) {
+      throw new Error('Withdrawal not found');
+    }
+
+    return this.transition(withdrawalId, ['review', 'approved'], (record, transaction) =>
+      this.release(record, transaction, 'cancelled', { stage: 'cancelled' })
+    );
+  }
+
+  async approve(withdrawalId, adminId) {
+    const withdrawal = await this.transition(withdrawalId, ['review'], (record, transaction) =>
+      record.update({ metadata: { ...record.metadata, stage: 'approved', reviewed_by: adminId } }, { transaction })
+    );
+
+    this.process(withdrawal.id).catch(error => console.error('Error sending withdrawal:', error));
+    return withdrawal;
+  }
+
+  async reject(withdrawalId, adminId, reason = null) {
+    return this.transition(withdrawalId, ['review', 'approved'], (record, transaction) =>
+      this.release(record, transaction, 'cancelled', { stage: 'rejected', reviewed_by: adminId, reason })
+    );
+  }
+
+  // Send an approved withdrawal through the network's payout provider
+  async process(withdrawalId) {
+    let withdrawal;
+    try {
+      // Claiming it first means a second caller cannot send it again
+      withdrawal = await this.transition(withdrawalId, ['approved'], (record, transaction) =>
+        record.update({ metadata: { ...record.metadata, stage: 'processing' } }, { transaction })
+      );
+    } catch (error) {
+      return null;
+    }
+
+    const config = chains.NETWORKS[withdrawal.network];
+
+    let provider;
+    let result;
+    try {
+      provider = getProvider(withdrawal.network);
+      result = await provider.send({
+        id: withdrawal.id,
+        network: withdrawal.network,
+        address: withdrawal.wallet_address,
+        cents: toCents(withdrawal.amount)
+      }, config);
+    } catch (error) {
+      console.error(`Payout of withdrawal ${withdrawal.id} failed:`, error);
+      if (error.notSent) {
+        return this.fail(withdrawal.id, error.message);
+      }
+      return this.unconfirmed(withdrawal.id, error.message, {
+        provider: provider.key,
+        ...(error.txHash ? { tx_hash: error.txHash } : {})
+      });
+    }
+
+    if (result.manual) {
+      return this.transition(withdrawal.id, ['processing'], (record, transaction) =>
+        record.update({ metadata: { ...record.metadata, stage: 'awaiting_payout', provider: provider.key } }, { transaction })
+      );
+    }
+
+    return this.markPaid(withdrawal.id, result.txHash, { provider: provider.key });
+  }
+
+  // The payout went out: the held amount leaves the platform
+  async markPaid(withdrawalId, txHash, details = {}) {
+    if (!txHash) {
+      throw new Error('Transaction hash is required');
+    }
+
+    return this.transition(withdrawalId, ['processing', 'awaiting_payout', 'unconfirmed'], async (record, transaction) => {
+      const cents = toCents(record.amount);
+      await User.increment('total_withdrawn', { by: record.amount, where: { id: record.user_id }, transaction });
+
+      return Wallet.settle(record, 'withdraw_payout', [
+        [Wallet.withdrawal(record.id, record.currency), -cents],
+        [Wallet.custody(record.currency), cents]
+      ], transaction, {
+        status: 'completed',
+        tx_hash: txHash,
+        metadata: { ...record.metadata, ...details, stage: 'paid' }
+      });
+    });
+  }
+
+  // Nothing was paid: give the amount back
+  async fail(withdrawalId, reason, details = {}) {
+    return this.transition(withdrawalId, ['processing', 'awaiting_payout', 'unconfirmed'], (record, transaction) =>
+      this.release(record, transaction, 'failed', { ...details, stage: 'failed', reason })
+    );
+  }
+
+  // The payout may or may not have gone out: keep the amount held until staff decide
+  async unconfirmed(withdrawalId, reason, details = {}) {
+    return this.transition(withdrawalId, ['processing'], (record, transaction) =>
+      record.update({ metadata: { ...record.metadata, ...details, stage: 'unconfirmed', reason } }, { transaction })
+    );
+  }
+
+  announce(withdrawal) {
+    const payload = {
+      userId: withdrawal.user_id,
+      transactionId: withdrawal.id,
+      network: withdrawal.network,
+      address: withdrawal.wallet_address,
+      amount: parseFloat(withdrawal.amount),
+      status: withdrawal.status,
+      stage: withdrawal.metadata.stage,
+      txHash: withdrawal.tx_hash
+    };
+
+    GameEngine.emit('withdrawalUpdated', payload);
+
+    if (['paid', 'failed', 'rejected'].includes(payload.stage)) {
+      this.notify(payload).catch(error => console.error('Error sending withdrawal notice:', error));
+    }
+  }
+
+  async notify({ userId, amount, network, stage, txHash }) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'telegram_id', 'balance', 'balances'] });
+    if (!user || !user.telegram_id) return;
+
+    const message = stage === 'paid'
+      ? `
+💸 <b>Withdrawal sent</b>
+
+<b>${formatMoney(amount, CURRENCY)}</b> (${network}) is on its way.
+Transaction: <code>${txHash}</code>
+      `
+      : `
+⚠️ <b>Withdrawal ${stage}</b>
+
+Your withdrawal of <b>${formatMoney(amount, CURRENCY)}</b> was not sent and has been returned to your balance.
+Your ${CURRENCY} balance: ${formatMoney(Wallet.balanceIn(user, CURRENCY), CURRENCY)}
+      `;
+
+    await TelegramService.sendMessage(user.telegram_id, message);
+  }
+}
+
+module.exports = new WithdrawalService();
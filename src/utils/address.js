@@ -0,0 +1,34 @@
+const { getAddress, encodeBase58, decodeBase58, sha256, getBytes, concat, dataSlice, toBeHex } = require('ethers');
+
+// TRON addresses are the same 20 bytes as Ethereum ones, prefixed with 0x41 and
+// written in base58check.
+const TRON_PREFIX = '0x41';
+
+const checksum = (payload) => dataSlice(sha256(sha256(payload)), 0, 4);
+
+const toTronAddress = (hexAddress) => {
+  const payload = concat([TRON_PREFIX, getAddress(hexAddress)]);
+  return encodeBase58(concat([payload, checksum(payload)]));
+};
+
+const fromTronAddress = (tronAddress) => {
+  const bytes = getBytes(toBeHex(decodeBase58(tronAddress), 25));
+  const payload = dataSlice(bytes, 0, 21);
+
+  if (bytes[0] !== 0x41 || dataSlice(bytes, 21) !== checksum(payload)) {
+    throw new Error('Invalid TRON address');
+  }
+  return getAddress(dataSlice(payload, 1));
+};
+
+// Chain-native form of a 20-byte address, and back
+const formatAddress = (format, hexAddress) => format === 'tron' ? toTronAddress(hexAddress) : getAddress(hexAddress);
+
+const parseAddress = (format, address) => format === 'tron' ? fromTronAddress(address) : getAddress(address);
+
+module.exports = {
+  toTronAddress,
+  fromTronAddress,
+  formatAddress,
+  parseAddress
+};
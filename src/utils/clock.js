@@ -0,0 +1,87 @@
+// Clocks give the engine its notion of time. The system clock is the real one;
+// the virtual clock only moves when advanced, so a whole game can run in a test
+// or simulation without waiting.
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle)
+};
+
+class VirtualClock {
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+    this.timers = new Map();
+    this.nextHandle = 1;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  setTimeout(fn, ms = 0) {
+    const handle = this.nextHandle++;
+    this.timers.set(handle, { fn, at: this.currentTime + Math.max(0, ms), every: null });
+    return handle;
+  }
+
+  setInterval(fn, ms) {
+    const handle = this.nextHandle++;
+    this.timers.set(handle, { fn, at: this.currentTime + ms, every: ms });
+    return handle;
+  }
+
+  clearTimeout(handle) {
+    this.timers.delete(handle);
+  }
+
+  clearInterval(handle) {
+    this.timers.delete(handle);
+  }
+
+  // Run every timer due within `ms`, in time order, awaiting async callbacks
+  async advance(ms) {
+    const target = this.currentTime + ms;
+
+    for (;;) {
+      let nextHandle = null;
+      let next = null;
+      for (const [handle, timer] of this.timers) {
+        if (timer.at <= target && (!next || timer.at < next.at)) {
+          nextHandle = handle;
+          next = timer;
+        }
+      }
+
+      if (!next) break;
+
+      this.currentTime = next.at;
+      if (next.every) {
+        next.at += next.every;
+      } else {
+        this.timers.delete(nextHandle);
+      }
+
+      await next.fn();
+    }
+
+    this.currentTime = target;
+  }
+
+  // Advance until `predicate()` holds, in steps, giving up after `limitMs`
+  async advanceUntil(predicate, stepMs = 1000, limitMs = 60 * 60 * 1000) {
+    let advanced = 0;
+    while (!predicate() && advanced < limitMs) {
+      await this.advance(stepMs);
+      advanced += stepMs;
+    }
+    return predicate();
+  }
+}
+
+module.exports = {
+  systemClock,
+  VirtualClock
+};
@@ -0,0 +1,73 @@
+const { id, zeroPadValue, toBeHex, hexlify, randomBytes, getAddress } = require('ethers');
+
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+
+const topicMatches = (wanted, actual) => {
+  if (wanted === null || wanted === undefined) return true;
+  const options = Array.isArray(wanted) ? wanted : [wanted];
+  return options.some(option => String(option).toLowerCase() === String(actual).toLowerCase());
+};
+
+// An in-memory chain that answers the provider calls the deposit watcher makes.
+// Blocks only appear when mined, so confirmations and reorgs can be played out
+// in a test or a local run without a network.
+class MemoryChain {
+  constructor() {
+    this.blockNumber = 0;
+    this.logs = [];
+    this.receipts = new Map();
+  }
+
+  async getBlockNumber() {
+    return this.blockNumber;
+  }
+
+  mine(blocks = 1) {
+    this.blockNumber += blocks;
+    return this.blockNumber;
+  }
+
+  // A token transfer mined in a new block; returns its transaction hash
+  transfer(tokenAddress, from, to, amount, { failed = false } = {}) {
+    const blockNumber = this.mine();
+    const transactionHash = hexlify(randomBytes(32));
+
+    if (!failed) {
+      this.logs.push({
+        address: getAddress(tokenAddress),
+        topics: [TRANSFER_TOPIC, zeroPadValue(from, 32), zeroPadValue(to, 32)],
+        data: toBeHex(BigInt(amount), 32),
+        blockNumber,
+        transactionHash,
+        index: 0
+      });
+    }
+    this.receipts.set(transactionHash, { blockNumber, status: failed ? 0 : 1 });
+
+    return transactionHash;
+  }
+
+  // Drop every block after `blockNumber`, as a reorg would
+  rewind(blockNumber) {
+    this.blockNumber = blockNumber;
+    this.logs = this.logs.filter(log => log.blockNumber <= blockNumber);
+    for (const [hash, receipt] of this.receipts) {
+      if (receipt.blockNumber > blockNumber) this.receipts.delete(hash);
+    }
+  }
+
+  async getLogs({ address, topics = [], fromBlock = 0, toBlock = this.blockNumber }) {
+    return this.logs.filter(log =>
+      log.blockNumber >= fromBlock &&
+      log.blockNumber <= toBlock &&
+      (!address || log.address.toLowerCase() === address.toLowerCase()) &&
+      topics.every((topic, index) => topicMatches(topic, log.topics[index]))
+    );
+  }
+
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null;
+  }
+}
+
+module.exports = MemoryChain;
@@ -0,0 +1,43 @@
+const { BASE_CURRENCY } = require('../config/currencies');
+
+// Amounts are DECIMAL(15, 2) in the database; do the arithmetic in whole cents.
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+const fromCents = (cents) => Math.round(cents) / 100;
+
+// Prize after the house fee, rounded down to the cent so the house never pays out more than the pot
+const prizeCents = (pot, houseFee) => Math.floor(toCents(pot) * (1 - houseFee) + 1e-6);
+
+// Split cents into `count` shares; leftover cents go one each to the first shares
+const splitCents = (totalCents, count) => {
+  if (count <= 0) return [];
+
+  const base = Math.floor(totalCents / count);
+  const remainder = totalCents - base * count;
+
+  return Array.from({ length: count }, (_, index) => base + (index < remainder ? 1 : 0));
+};
+
+// Split cents by weights, e.g. prize shares by rank: each share rounds down and the
+// cents lost to rounding go to the first share
+const shareCents = (totalCents, weights) => {
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = weights.map(weight => weightTotal > 0 ? Math.floor(totalCents * weight / weightTotal) : 0);
+  if (shares.length > 0) {
+    shares[0] += totalCents - shares.reduce((sum, share) => sum + share, 0);
+  }
+  return shares;
+};
+
+// For player-facing text, e.g. "12.50 ETB"
+const formatMoney = (amount, currency = BASE_CURRENCY) => `${parseFloat(amount || 0).toFixed(2)} ${currency || BASE_CURRENCY}`;
+
+module.exports = {
+  toCents,
+  fromCents,
+  prizeCents,
+  splitCents,
+  shareCents,
+  formatMoney
+};
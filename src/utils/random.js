@@ -0,0 +1,13 @@
+// Fisher-Yates shuffle driven by a [0, 1) rng, leaves the input untouched
+const shuffle = (items, rng) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+module.exports = {
+  shuffle
+};
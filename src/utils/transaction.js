@@ -0,0 +1,27 @@
+const { Transaction } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Postgres serialization_failure and deadlock_detected: safe to run the work again
+const RETRYABLE_CODES = ['40001', '40P01'];
+
+// Run `work(transaction)` in a SERIALIZABLE transaction, retrying on serialization conflicts.
+// Rows that are read and then written should be fetched with `lock: transaction.LOCK.UPDATE`.
+const runSerializable = async (work, retries = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sequelize.transaction(
+        { isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE },
+        work
+      );
+    } catch (error) {
+      const code = error.parent && error.parent.code;
+      if (!RETRYABLE_CODES.includes(code) || attempt >= retries) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = {
+  runSerializable
+};
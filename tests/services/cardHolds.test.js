@@ -0,0 +1,70 @@
+jest.mock('../../src/config/redis', () => ({
+  eval: jest.fn(),
+  smembers: jest.fn()
+}));
+
+const RedisClient = require('../../src/config/redis');
+const CardHolds = require('../../src/services/cardHolds');
+
+// The Redis Cluster slot of a key: its {hash tag} when it has one
+const slotOf = (key) => {
+  const tag = key.match(/\{([^}]+)\}/);
+  return tag ? tag[1] : key;
+};
+
+describe('CardHolds.hold', () => {
+  afterEach(() => jest.resetAllMocks());
+
+  test('passes the hold key of every held card in KEYS, all in the game slot', async () => {
+    RedisClient.smembers.mockResolvedValue(['4', '9']);
+    RedisClient.eval.mockResolvedValue(1);
+
+    const expiresAt = await CardHolds.hold('game-1', 'user-1', 7, 1000);
+
+    expect(expiresAt).toEqual(new Date(1000 + CardHolds.holdSeconds() * 1000));
+    expect(RedisClient.smembers).toHaveBeenCalledWith(CardHolds.setKey('game-1'));
+
+    const [script, keys, args] = RedisClient.eval.mock.calls[0];
+    expect(keys).toEqual([
+      CardHolds.key('game-1', 7),
+      CardHolds.setKey('game-1'),
+      CardHolds.key('game-1', '4'),
+      CardHolds.key('game-1', '9')
+    ]);
+    expect(new Set(keys.map(slotOf))).toEqual(new Set(['game-1']));
+    expect(args.slice(5)).toEqual(['4', '9']);
+
+    // No key is put together inside the script
+    expect(script).not.toMatch(/\.\./);
+  });
+
+  test('reads the held set again when it changed before the script ran', async () => {
+    RedisClient.smembers.mockResolvedValueOnce(['4']).mockResolvedValueOnce(['4', '5']);
+    RedisClient.eval.mockResolvedValueOnce(-3).mockResolvedValueOnce(1);
+
+    await CardHolds.hold('game-1', 'user-1', 7);
+
+    expect(RedisClient.eval).toHaveBeenCalledTimes(2);
+    expect(RedisClient.eval.mock.calls[1][1].slice(2)).toEqual([CardHolds.key('game-1', '4'), CardHolds.key('game-1', '5')]);
+  });
+
+  test('gives up when the held set keeps changing', async () => {
+    RedisClient.smembers.mockResolvedValue([]);
+    RedisClient.eval.mockResolvedValue(-3);
+
+    await expect(CardHolds.hold('game-1', 'user-1', 7)).rejects.toThrow('Card could not be held, try again');
+    expect(RedisClient.eval).toHaveBeenCalledTimes(5);
+  });
+
+  test.each([
+    [-1, 'Card is held by another player'],
+    [-2, 'At most 3 cards can be held at once'],
+    [null, 'Card could not be held, try again']
+  ])('a script result of %s is refused', async (result, message) => {
+    RedisClient.smembers.mockResolvedValue([]);
+    RedisClient.eval.mockResolvedValue(result);
+
+    await expect(CardHolds.hold('game-1', 'user-1', 7)).rejects.toThrow(message);
+    expect(RedisClient.eval).toHaveBeenCalledTimes(1);
+  });
+});
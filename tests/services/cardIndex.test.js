@@ -0,0 +1,210 @@
+const CardIndex = require('../../src/services/cardIndex');
+const WinPatterns = require('../../src/services/winPatterns');
+const ProvablyFair = require('../../src/services/provablyFair');
+const { getVariant } = require('../../src/services/variants');
+
+const bingo75 = getVariant('bingo75');
+const serverSeed = 'b'.repeat(64);
+
+// 75-ball card with B 1-5, I 16-20, N 31-35, G 46-50, O 61-65 top to bottom and the free centre
+const fixedCard = (cardNumber, fields = {}) => ({
+  id: `card-${cardNumber}`,
+  card_number: cardNumber,
+  user_id: `user-${cardNumber}`,
+  numbers: [0, 1, 2, 3, 4].map(row => ['B', 'I', 'N', 'G', 'O'].map((letter, col) => ({
+    letter,
+    number: col * 15 + row + 1,
+    ...(row === 2 && col === 2 ? { free: true } : {})
+  }))),
+  ...fields
+});
+
+const topRow = [1, 16, 31, 46, 61];
+
+const indexOf = (cards, patterns = ['line'], variant = bingo75) => {
+  const index = new CardIndex(variant);
+  cards.forEach(card => index.add(card));
+  index.setPatterns(patterns);
+  return index;
+};
+
+describe('CardIndex win detection', () => {
+  test('marking the last number of a mask makes the card a winner', () => {
+    const index = indexOf([fixedCard(1)]);
+
+    topRow.slice(0, 4).forEach(number => index.mark(number));
+    expect(index.winners()).toEqual([]);
+    expect(index.takeFresh()).toEqual([]);
+
+    index.mark(61);
+    expect(index.winners()).toEqual([{ userId: 'user-1', cardNumber: 1, pattern: 'line' }]);
+    expect(index.takeFresh()).toEqual([{ userId: 'user-1', cardNumber: 1, pattern: 'line', autoClaim: true }]);
+    expect(index.takeFresh()).toEqual([]);
+    expect(index.patternFor(1)).toBe('line');
+  });
+
+  test('the free centre counts as marked', () => {
+    const index = indexOf([fixedCard(1)]);
+
+    [3, 18, 48, 63].forEach(number => index.mark(number));
+    expect(index.patternFor(1)).toBe('line');
+  });
+
+  test('a number called twice is only counted once', () => {
+    const index = indexOf([fixedCard(1)]);
+
+    [1, 16, 16, 31, 31, 31, 46].forEach(number => index.mark(number));
+    expect(index.winners()).toEqual([]);
+    expect(index.progress(1)).toEqual([{ pattern: 'line', needed: 1 }]);
+
+    const [dirty] = index.takeDirty();
+    expect(dirty.marked).toEqual(['B1', 'I16', 'N31', 'G46']);
+
+    index.mark(61);
+    index.mark(61);
+    expect(index.winners()).toHaveLength(1);
+    expect(index.takeFresh()).toHaveLength(1);
+    expect(index.takeFresh()).toEqual([]);
+  });
+
+  test('a card already complete when the stage starts wins straight away', () => {
+    const index = new CardIndex(bingo75);
+    index.add(fixedCard(1));
+    index.setPatterns(['line']);
+    topRow.forEach(number => index.mark(number));
+    index.takeFresh();
+
+    index.setPatterns(['four_corners', 'line']);
+    expect(index.winners()).toEqual([{ userId: 'user-1', cardNumber: 1, pattern: 'line' }]);
+    expect(index.takeFresh()).toHaveLength(1);
+  });
+
+  test('locked out cards are left out of winners and fresh winners', () => {
+    const index = indexOf([fixedCard(1), fixedCard(2), fixedCard(3, { locked_out: true })]);
+    index.lockOut([2]);
+
+    topRow.forEach(number => index.mark(number));
+
+    expect(index.winners()).toEqual([{ userId: 'user-1', cardNumber: 1, pattern: 'line' }]);
+    expect(index.takeFresh().map(winner => winner.cardNumber)).toEqual([1]);
+  });
+
+  test('a card locked out after completing is dropped from pending fresh winners', () => {
+    const index = indexOf([fixedCard(1), fixedCard(2)]);
+
+    topRow.forEach(number => index.mark(number));
+    index.lockOut([1]);
+
+    expect(index.winners().map(winner => winner.cardNumber)).toEqual([2]);
+    expect(index.takeFresh().map(winner => winner.cardNumber)).toEqual([2]);
+  });
+
+  test.each([
+    ['bingo75', ['four_corners', 'line']],
+    ['bingo75', ['x', 'postage_stamp', 'letter_t']],
+    ['bingo90', ['one_line']],
+    ['bingo90', ['two_lines']],
+    ['bingo30', ['line', 'full_house']]
+  ])('agrees with WinPatterns.findMatch after every call (%s %j)', (key, patterns) => {
+    const variant = getVariant(key);
+    const cards = Array.from({ length: 40 }, (_, i) => ({
+      id: `card-${i + 1}`,
+      card_number: i + 1,
+      user_id: `user-${i % 7}`,
+      numbers: ProvablyFair.generateCardNumbers(serverSeed, 'game-1', i + 1, variant)
+    }));
+    const index = indexOf(cards, patterns, variant);
+    const draw = ProvablyFair.generateDrawOrder(serverSeed, 'client', variant);
+
+    draw.forEach((ball, call) => {
+      index.mark(ball.number);
+      const called = draw.slice(0, call + 1);
+
+      const expected = cards
+        .map(card => ({ cardNumber: card.card_number, pattern: WinPatterns.findMatch(card.numbers, called, patterns, variant) }))
+        .filter(({ pattern }) => pattern);
+      expect(index.winners().map(({ cardNumber, pattern }) => ({ cardNumber, pattern }))).toEqual(expected);
+    });
+    expect(index.winners()).toHaveLength(cards.length);
+  });
+});
+
+describe('CardIndex one-away tracking', () => {
+  test('a card enters the one-away set once and leaves it when it completes', () => {
+    const index = indexOf([fixedCard(1)]);
+
+    [1, 16, 31].forEach(number => index.mark(number));
+    expect(index.oneAwayCount()).toBe(0);
+    expect(index.takeFreshOneAway()).toEqual([]);
+
+    index.mark(46);
+    expect(index.oneAwayCount()).toBe(1);
+    expect(index.takeFreshOneAway()).toEqual([{
+      userId: 'user-1',
+      cardNumber: 1,
+      needs: [{ letter: 'O', number: 61 }],
+      progress: [{ pattern: 'line', needed: 1 }]
+    }]);
+
+    // Still one away, but already reported
+    index.mark(2);
+    expect(index.oneAwayCount()).toBe(1);
+    expect(index.takeFreshOneAway()).toEqual([]);
+
+    index.mark(61);
+    expect(index.oneAwayCount()).toBe(0);
+    expect(index.takeFreshOneAway()).toEqual([]);
+    expect(index.winners()).toHaveLength(1);
+  });
+
+  test('a card that completes before the fresh list is taken is not reported', () => {
+    const index = indexOf([fixedCard(1)]);
+
+    topRow.forEach(number => index.mark(number));
+    expect(index.oneAwayCount()).toBe(0);
+    expect(index.takeFreshOneAway()).toEqual([]);
+  });
+
+  test('a new stage with a longer pattern takes the card out of the set', () => {
+    const index = indexOf([fixedCard(1)]);
+    [1, 16, 31, 46].forEach(number => index.mark(number));
+    expect(index.oneAwayCount()).toBe(1);
+
+    index.setPatterns(['blackout']);
+    expect(index.oneAwayCount()).toBe(0);
+    expect(index.takeFreshOneAway()).toEqual([]);
+  });
+
+  test('locking a card out removes it from the set', () => {
+    const index = indexOf([fixedCard(1), fixedCard(2), fixedCard(3, { locked_out: true })]);
+    [1, 16, 31, 46].forEach(number => index.mark(number));
+    expect(index.oneAwayCount()).toBe(2);
+
+    index.lockOut([1]);
+    expect(index.oneAwayCount()).toBe(1);
+    expect(index.takeFreshOneAway().map(card => card.cardNumber)).toEqual([2]);
+
+    // Further calls do not bring a locked out card back
+    index.mark(2);
+    expect(index.oneAwayCount()).toBe(1);
+    expect(index.takeFreshOneAway()).toEqual([]);
+  });
+
+  test('needs lists every ball that would complete a mask, once, lowest first', () => {
+    const index = indexOf([fixedCard(1)], ['line', 'four_corners']);
+
+    // The top row and the B column both short of B1, the O column short of O65,
+    // the four corners two short
+    [16, 31, 46, 61, 62, 63, 64, 2, 3, 4, 5].forEach(number => index.mark(number));
+
+    const [card] = index.takeFreshOneAway();
+    expect(card.needs).toEqual([
+      { letter: 'B', number: 1 },
+      { letter: 'O', number: 65 }
+    ]);
+    expect(card.progress).toEqual([
+      { pattern: 'line', needed: 1 },
+      { pattern: 'four_corners', needed: 2 }
+    ]);
+  });
+});
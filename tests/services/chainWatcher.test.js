@@ -0,0 +1,97 @@
+const { getAddress, hexlify, randomBytes } = require('ethers');
+const ChainWatcher = require('../../src/services/chainWatcher');
+const MemoryChain = require('../../src/utils/memoryChain');
+const { NETWORKS } = require('../../src/config/chains');
+const { parseAddress, formatAddress } = require('../../src/utils/address');
+
+const address = () => getAddress(hexlify(randomBytes(20)));
+const usdt = (amount) => BigInt(Math.round(amount * 100)) * 10n ** 4n;
+
+describe.each(['ERC20', 'TRC20'])('ChainWatcher on %s', (network) => {
+  const config = { ...NETWORKS[network], confirmations: 3 };
+  const token = parseAddress(config.addressFormat, config.tokenAddress);
+  let chain;
+  let watcher;
+
+  beforeEach(() => {
+    chain = new MemoryChain();
+    watcher = new ChainWatcher(config, chain);
+  });
+
+  test('finds transfers of the token to watched addresses only', async () => {
+    const player = address();
+    const stranger = address();
+    const sender = address();
+
+    const txHash = chain.transfer(token, sender, player, usdt(25.5));
+    chain.transfer(token, sender, stranger, usdt(10));
+    chain.transfer(address(), sender, player, usdt(99));
+
+    const transfers = await watcher.transfers(0, await watcher.head(), [player]);
+
+    expect(transfers).toHaveLength(1);
+    expect(transfers[0]).toMatchObject({ txHash, logIndex: 0, blockNumber: 1, from: sender, to: player });
+    expect(watcher.toCents(transfers[0].amount)).toBe(2550);
+  });
+
+  test('keeps to the requested block range', async () => {
+    const player = address();
+    chain.transfer(token, address(), player, usdt(1));
+    chain.mine(5);
+    chain.transfer(token, address(), player, usdt(2));
+
+    expect(await watcher.transfers(2, 6, [player])).toEqual([]);
+    expect(await watcher.transfers(7, 7, [player])).toHaveLength(1);
+  });
+
+  test('queries many addresses in chunks', async () => {
+    const players = Array.from({ length: 450 }, () => address());
+    for (const player of [players[0], players[250], players[449]]) {
+      chain.transfer(token, address(), player, usdt(5));
+    }
+
+    const transfers = await watcher.transfers(0, await watcher.head(), players);
+    expect(transfers.map(transfer => transfer.to).sort())
+      .toEqual([players[0], players[250], players[449]].sort());
+  });
+
+  test('counts confirmations as the chain grows', async () => {
+    const txHash = chain.transfer(token, address(), address(), usdt(3));
+    expect(await watcher.confirmations(txHash, await watcher.head()))
+      .toEqual({ blockNumber: 1, confirmations: 1, succeeded: true });
+
+    chain.mine(4);
+    expect((await watcher.confirmations(txHash, await watcher.head())).confirmations).toBe(5);
+  });
+
+  test('reports reverted transfers as not succeeded', async () => {
+    const player = address();
+    const txHash = chain.transfer(token, address(), player, usdt(3), { failed: true });
+
+    expect(await watcher.transfers(0, await watcher.head(), [player])).toEqual([]);
+    expect(await watcher.confirmations(txHash, await watcher.head()))
+      .toMatchObject({ succeeded: false });
+  });
+
+  test('has no receipt for a transfer a reorg dropped, until it is mined again', async () => {
+    const player = address();
+    chain.mine(2);
+    const txHash = chain.transfer(token, address(), player, usdt(7));
+
+    chain.rewind(2);
+    expect(await watcher.confirmations(txHash, await watcher.head())).toBeNull();
+    expect(await watcher.transfers(0, await watcher.head(), [player])).toEqual([]);
+
+    chain.mine(3);
+    expect(await watcher.transfers(0, await watcher.head(), [player])).toEqual([]);
+  });
+
+  test('rounds token units down to whole cents', () => {
+    expect(watcher.toCents(12345678n)).toBe(1234);
+    expect(watcher.toCents(9999n)).toBe(0);
+  });
+
+  test('reads the token address in the network format', () => {
+    expect(formatAddress(config.addressFormat, watcher.tokenAddress)).toBe(config.tokenAddress);
+  });
+});
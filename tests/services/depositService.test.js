@@ -0,0 +1,180 @@
+process.env.DEPOSIT_NETWORKS = 'ERC20';
+process.env.ERC20_RPC_URL = 'http://localhost:8545';
+process.env.ERC20_DEPOSIT_XPUB = 'xpub-for-tests';
+process.env.ERC20_CONFIRMATIONS = '3';
+
+const mockCursors = new Map();
+jest.mock('../../src/config/redis', () => ({
+  get: jest.fn(async (key) => (mockCursors.has(key) ? mockCursors.get(key) : null)),
+  set: jest.fn(async (key, value) => mockCursors.set(key, value)),
+  publish: jest.fn()
+}));
+
+const { getAddress, hexlify, randomBytes } = require('ethers');
+const DepositService = require('../../src/services/depositService');
+const GameEngine = require('../../src/services/gameEngine');
+const MemoryChain = require('../../src/utils/memoryChain');
+const chains = require('../../src/config/chains');
+const { DepositAddress, Transaction, sequelize } = require('../../src/models');
+
+const NETWORK = 'ERC20';
+const config = chains.getNetwork(NETWORK);
+const token = getAddress(config.tokenAddress);
+const address = () => getAddress(hexlify(randomBytes(20)));
+const usdt = (amount) => BigInt(Math.round(amount * 100)) * 10n ** 4n;
+
+// Transaction rows kept in memory, with just the queries the deposit service makes
+let rows;
+const row = (fields) => ({
+  ...fields,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+const matches = (record, where) => Object.entries(where).every(([key, value]) => {
+  if (value && typeof value === 'object') {
+    return Object.getOwnPropertySymbols(value).every(op => record[key] !== value[op]);
+  }
+  return record[key] === value;
+});
+
+describe('DepositService with a MemoryChain', () => {
+  let chain;
+  let player;
+  let credited;
+
+  beforeEach(() => {
+    rows = [];
+    credited = [];
+    mockCursors.clear();
+    chain = new MemoryChain();
+    player = { user_id: 'user-1', address: address() };
+    player.hex_address = player.address;
+
+    DepositService.useProvider(NETWORK, chain);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(GameEngine, 'emit').mockImplementation(() => true);
+    jest.spyOn(DepositAddress, 'findAll').mockImplementation(async () => [player]);
+    jest.spyOn(Transaction, 'findOne').mockImplementation(async ({ where }) => rows.find(r => matches(r, where)) || null);
+    jest.spyOn(Transaction, 'findAll').mockImplementation(async ({ where }) => rows.filter(r => matches(r, where)));
+    jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => {
+      const record = row({ id: `tx-${rows.length + 1}`, ...fields });
+      rows.push(record);
+      return record;
+    });
+    jest.spyOn(DepositService, 'credit').mockImplementation(async (id, state) => {
+      const record = rows.find(r => r.id === id);
+      credited.push({ id, confirmations: state.confirmations });
+      await record.update({ status: 'completed' });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const poll = async () => DepositService.poll(NETWORK);
+
+  test('records a transfer once and credits it when deep enough', async () => {
+    mockCursors.set(`deposits:cursor:${NETWORK}`, '0');
+    chain.transfer(token, address(), player.address, usdt(25));
+
+    await poll();
+    await poll();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ status: 'pending', amount: 25, log_index: 0, user_id: 'user-1' });
+    expect(credited).toEqual([]);
+
+    chain.mine(2);
+    await poll();
+    expect(credited).toEqual([{ id: rows[0].id, confirmations: 3 }]);
+
+    chain.mine(5);
+    await poll();
+    expect(rows).toHaveLength(1);
+    expect(credited).toHaveLength(1);
+  });
+
+  test('ignores deposits below the minimum', async () => {
+    mockCursors.set(`deposits:cursor:${NETWORK}`, '0');
+    chain.transfer(token, address(), player.address, usdt(0.5));
+
+    await poll();
+    expect(rows).toEqual([]);
+  });
+
+  test('keeps a deposit pending while a reorg has taken its receipt away', async () => {
+    mockCursors.set(`deposits:cursor:${NETWORK}`, '0');
+    const txHash = chain.transfer(token, address(), player.address, usdt(10));
+    const [log] = chain.logs;
+    const receipt = chain.receipts.get(txHash);
+
+    await poll();
+    chain.rewind(0);
+    chain.mine(1);
+    await poll();
+
+    expect(rows[0].status).toBe('pending');
+    expect(rows[0].metadata.missing_since).toBeDefined();
+
+    // The same transaction lands again two blocks later
+    chain.mine(1);
+    chain.logs.push({ ...log, blockNumber: 3 });
+    chain.receipts.set(txHash, { ...receipt, blockNumber: 3 });
+    chain.mine(3);
+    await poll();
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].metadata.missing_since).toBeUndefined();
+    expect(credited).toEqual([{ id: rows[0].id, confirmations: 3 }]);
+  });
+
+  test('reads recent blocks again, so a transfer a reorg moved behind the cursor is found', async () => {
+    chain.mine(4);
+    mockCursors.set(`deposits:cursor:${NETWORK}`, '3');
+    await poll();
+    expect(mockCursors.get(`deposits:cursor:${NETWORK}`)).toBe('4');
+
+    // Block 4 is replaced by one carrying a deposit; the head stays where it was
+    chain.rewind(3);
+    chain.transfer(token, address(), player.address, usdt(40));
+    expect(await chain.getBlockNumber()).toBe(4);
+
+    await poll();
+    expect(rows).toHaveLength(1);
+    expect(rows[0].metadata.block_number).toBe(4);
+  });
+
+  test('fails a reverted deposit only once it is deep enough, and can record the log again', async () => {
+    mockCursors.set(`deposits:cursor:${NETWORK}`, '0');
+    const txHash = chain.transfer(token, address(), player.address, usdt(15));
+    await poll();
+
+    chain.receipts.set(txHash, { ...chain.receipts.get(txHash), status: 0 });
+    await poll();
+    expect(rows[0].status).toBe('pending');
+
+    chain.mine(2);
+    await poll();
+    expect(rows[0]).toMatchObject({ status: 'failed', metadata: expect.objectContaining({ reason: 'reverted' }) });
+    expect(credited).toEqual([]);
+
+    // Only a failed record for the same log is there, so a fresh pass records it again
+    await DepositService.scan(NETWORK, await chain.getBlockNumber());
+    expect(rows.filter(r => r.status === 'pending')).toHaveLength(1);
+  });
+
+  test('orders deposits by their created_at column', async () => {
+    Transaction.findAll.mockRestore();
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+    await DepositService.confirmPending(NETWORK, 10);
+    await DepositService.listDeposits('user-1');
+
+    const [pending, listed] = query.mock.calls.map(([statement]) => statement);
+    expect(pending).toContain('ORDER BY "Transaction"."created_at" ASC');
+    expect(listed).toContain('ORDER BY "Transaction"."created_at" DESC');
+  });
+});
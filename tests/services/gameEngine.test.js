@@ -0,0 +1,277 @@
+jest.mock('../../src/config/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  publish: jest.fn(),
+  subscribe: jest.fn(),
+  acquireLock: jest.fn(),
+  renewLock: jest.fn(),
+  releaseLock: jest.fn()
+}));
+
+const { GameEngine } = require('../../src/services/gameEngine');
+const ProvablyFair = require('../../src/services/provablyFair');
+const WinPatterns = require('../../src/services/winPatterns');
+const Wallet = require('../../src/services/wallet');
+const ExchangeService = require('../../src/services/exchangeService');
+const { getVariant } = require('../../src/services/variants');
+const { VirtualClock } = require('../../src/utils/clock');
+const { Game, Card, User, Room, AutoBuy, CardLayout, GameEvent, sequelize } = require('../../src/models');
+
+const draws = (seed) => {
+  const engine = new GameEngine({ seed, clock: new VirtualClock(), standalone: true });
+  return {
+    ids: [engine.generateId(), engine.generateId()],
+    randoms: [engine.random(), engine.random(), engine.random()],
+    serverSeed: ProvablyFair.generateServerSeed(engine.rng)
+  };
+};
+
+describe('GameEngine seeding', () => {
+  test('the same seed gives the same ids, randomness and server seeds', () => {
+    expect(draws(42)).toEqual(draws(42));
+  });
+
+  test('different seeds give different runs', () => {
+    const a = draws(1);
+    const b = draws(2);
+    expect(a.ids).not.toEqual(b.ids);
+    expect(a.serverSeed).not.toBe(b.serverSeed);
+  });
+
+  test('seeded randomness stays in [0, 1)', () => {
+    const engine = new GameEngine({ seed: 'range', standalone: true });
+    for (let i = 0; i < 1000; i++) {
+      const value = engine.random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('takes its time from the injected clock', async () => {
+    const clock = new VirtualClock(5000);
+    const engine = new GameEngine({ seed: 7, clock, standalone: true });
+
+    await clock.advance(2500);
+    expect(engine.clock.now()).toBe(7500);
+  });
+});
+
+// The tables a game touches, kept in memory, and the ledger as balances per account
+const memoryDatabase = (roomFields) => {
+  const db = { games: [], cards: [], ledger: new Map(), postings: [] };
+  const withToJSON = (row) => ({
+    ...row,
+    toJSON() {
+      const { toJSON, update, ...fields } = this; // eslint-disable-line no-unused-vars
+      return JSON.parse(JSON.stringify(fields));
+    },
+    async update(changes) {
+      Object.assign(this, changes);
+      return this;
+    }
+  });
+
+  const room = withToJSON({
+    id: 'room-1',
+    slug: 'standard',
+    name: 'Standard',
+    currency: 'USDT',
+    bet_amount: '10.00',
+    house_fee: '0.10',
+    game_duration: 600,
+    max_cards_per_player: 5,
+    card_count: 400,
+    countdown: 30,
+    concurrency: 1,
+    jackpot_enabled: false,
+    game_settings: { call_interval: 2, call_interval_min: 2 },
+    ...roomFields
+  });
+  db.users = new Map(['alice', 'bob', 'carol'].map(id => [id, { id, username: id, balance: 100, balances: {} }]));
+
+  const move = (type, from, to, cents) => {
+    db.ledger.set(from, (db.ledger.get(from) || 0) - cents);
+    db.ledger.set(to, (db.ledger.get(to) || 0) + cents);
+    db.postings.push({ type, from, to, cents });
+  };
+  const soldCards = ({ game_id, user_id, card_number }) => db.cards.filter(card =>
+    card.game_id === game_id &&
+    (user_id === undefined || typeof user_id === 'object' || card.user_id === user_id) &&
+    (card_number === undefined || card.card_number === card_number));
+
+  jest.spyOn(sequelize, 'transaction').mockImplementation((options, work) => work({ LOCK: { UPDATE: 'UPDATE' } }));
+
+  jest.spyOn(Room, 'findAll').mockResolvedValue([room]);
+  jest.spyOn(AutoBuy, 'findAll').mockResolvedValue([]);
+  jest.spyOn(CardLayout, 'findAll').mockResolvedValue([]);
+  jest.spyOn(CardLayout, 'bulkCreate').mockResolvedValue([]);
+  jest.spyOn(GameEvent, 'create').mockResolvedValue({});
+
+  jest.spyOn(Game, 'create').mockImplementation(async (fields) => {
+    const game = withToJSON({ called_numbers: [], current_calls: [], call_index: 0, prize_stage: 0, countdown_extensions: 0, winners: [], ...fields });
+    db.games.push(game);
+    return game;
+  });
+  jest.spyOn(Game, 'findByPk').mockImplementation(async (id) => db.games.find(game => game.id === id) || null);
+  jest.spyOn(Game, 'findAll').mockImplementation(async ({ where }) => db.games.filter(game => where.status.includes(game.status)));
+  jest.spyOn(Game, 'count').mockImplementation(async ({ where }) =>
+    db.games.filter(game => game.room_id === where.room_id && game.status === where.status).length);
+  jest.spyOn(Game, 'update').mockImplementation(async (changes, { where }) => {
+    Object.assign(db.games.find(game => game.id === where.id), changes);
+  });
+
+  jest.spyOn(Card, 'findAll').mockImplementation(async ({ where }) => soldCards(where));
+  jest.spyOn(Card, 'count').mockImplementation(async ({ where }) => soldCards(where).length);
+  jest.spyOn(Card, 'create').mockImplementation(async (fields) => {
+    const card = { id: `card-${db.cards.length + 1}`, ...fields };
+    db.cards.push(card);
+    return card;
+  });
+  jest.spyOn(Card, 'update').mockImplementation(async (changes, { where }) => {
+    soldCards(where).filter(card => where.card_number.includes(card.card_number)).forEach(card => Object.assign(card, changes));
+  });
+  jest.spyOn(Card, 'bulkCreate').mockResolvedValue([]);
+
+  jest.spyOn(User, 'findByPk').mockImplementation(async (id) => db.users.get(id) || null);
+  jest.spyOn(User, 'findAll').mockImplementation(async ({ where }) => where.id.map(id => db.users.get(id)));
+  jest.spyOn(User, 'increment').mockResolvedValue();
+  jest.spyOn(ExchangeService, 'baseValue').mockResolvedValue(amount => amount);
+
+  jest.spyOn(Wallet, 'balanceOf').mockImplementation(async (code) => db.ledger.get(code) || 0);
+  jest.spyOn(Wallet, 'transfer').mockImplementation(async (type, from, to, cents) => move(type, from, to, cents));
+  jest.spyOn(Wallet, 'sweep').mockImplementation(async (type, from, to) => move(type, from, to, db.ledger.get(from) || 0));
+
+  return db;
+};
+
+// An engine on a virtual clock, with every game event it emits in order
+const startEngine = async (seed) => {
+  const clock = new VirtualClock(Date.UTC(2024, 0, 1));
+  const engine = new GameEngine({ seed, clock, standalone: true });
+  const events = [];
+  const emit = engine.emit.bind(engine);
+  engine.emit = (event, payload) => {
+    events.push({ event, at: clock.now(), payload: JSON.parse(JSON.stringify(payload)) });
+    return emit(event, payload);
+  };
+
+  await engine.initialize();
+  return { clock, engine, events };
+};
+
+const eventsOf = (events, gameId) => events.filter(({ payload }) => payload.gameId === gameId || payload.id === gameId);
+
+describe('GameEngine in virtual time', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Create, count down, sell three cards, then call until someone wins
+  const playToWin = async (seed) => {
+    const db = memoryDatabase();
+    const { clock, engine, events } = await startEngine(seed);
+
+    await clock.advanceUntil(() => engine.waitingGames.size > 0);
+    const [game] = engine.waitingGames.values();
+
+    await engine.purchaseCard(game.id, 'alice', 7);
+    await engine.purchaseCard(game.id, 'bob', 12);
+    await engine.purchaseCard(game.id, 'alice', 30, { clientSeed: 'lucky-alice' });
+
+    await clock.advanceUntil(() => events.some(e => e.event === 'winnersDeclared'), 1000);
+    return { db, engine, events, game, clock };
+  };
+
+  test('plays a game from creation to a win and pays the prize', async () => {
+    const { db, engine, events, game, clock } = await playToWin('full-game');
+    const gameEvents = eventsOf(events, game.id);
+    const names = gameEvents.map(e => e.event).filter((name, index, all) => name !== all[index - 1]);
+
+    // Repeats collapsed: set up, then calls with near-win news, then the result
+    expect(names.slice(0, 5)).toEqual(['gameCountdown', 'gameCreated', 'cardPurchased', 'gameStarted', 'numberCalled']);
+    expect(new Set(names.slice(4, -2))).toEqual(new Set(['numberCalled', 'cardOneAway', 'oneAwayCount']));
+    expect(names.slice(-2)).toEqual(['seedRevealed', 'winnersDeclared']);
+
+    // The game starts when its countdown runs out, and calls come every call_interval
+    const started = gameEvents.find(e => e.event === 'gameStarted');
+    expect(started.at - gameEvents[0].at).toBe(30000);
+    const calls = gameEvents.filter(e => e.event === 'numberCalled');
+    calls.forEach((call, index) => expect(call.at - started.at).toBe(2000 * (index + 1)));
+
+    // Winners are exactly the cards that first complete a line on the last call
+    const row = db.games.find(g => g.id === game.id);
+    const variant = getVariant(row.settings.variant);
+    const cards = db.cards.filter(card => card.game_id === game.id);
+    const completes = (calledNumbers) => cards
+      .filter(card => WinPatterns.findMatch(card.numbers, calledNumbers, row.settings.patterns, variant))
+      .map(card => card.card_number);
+    const { payload: declared } = gameEvents.find(e => e.event === 'winnersDeclared');
+    expect(completes(row.called_numbers.slice(0, -1))).toEqual([]);
+    expect(declared.winners.map(w => w.cardNumber)).toEqual(completes(row.called_numbers));
+
+    // 30 in the pot, 10% to the house, the rest split between the winning cards
+    expect(row).toMatchObject({ status: 'completed', pot: 30 });
+    expect(declared.prize).toBe(27);
+    expect(declared.winners.reduce((sum, w) => sum + w.amount, 0)).toBe(27);
+    for (const winner of declared.winners) {
+      expect(db.postings).toContainEqual({ type: 'win', from: `game:${game.id}`, to: `user:${winner.id}`, cents: winner.amount * 100 });
+    }
+    expect(db.ledger.get(`game:${game.id}`)).toBe(0);
+    expect(db.ledger.get('house')).toBe(300);
+
+    // The seed revealed at the end reproduces the draw
+    const { payload: revealed } = gameEvents.find(e => e.event === 'seedRevealed');
+    const drawn = ProvablyFair.generateDrawOrder(revealed.serverSeed, row.client_seed, variant);
+    expect(row.called_numbers.map(n => n.number)).toEqual(drawn.slice(0, row.called_numbers.length).map(n => n.number));
+
+    // The room keeps a game waiting, and that game starts once it has a player
+    const next = [...engine.waitingGames.values()].find(g => g.id !== game.id);
+    expect(next).toBeDefined();
+    await engine.purchaseCard(next.id, 'carol', 1);
+    await clock.advanceUntil(() => events.some(e => e.event === 'gameStarted' && e.payload.id === next.id));
+    expect(engine.activeGames.has(next.id)).toBe(true);
+  });
+
+  test('the same seed replays the same game event for event', async () => {
+    const first = await playToWin('replay');
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const second = await playToWin('replay');
+
+    expect(second.events).toEqual(first.events);
+    expect(second.db.postings).toEqual(first.db.postings);
+  });
+
+  test('a game nobody wins in time ends, the house keeps the pot and the next game runs', async () => {
+    const db = memoryDatabase({ game_duration: 9 });
+    const { clock, engine, events } = await startEngine('timeout');
+
+    await clock.advanceUntil(() => engine.waitingGames.size > 0);
+    const [game] = engine.waitingGames.values();
+    await engine.purchaseCard(game.id, 'alice', 3);
+    await engine.purchaseCard(game.id, 'bob', 4);
+
+    await clock.advanceUntil(() => events.some(e => e.event === 'gameEnded'), 1000);
+
+    const names = eventsOf(events, game.id).map(e => e.event);
+    expect(names.filter(name => name === 'numberCalled')).toHaveLength(4);
+    expect(names.slice(-2)).toEqual(['seedRevealed', 'gameEnded']);
+    expect(names).not.toContain('winnersDeclared');
+    expect(eventsOf(events, game.id).find(e => e.event === 'gameEnded').payload).toEqual({ gameId: game.id, reason: 'timeout', pot: 20 });
+
+    expect(db.games.find(g => g.id === game.id).status).toBe('completed');
+    expect(db.postings.filter(p => p.type === 'win')).toEqual([]);
+    expect(db.ledger.get(`game:${game.id}`)).toBe(0);
+    expect(db.ledger.get('house')).toBe(2000);
+    expect(db.ledger.get('user:alice')).toBe(-1000);
+
+    const next = [...engine.waitingGames.values()].find(g => g.id !== game.id);
+    await engine.purchaseCard(next.id, 'carol', 1);
+    await clock.advanceUntil(() => engine.activeGames.has(next.id));
+    expect(events.filter(e => e.event === 'gameStarted').map(e => e.payload.id)).toEqual([game.id, next.id]);
+  });
+});
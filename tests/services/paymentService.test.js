@@ -0,0 +1,228 @@
+process.env.CHAPA_SECRET_KEY = 'CHASECK_TEST-unit';
+process.env.CHAPA_WEBHOOK_SECRET = 'chapa-unit-webhook';
+
+jest.mock('../../src/config/redis', () => ({ publish: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const paymentsRouter = require('../../src/routes/payments');
+const PaymentService = require('../../src/services/paymentService');
+const GameEngine = require('../../src/services/gameEngine');
+const Wallet = require('../../src/services/wallet');
+const ExchangeService = require('../../src/services/exchangeService');
+const { registerProvider, rejected } = require('../../src/services/payments');
+const { hmacSha256 } = require('../../src/services/payments/signing');
+const { Transaction, User, sequelize } = require('../../src/models');
+
+const app = express();
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
+app.use('/api/payments', paymentsRouter);
+
+// POST a Chapa callback, signed unless told otherwise
+const callback = (fields, secret = process.env.CHAPA_WEBHOOK_SECRET) => {
+  const body = JSON.stringify({ currency: 'ETB', reference: 'CH-REF', ...fields });
+  return request(app)
+    .post('/api/payments/chapa/webhook')
+    .set('Content-Type', 'application/json')
+    .set('x-chapa-signature', hmacSha256(secret, body))
+    .send(body);
+};
+
+describe('payment webhooks', () => {
+  let deposit;
+  let credits;
+
+  beforeEach(() => {
+    credits = [];
+    deposit = {
+      id: 'tx-1',
+      type: 'deposit',
+      user_id: 'user-1',
+      network: 'chapa',
+      tx_hash: 'GBREF1',
+      amount: '150.00',
+      currency: 'ETB',
+      status: 'pending',
+      metadata: { provider: 'chapa' },
+      async update(changes) {
+        Object.assign(this, changes);
+        return this;
+      },
+      async reload() {
+        return this;
+      }
+    };
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(GameEngine, 'emit').mockImplementation(() => true);
+    jest.spyOn(sequelize, 'transaction').mockImplementation((options, work) => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    jest.spyOn(Transaction, 'findOne').mockImplementation(async ({ where }) => (where.tx_hash === deposit.tx_hash ? deposit : null));
+    jest.spyOn(Transaction, 'findByPk').mockImplementation(async (id) => (id === deposit.id ? deposit : null));
+    jest.spyOn(Wallet, 'complete').mockImplementation(async (record, legs, transaction, { metadata }) => {
+      credits.push(legs);
+      return record.update({ status: 'completed', metadata });
+    });
+    jest.spyOn(ExchangeService, 'baseValue').mockResolvedValue(amount => amount);
+    jest.spyOn(User, 'increment').mockResolvedValue();
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 'user-1', telegram_id: null, balance: 0, balances: { ETB: 150 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a signed success credits the deposit from custody, once', async () => {
+    const first = await callback({ tx_ref: 'GBREF1', status: 'success', amount: '150.00' });
+    const again = await callback({ tx_ref: 'GBREF1', status: 'success', amount: '150.00' });
+
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual({ success: true, status: 'completed' });
+    expect(again.body.status).toBe('completed');
+    expect(credits).toEqual([[['custody/ETB', -15000], ['user:user-1/ETB', 15000]]]);
+    expect(deposit.metadata.provider_reference).toBe('CH-REF');
+  });
+
+  test('the confirmed amount is what gets credited', async () => {
+    await callback({ tx_ref: 'GBREF1', status: 'success', amount: '120.50' });
+
+    expect(deposit.amount).toBe(120.5);
+    expect(credits).toEqual([[['custody/ETB', -12050], ['user:user-1/ETB', 12050]]]);
+  });
+
+  test('a bad signature is refused and credits nothing', async () => {
+    const response = await callback({ tx_ref: 'GBREF1', status: 'success', amount: '150.00' }, 'wrong-secret');
+
+    expect(response.status).toBe(401);
+    expect(credits).toEqual([]);
+    expect(deposit.status).toBe('pending');
+  });
+
+  test('an unknown reference is a 404', async () => {
+    const response = await callback({ tx_ref: 'NOPE', status: 'success', amount: '150.00' });
+    expect(response.status).toBe(404);
+  });
+
+  test('a verified success after a failure notice still credits, and says so', async () => {
+    await callback({ tx_ref: 'GBREF1', status: 'failed', amount: '150.00' });
+    expect(deposit.status).toBe('failed');
+    expect(credits).toEqual([]);
+
+    const response = await callback({ tx_ref: 'GBREF1', status: 'success', amount: '150.00' });
+
+    expect(response.body.status).toBe('completed');
+    expect(credits).toHaveLength(1);
+    expect(deposit.metadata.paid_after_failure).toBe('payment_failed');
+  });
+
+  test('a failure notice does not undo a completed deposit', async () => {
+    await callback({ tx_ref: 'GBREF1', status: 'success', amount: '150.00' });
+    await callback({ tx_ref: 'GBREF1', status: 'failed', amount: '150.00' });
+
+    expect(deposit.status).toBe('completed');
+    expect(credits).toHaveLength(1);
+  });
+});
+
+describe('payment refunds', () => {
+  // Refunds whatever the test tells it to
+  const stub = { key: 'stubpay', name: 'Stub Pay', currency: 'ETB', isConfigured: () => true, refund: jest.fn() };
+  registerProvider(stub);
+
+  let rows;
+  let postings;
+  let deposit;
+
+  const row = (fields) => ({
+    ...fields,
+    async update(changes) {
+      Object.assign(this, changes);
+      return this;
+    }
+  });
+
+  beforeEach(() => {
+    postings = [];
+    deposit = row({
+      id: 'tx-1',
+      type: 'deposit',
+      user_id: 'user-1',
+      network: 'stubpay',
+      tx_hash: 'GBREF2',
+      amount: '150.00',
+      currency: 'ETB',
+      status: 'completed',
+      metadata: { provider: 'stubpay', provider_reference: 'SP-1' }
+    });
+    rows = [deposit];
+    stub.refund.mockReset().mockResolvedValue({ refundReference: 'SP-REFUND-1' });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(sequelize, 'transaction').mockImplementation((options, work) => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    jest.spyOn(Transaction, 'findByPk').mockImplementation(async (id) => rows.find(r => r.id === id) || null);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => {
+      const record = row({ id: `tx-${rows.length + 1}`, ...fields });
+      rows.push(record);
+      return record;
+    });
+    jest.spyOn(Wallet, 'post').mockImplementation(async (type, legs) => {
+      postings.push({ type, legs });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a refund the provider makes takes the amount back off the player', async () => {
+    const refund = await PaymentService.refund(deposit.id, 'admin-1', 'asked for it');
+
+    expect(stub.refund).toHaveBeenCalledWith({ reference: 'GBREF2', providerReference: 'SP-1', amount: 150, reason: 'asked for it' });
+    expect(refund).toMatchObject({ type: 'deposit_refund', status: 'completed', metadata: { refund_reference: 'SP-REFUND-1' } });
+    expect(postings).toEqual([{ type: 'deposit_refund', legs: [['user:user-1/ETB', -15000], ['custody/ETB', 15000]] }]);
+    await expect(PaymentService.refund(deposit.id, 'admin-1')).rejects.toThrow('refunded, once');
+  });
+
+  test('a refund the provider refuses is reversed', async () => {
+    stub.refund.mockRejectedValue(rejected(new Error('Refund window closed')));
+
+    await expect(PaymentService.refund(deposit.id, 'admin-1')).rejects.toThrow('Refund failed: Refund window closed');
+
+    expect(rows[1]).toMatchObject({ status: 'failed', metadata: { error: 'Refund window closed' } });
+    expect(postings.map(p => p.type)).toEqual(['deposit_refund', 'deposit_refund_reversal']);
+    expect(deposit.metadata.refund_id).toBeUndefined();
+  });
+
+  describe('when the provider times out', () => {
+    let refund;
+
+    beforeEach(async () => {
+      stub.refund.mockRejectedValue(Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' }));
+      refund = await PaymentService.refund(deposit.id, 'admin-1');
+    });
+
+    test('the refund stays pending for staff and the credit is not given back', async () => {
+      expect(refund).toMatchObject({ status: 'pending', metadata: { stage: 'unconfirmed', error: 'timeout of 15000ms exceeded' } });
+      expect(postings.map(p => p.type)).toEqual(['deposit_refund']);
+      expect(deposit.metadata.refund_id).toBe(refund.id);
+      await expect(PaymentService.refund(deposit.id, 'admin-1')).rejects.toThrow('refunded, once');
+    });
+
+    test('staff can confirm it went through', async () => {
+      await PaymentService.confirmRefund(refund.id, 'admin-2', 'SP-REFUND-9');
+
+      expect(refund).toMatchObject({ status: 'completed', metadata: { stage: 'refunded', refund_reference: 'SP-REFUND-9', reviewed_by: 'admin-2' } });
+      expect(postings.map(p => p.type)).toEqual(['deposit_refund']);
+    });
+
+    test('staff can fail it, which gives the credit back once', async () => {
+      await PaymentService.failRefund(refund.id, 'admin-2', 'not at provider');
+
+      expect(refund).toMatchObject({ status: 'failed', metadata: { stage: 'failed', error: 'not at provider', reviewed_by: 'admin-2' } });
+      expect(postings.map(p => p.type)).toEqual(['deposit_refund', 'deposit_refund_reversal']);
+      expect(deposit.metadata.refund_id).toBeUndefined();
+      await expect(PaymentService.failRefund(refund.id, 'admin-2')).rejects.toThrow('Refund is failed');
+    });
+  });
+});
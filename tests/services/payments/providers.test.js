@@ -0,0 +1,121 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const telebirr = require('../../../src/services/payments/telebirr');
+const cbebirr = require('../../../src/services/payments/cbebirr');
+const chapa = require('../../../src/services/payments/chapa');
+const createTelebirrMock = require('../../../src/services/payments/mocks/telebirr');
+const createCbeBirrMock = require('../../../src/services/payments/mocks/cbebirr');
+const createChapaMock = require('../../../src/services/payments/mocks/chapa');
+
+const listen = (handler) => new Promise(resolve => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+const user = { id: 'user-1', username: 'abebe', email: 'abebe@example.com' };
+
+describe.each([
+  ['Telebirr', telebirr, createTelebirrMock],
+  ['CBE Birr', cbebirr, createCbeBirrMock],
+  ['Chapa', chapa, createChapaMock]
+])('%s adapter against its mock', (name, provider, createMock) => {
+  const env = { ...process.env };
+  let mockServer;
+  let receiver;
+  let mock;
+  let callbacks;
+  let orderCount = 0;
+
+  beforeAll(async () => {
+    // Callbacks land here, with the raw body the signature was made over
+    callbacks = [];
+    const app = express();
+    app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer.toString('utf8'); } }));
+    app.post('/callback', (req, res) => {
+      callbacks.push({ headers: req.headers, rawBody: req.rawBody, body: req.body });
+      res.json({ success: true });
+    });
+    receiver = await listen(app);
+
+    mockServer = await listen();
+    mock = createMock({ baseUrl: urlOf(mockServer) });
+    mockServer.on('request', mock.app);
+    Object.assign(process.env, mock.env);
+  });
+
+  afterAll(async () => {
+    process.env = env;
+    await close(mockServer);
+    await close(receiver);
+  });
+
+  // Start a checkout and pay (or decline) it on the mock's pay page
+  const checkout = async (amount, result = 'success') => {
+    const reference = `DEP-${name.replace(/\W/g, '')}-${++orderCount}`;
+    const started = await provider.createCheckout({
+      reference,
+      amount,
+      user,
+      callbackUrl: `${urlOf(receiver)}/callback`,
+      returnUrl: 'http://localhost:3000/wallet'
+    });
+
+    const page = await request(mock.app)
+      .get(started.checkoutUrl.slice(urlOf(mockServer).length))
+      .query({ redirect: 'false', result });
+
+    return { reference, started, page, callback: callbacks.pop() };
+  };
+
+  test('is configured from the mock settings', () => {
+    expect(provider.isConfigured()).toBe(true);
+  });
+
+  test('a paid checkout sends a signed callback the adapter accepts', async () => {
+    const { reference, page, callback } = await checkout(150);
+
+    expect(page.body).toMatchObject({ status: 'success', notified: true });
+    expect(provider.verifyCallback(callback)).toMatchObject({ reference, status: 'success', amount: 150 });
+    expect(await provider.queryStatus(reference)).toMatchObject({ reference, status: 'success', amount: 150 });
+  });
+
+  test('a declined checkout reports failed', async () => {
+    const { reference, callback } = await checkout(75.5, 'failed');
+
+    expect(provider.verifyCallback(callback)).toMatchObject({ reference, status: 'failed' });
+    expect((await provider.queryStatus(reference)).status).toBe('failed');
+  });
+
+  test('an unpaid checkout is still pending', async () => {
+    const reference = `DEP-${name.replace(/\W/g, '')}-open`;
+    await provider.createCheckout({ reference, amount: 20, user, callbackUrl: `${urlOf(receiver)}/callback`, returnUrl: 'http://localhost:3000/wallet' });
+
+    expect((await provider.queryStatus(reference)).status).toBe('pending');
+  });
+
+  test('a callback with a changed amount is rejected', async () => {
+    const { callback } = await checkout(10);
+    const [amountField] = Object.keys(callback.body).filter(key => /amount/i.test(key));
+    const body = { ...callback.body, [amountField]: '1000.00' };
+    const forged = { ...callback, rawBody: JSON.stringify(body), body };
+
+    expect(() => provider.verifyCallback(forged)).toThrow('Invalid signature');
+  });
+
+  test('a paid order can be refunded', async () => {
+    const { reference, started } = await checkout(40);
+
+    const refund = await provider.refund({ reference, providerReference: started.providerReference, amount: 40, reason: 'test' });
+    expect(refund).toHaveProperty('refundReference');
+  });
+
+  test('a refund of a declined order is refused, marked as rejected', async () => {
+    const { reference, started } = await checkout(40, 'failed');
+
+    await expect(provider.refund({ reference, providerReference: started.providerReference, amount: 40, reason: 'test' }))
+      .rejects.toMatchObject({ rejected: true });
+  });
+});
@@ -0,0 +1,98 @@
+const ProvablyFair = require('../../src/services/provablyFair');
+const { getVariant } = require('../../src/services/variants');
+
+const serverSeed = 'a'.repeat(64);
+const purchases = [
+  { card_number: 12, user_id: 'user-1', client_seed: 'lucky-7' },
+  { card_number: 3, user_id: 'user-2', client_seed: null }
+];
+
+// A finished game as the engine would have stored it
+const finishedGame = (cards) => {
+  const clientSeed = ProvablyFair.deriveClientSeed('game-1', cards);
+  const drawOrder = ProvablyFair.generateDrawOrder(serverSeed, clientSeed);
+  return {
+    id: 'game-1',
+    server_seed: serverSeed,
+    server_seed_hash: ProvablyFair.hashSeed(serverSeed),
+    client_seed: clientSeed,
+    called_numbers: drawOrder.slice(0, 10).map(({ letter, number }) => ({ letter, number })),
+    settings: { variant: 'bingo75', card_season: 'default' }
+  };
+};
+
+const withLayouts = (game, cards) => cards.map(card => ({
+  ...card,
+  numbers: ProvablyFair.gameCardNumbers(game, card.card_number, getVariant('bingo75'))
+}));
+
+describe('ProvablyFair', () => {
+  test('the draw order is a permutation of every ball, fixed by the seeds', () => {
+    const variant = getVariant('bingo75');
+    const first = ProvablyFair.generateDrawOrder(serverSeed, 'client', variant);
+    const again = ProvablyFair.generateDrawOrder(serverSeed, 'client', variant);
+    const other = ProvablyFair.generateDrawOrder(serverSeed, 'other', variant);
+
+    expect(first).toEqual(again);
+    expect(first).not.toEqual(other);
+    expect(first.map(ball => ball.number).sort((a, b) => a - b))
+      .toEqual(variant.balls().map(ball => ball.number).sort((a, b) => a - b));
+  });
+
+  test('the client seed ignores purchase order but not player seeds', () => {
+    const seed = ProvablyFair.deriveClientSeed('game-1', purchases);
+
+    expect(ProvablyFair.deriveClientSeed('game-1', [...purchases].reverse())).toBe(seed);
+    expect(ProvablyFair.deriveClientSeed('game-1', [
+      { ...purchases[0], client_seed: 'lucky-8' },
+      purchases[1]
+    ])).not.toBe(seed);
+  });
+
+  test('cards without a player seed keep the entry older games were derived from', () => {
+    const legacy = [{ card_number: 3, user_id: 'user-2' }];
+    expect(ProvablyFair.deriveClientSeed('game-1', legacy))
+      .toBe(ProvablyFair.hashSeed('game-1|3:user-2'));
+  });
+
+  test('only plain short seeds are accepted from players', () => {
+    expect(ProvablyFair.checkClientSeed('my_seed-42')).toBe('my_seed-42');
+    expect(() => ProvablyFair.checkClientSeed('')).toThrow('Client seed');
+    expect(() => ProvablyFair.checkClientSeed('x'.repeat(65))).toThrow('Client seed');
+    expect(() => ProvablyFair.checkClientSeed('a|b')).toThrow('Client seed');
+    expect(() => ProvablyFair.checkClientSeed(42)).toThrow('Client seed');
+  });
+
+  test('a finished game verifies against its revealed seeds', () => {
+    const game = finishedGame(purchases);
+    const result = ProvablyFair.verifyGame(game, withLayouts(game, purchases));
+
+    expect(result.valid).toBe(true);
+    expect(result.cardsChecked).toBe(2);
+    expect(result.drawOrder).toHaveLength(75);
+  });
+
+  test('a changed player seed, server seed or called number fails verification', () => {
+    const game = finishedGame(purchases);
+    const cards = withLayouts(game, purchases);
+
+    const reseeded = ProvablyFair.verifyGame(game, cards.map(card => ({ ...card, client_seed: 'forged' })));
+    expect(reseeded.clientSeedMatches).toBe(false);
+    expect(reseeded.valid).toBe(false);
+
+    const swapped = ProvablyFair.verifyGame({ ...game, server_seed: 'b'.repeat(64) }, cards);
+    expect(swapped.hashMatches).toBe(false);
+
+    const calls = [...game.called_numbers];
+    calls[3] = calls[4];
+    expect(ProvablyFair.verifyGame({ ...game, called_numbers: calls }, cards).drawMatches).toBe(false);
+  });
+
+  test('catalogue layouts depend only on the season and card number', () => {
+    const variant = getVariant('bingo75');
+    expect(ProvablyFair.catalogueCardNumbers('spring', 5, variant))
+      .toEqual(ProvablyFair.catalogueCardNumbers('spring', 5, variant));
+    expect(ProvablyFair.catalogueCardNumbers('spring', 5, variant))
+      .not.toEqual(ProvablyFair.catalogueCardNumbers('summer', 5, variant));
+  });
+});
@@ -0,0 +1,130 @@
+const ProvablyFair = require('../../../src/services/provablyFair');
+const { DEFAULT_VARIANT, getVariant, listVariants, getStages } = require('../../../src/services/variants');
+
+const serverSeed = 'c'.repeat(64);
+const CARDS = 300;
+
+// Layouts of the first cards of one game, the way the engine derives them
+const generate = (variant) => Array.from({ length: CARDS }, (_, i) =>
+  ProvablyFair.generateCardNumbers(serverSeed, 'game-1', i + 1, variant));
+
+const numbersOf = (card) => card.flat().filter(Boolean).map(cell => cell.number);
+const column = (card, col) => card.map(row => row[col]).filter(Boolean).map(cell => cell.number);
+
+describe('90-ball cards', () => {
+  const variant = getVariant('bingo90');
+  const cards = generate(variant);
+  const ranges = [[1, 9], [10, 19], [20, 29], [30, 39], [40, 49], [50, 59], [60, 69], [70, 79], [80, 90]];
+
+  test('are 3 rows of 9 cells with five numbers in every row', () => {
+    cards.forEach(card => {
+      expect(card).toHaveLength(3);
+      card.forEach(row => {
+        expect(row).toHaveLength(9);
+        expect(row.filter(Boolean)).toHaveLength(5);
+      });
+    });
+  });
+
+  test('hold 15 different numbers, at least one in every column', () => {
+    cards.forEach(card => {
+      expect(new Set(numbersOf(card)).size).toBe(15);
+      ranges.forEach((_, col) => expect(column(card, col).length).toBeGreaterThanOrEqual(1));
+    });
+  });
+
+  test('keep each column in its range, ascending top to bottom', () => {
+    cards.forEach(card => ranges.forEach(([start, end], col) => {
+      const numbers = column(card, col);
+      numbers.forEach(number => {
+        expect(number).toBeGreaterThanOrEqual(start);
+        expect(number).toBeLessThanOrEqual(end);
+      });
+      expect(numbers).toEqual([...numbers].sort((a, b) => a - b));
+    }));
+  });
+
+  test('place each cell at its own row and column, with no free space', () => {
+    cards.forEach(card => card.forEach((row, rowIndex) => row.forEach((cell, colIndex) => {
+      if (!cell) return;
+      expect(cell).toMatchObject({ row: rowIndex, col: colIndex, called: false });
+      expect(cell.free).toBeUndefined();
+    })));
+  });
+
+  test('use 90 balls and three prize stages paying the whole pot', () => {
+    expect(new Set(variant.balls().map(ball => ball.number)).size).toBe(90);
+
+    const stages = getStages({ variant: 'bingo90' });
+    expect(stages.map(stage => stage.name)).toEqual(['one_line', 'two_lines', 'full_house']);
+    expect(stages.reduce((sum, stage) => sum + stage.share, 0)).toBeCloseTo(1);
+  });
+});
+
+describe('30-ball cards', () => {
+  const variant = getVariant('bingo30');
+  const cards = generate(variant);
+  const ranges = [[1, 10], [11, 20], [21, 30]];
+
+  test('are 3 by 3 with every cell filled and no free space', () => {
+    cards.forEach(card => {
+      expect(card).toHaveLength(3);
+      card.forEach((row, rowIndex) => {
+        expect(row).toHaveLength(3);
+        row.forEach((cell, colIndex) => {
+          expect(cell).toMatchObject({ row: rowIndex, col: colIndex, called: false });
+          expect(cell.free).toBeUndefined();
+        });
+      });
+    });
+  });
+
+  test('hold 9 different numbers, three from each column range', () => {
+    cards.forEach(card => {
+      expect(new Set(numbersOf(card)).size).toBe(9);
+      ranges.forEach(([start, end], col) => {
+        const numbers = column(card, col);
+        expect(numbers).toHaveLength(3);
+        numbers.forEach(number => {
+          expect(number).toBeGreaterThanOrEqual(start);
+          expect(number).toBeLessThanOrEqual(end);
+        });
+      });
+    });
+  });
+
+  test('use 30 balls and one prize for the configured patterns', () => {
+    expect(new Set(variant.balls().map(ball => ball.number)).size).toBe(30);
+    expect(getStages({ variant: 'bingo30' })).toEqual([{ name: 'bingo', patterns: ['full_house'], share: 1 }]);
+    expect(getStages({ variant: 'bingo30', patterns: ['line'] })[0].patterns).toEqual(['line']);
+  });
+});
+
+describe('variants', () => {
+  test.each(listVariants().map(({ key }) => [key]))('%s cards are fixed by the seed and differ between cards', (key) => {
+    const variant = getVariant(key);
+    const first = ProvablyFair.generateCardNumbers(serverSeed, 'game-1', 1, variant);
+
+    expect(ProvablyFair.generateCardNumbers(serverSeed, 'game-1', 1, variant)).toEqual(first);
+    expect(numbersOf(ProvablyFair.generateCardNumbers(serverSeed, 'game-1', 2, variant))).not.toEqual(numbersOf(first));
+  });
+
+  test('games without a variant are 75-ball; unknown variants are refused', () => {
+    expect(DEFAULT_VARIANT).toBe('bingo75');
+    expect(getVariant(null).key).toBe('bingo75');
+    expect(getVariant().key).toBe('bingo75');
+    expect(() => getVariant('bingo80')).toThrow('Unknown bingo variant: bingo80');
+  });
+
+  test('explicit prize stages replace the variant default', () => {
+    const prizes = [{ name: 'full_house', patterns: ['full_house'], share: 1 }];
+    expect(getStages({ variant: 'bingo90', prizes })).toBe(prizes);
+  });
+
+  test('are listed with their grid, balls and patterns', () => {
+    expect(listVariants()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ key: 'bingo90', balls: 90, rows: 3, cols: 9, maxCards: 600 }),
+      expect.objectContaining({ key: 'bingo30', balls: 30, rows: 3, cols: 3, maxCards: 200, patterns: ['line', 'full_house'] })
+    ]));
+  });
+});
@@ -0,0 +1,163 @@
+const Wallet = require('../../src/services/wallet');
+const { LedgerAccount, LedgerEntry, Transaction, User, Game, Room, Tournament } = require('../../src/models');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+// The ledger tables kept in memory, answering the queries the wallet makes
+let accounts;
+let entries;
+let users;
+
+const account = (fields) => ({
+  id: `account-${accounts.length + 1}`,
+  balance: 0,
+  ...fields,
+  async save() {
+    return this;
+  }
+});
+
+// Entry amounts in cents, summed per key
+const centsBy = (keyOf) => {
+  const totals = new Map();
+  for (const entry of entries) {
+    totals.set(keyOf(entry), (totals.get(keyOf(entry)) || 0) + Math.round(entry.amount * 100));
+  }
+  return totals;
+};
+
+beforeEach(() => {
+  accounts = [];
+  entries = [];
+  users = new Map([
+    ['u1', { id: 'u1', username: 'abebe', balance: 50, balances: { USDT: 50 } }],
+    ['u2', { id: 'u2', username: 'sara', balance: 0, balances: {} }]
+  ]);
+
+  jest.spyOn(User, 'findByPk').mockImplementation(async (id) => users.get(id) || null);
+  for (const model of [Game, Room, Tournament]) {
+    jest.spyOn(model, 'findByPk').mockResolvedValue(null);
+  }
+  jest.spyOn(User, 'findAll').mockImplementation(async () => [...users.values()]);
+  jest.spyOn(Wallet, 'cacheBalance').mockImplementation(async (ledgerAccount) => {
+    const user = users.get(ledgerAccount.owner_id);
+    user.balances = { ...user.balances, [ledgerAccount.currency]: ledgerAccount.balance };
+    if (ledgerAccount.currency === 'USDT') user.balance = ledgerAccount.balance;
+  });
+
+  jest.spyOn(LedgerAccount, 'findAll').mockImplementation(async ({ where } = {}) =>
+    where ? accounts.filter(a => where.code.includes(a.code)) : accounts.map(a => ({ ...a })));
+  jest.spyOn(LedgerAccount, 'findOne').mockImplementation(async ({ where }) =>
+    accounts.find(a => a.code === where.code) || null);
+  jest.spyOn(LedgerAccount, 'create').mockImplementation(async (spec) => {
+    const created = account(spec);
+    accounts.push(created);
+    return created;
+  });
+
+  jest.spyOn(LedgerEntry, 'bulkCreate').mockImplementation(async (rows) => {
+    const created = rows.map((row, index) => ({ ...row, id: entries.length + index + 1 }));
+    entries.push(...created);
+    return created;
+  });
+  // The three aggregate queries of checkConsistency
+  jest.spyOn(LedgerEntry, 'findAll').mockImplementation(async ({ where, group }) => {
+    if (where) return entries.filter(entry => where.id.includes(entry.id));
+
+    if (group.includes('posting_id')) {
+      const currencyOf = (entry) => accounts.find(a => a.id === entry.account_id).currency;
+      return [...centsBy(entry => `${entry.posting_id}|${currencyOf(entry)}`)].filter(([, cents]) => cents !== 0).map(([key, cents]) => {
+        const [postingId, currency] = key.split('|');
+        return { posting_id: postingId, currency, total: String(cents / 100) };
+      });
+    }
+
+    return [...centsBy(entry => entry.account_id)].map(([accountId, cents]) => ({
+      account_id: accountId,
+      total: String(cents / 100),
+      last_id: Math.max(...entries.filter(entry => entry.account_id === accountId).map(entry => entry.id))
+    }));
+  });
+
+  jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => ({ id: 'tx-1', ...fields }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Wallet', () => {
+  test('account codes carry the currency outside the base one', () => {
+    expect(Wallet.user('u1')).toBe('user:u1');
+    expect(Wallet.user('u1', 'ETB')).toBe('user:u1/ETB');
+    expect(Wallet.describe('jackpot:r1/ETB')).toEqual({ code: 'jackpot:r1/ETB', type: 'jackpot', owner_id: 'r1', currency: 'ETB' });
+    expect(() => Wallet.describe('user:u1/XYZ')).toThrow('Unknown ledger account');
+    expect(() => Wallet.describe('nonsense:1')).toThrow('Unknown ledger account');
+  });
+
+  test('a posting must balance in every currency', async () => {
+    await expect(Wallet.post('bad', [[Wallet.house(), -100], [Wallet.user('u1'), 99]], transaction))
+      .rejects.toThrow('Unbalanced bad posting');
+    await expect(Wallet.post('bad', [[Wallet.house('USDT'), -100], [Wallet.user('u1', 'ETB'), 100]], transaction))
+      .rejects.toThrow('Unbalanced bad posting');
+    expect(entries).toEqual([]);
+  });
+
+  test('a new player account opens at the cached balance, funded by the house', async () => {
+    await Wallet.transfer('bet', Wallet.user('u1'), Wallet.pot('g1'), 1000, transaction, { userId: 'u1' });
+
+    const byCode = Object.fromEntries(accounts.map(a => [a.code, a.balance]));
+    expect(byCode).toEqual({ 'user:u1': 40, 'game:g1': 10, house: -50 });
+    expect(users.get('u1').balance).toBe(40);
+    expect(entries.find(entry => entry.type === 'bet' && entry.amount === -10))
+      .toMatchObject({ balance_before: 50, balance_after: 40 });
+  });
+
+  test('players cannot go below zero, the house can', async () => {
+    await expect(Wallet.transfer('bet', Wallet.user('u2'), Wallet.pot('g1'), 1, transaction))
+      .rejects.toThrow('Insufficient balance');
+
+    await Wallet.transfer('bonus', Wallet.house(), Wallet.user('u2'), 500, transaction);
+    expect(users.get('u2').balance).toBe(5);
+  });
+
+  describe('checkConsistency', () => {
+    beforeEach(async () => {
+      await Wallet.transfer('bet', Wallet.user('u1'), Wallet.pot('g1'), 1000, transaction);
+      await Wallet.transfer('bonus', Wallet.house('ETB'), Wallet.user('u2', 'ETB'), 2500, transaction);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    test('finds nothing when the ledger and the caches agree', async () => {
+      const report = await Wallet.checkConsistency();
+      expect(report.issues).toEqual([]);
+      expect(report.accounts).toBe(5);
+    });
+
+    test('reports an account whose balance drifted from its entries', async () => {
+      accounts.find(a => a.code === 'game:g1').balance = 12;
+
+      const kinds = (await Wallet.checkConsistency()).issues.map(issue => `${issue.kind}:${issue.account}`);
+      expect(kinds).toEqual(['entries_total:game:g1', 'last_snapshot:game:g1']);
+    });
+
+    test('reports a cached player balance that differs from the ledger', async () => {
+      users.get('u2').balances.ETB = 30;
+
+      expect((await Wallet.checkConsistency()).issues).toEqual([{
+        kind: 'user_balance',
+        account: 'user:u2/ETB',
+        username: 'sara',
+        cached: 30,
+        ledger: 25
+      }]);
+    });
+
+    test('reports postings that do not balance', async () => {
+      entries.push({ id: entries.length + 1, posting_id: 'p-bad', account_id: accounts[0].id, amount: 1, balance_after: 0 });
+
+      const issues = (await Wallet.checkConsistency()).issues;
+      expect(issues).toContainEqual({ kind: 'unbalanced_posting', postingId: 'p-bad', currency: 'USDT', total: 1 });
+    });
+  });
+});
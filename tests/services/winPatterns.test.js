@@ -0,0 +1,110 @@
+const WinPatterns = require('../../src/services/winPatterns');
+const { getVariant, listVariants } = require('../../src/services/variants');
+
+const bingo75 = getVariant('bingo75');
+const bingo90 = getVariant('bingo90');
+
+// 75-ball card with B 1-5, I 16-20, N 31-35, G 46-50, O 61-65 top to bottom and the free centre
+const card75 = [0, 1, 2, 3, 4].map(row => ['B', 'I', 'N', 'G', 'O'].map((letter, col) => ({
+  letter,
+  number: col * 15 + row + 1,
+  ...(row === 2 && col === 2 ? { free: true } : {})
+})));
+
+const balls = (...numbers) => numbers.map(number => ({ number }));
+
+describe('WinPatterns masks', () => {
+  test('a mask turns into the cells it requires, row by row', () => {
+    expect(WinPatterns.parseMask(['10001', '00000', '00100', '00000', '10001'], bingo75))
+      .toEqual([[0, 0], [0, 4], [2, 2], [4, 0], [4, 4]]);
+    expect(WinPatterns.parseMask(['000000000', '000000000', '100000001'], bingo90))
+      .toEqual([[2, 0], [2, 8]]);
+  });
+
+  test.each([
+    ['too few rows', ['11111', '00000', '00000', '00000'], 'Pattern mask must have 5 rows'],
+    ['too many rows', ['11111', '00000', '00000', '00000', '00000', '00000'], 'Pattern mask must have 5 rows'],
+    ['not a list', '1111100000000000000000000', 'Pattern mask must have 5 rows'],
+    ['a short row', ['1111', '00000', '00000', '00000', '00000'], 'Invalid pattern mask row: 1111'],
+    ['a long row', ['111110', '00000', '00000', '00000', '00000'], 'Invalid pattern mask row: 111110'],
+    ['another character', ['11x11', '00000', '00000', '00000', '00000'], 'Invalid pattern mask row: 11x11'],
+    ['a row that is not a string', [11111, '00000', '00000', '00000', '00000'], 'Invalid pattern mask row: 11111'],
+    ['no required cell', ['00000', '00000', '00000', '00000', '00000'], 'Pattern mask must require at least one cell']
+  ])('rejects a mask with %s', (_, mask, message) => {
+    expect(() => WinPatterns.parseMask(mask, bingo75)).toThrow(message);
+  });
+
+  test('a mask is checked against the variant grid', () => {
+    const mask75 = ['11111', '00000', '00000', '00000', '00000'];
+    expect(() => WinPatterns.parseMask(mask75, bingo90)).toThrow('Pattern mask must have 3 rows');
+    expect(() => WinPatterns.parseMask(mask75.slice(0, 3), bingo90)).toThrow('Invalid pattern mask row: 11111');
+  });
+
+  test.each(listVariants().map(({ key }) => [key]))('every built-in %s pattern fits the card grid', (key) => {
+    const variant = getVariant(key);
+
+    Object.entries(variant.patterns).forEach(([name, masks]) => {
+      const [resolved] = WinPatterns.resolve([name], variant);
+      expect(resolved.name).toBe(name);
+      expect(resolved.masks).toHaveLength(masks.length);
+      resolved.masks.flat().forEach(([row, col]) => {
+        expect(row).toBeLessThan(variant.rows);
+        expect(col).toBeLessThan(variant.cols);
+      });
+    });
+    expect(() => WinPatterns.resolve(variant.defaultPatterns, variant)).not.toThrow();
+  });
+});
+
+describe('WinPatterns.resolve', () => {
+  test('falls back to the variant defaults', () => {
+    expect(WinPatterns.resolve([], bingo90).map(pattern => pattern.name)).toEqual(['full_house']);
+    expect(WinPatterns.resolve(undefined, bingo75).map(pattern => pattern.name)).toEqual(['line']);
+  });
+
+  test('takes custom patterns with one mask or several', () => {
+    const [corners, columns] = WinPatterns.resolve([
+      { name: 'corners', mask: ['10001', '00000', '00000', '00000', '10001'] },
+      { name: 'edge_columns', masks: [['10000', '10000', '10000', '10000', '10000'], ['00001', '00001', '00001', '00001', '00001']] }
+    ], bingo75);
+
+    expect(corners).toEqual({ name: 'corners', masks: [[[0, 0], [0, 4], [4, 0], [4, 4]]] });
+    expect(columns.masks).toHaveLength(2);
+  });
+
+  test('rejects unknown names and unnamed patterns', () => {
+    expect(() => WinPatterns.resolve(['one_line'], bingo75)).toThrow('Unknown winning pattern for 75-ball: one_line');
+    expect(() => WinPatterns.resolve([{ mask: ['11111', '00000', '00000', '00000', '00000'] }], bingo75))
+      .toThrow('Custom pattern requires a name');
+    expect(() => WinPatterns.resolve([{ name: 'bad', mask: ['111'] }], bingo75)).toThrow('Pattern mask must have 5 rows');
+  });
+});
+
+describe('WinPatterns.findMatch', () => {
+  test('needs every cell of one mask', () => {
+    expect(WinPatterns.findMatch(card75, balls(1, 61, 5), ['four_corners'], bingo75)).toBeNull();
+    expect(WinPatterns.findMatch(card75, balls(1, 61, 5, 65), ['four_corners'], bingo75)).toBe('four_corners');
+  });
+
+  test('the free centre counts as marked', () => {
+    expect(WinPatterns.findMatch(card75, balls(31, 32, 34, 35), ['line'], bingo75)).toBe('line');
+  });
+
+  test('returns the first configured pattern the card completes', () => {
+    const called = balls(1, 16, 31, 46, 61, 5, 65);
+
+    expect(WinPatterns.findMatch(card75, called, ['four_corners', 'line'], bingo75)).toBe('four_corners');
+    expect(WinPatterns.findMatch(card75, called, ['line', 'four_corners'], bingo75)).toBe('line');
+  });
+
+  test('blank 90-ball cells count as marked', () => {
+    const card = [
+      [{ number: 1 }, null, { number: 22 }, null, { number: 44 }, null, { number: 66 }, null, { number: 88 }],
+      [null, { number: 13 }, null, { number: 35 }, null, { number: 57 }, null, { number: 79 }, { number: 90 }],
+      [{ number: 2 }, { number: 14 }, { number: 23 }, null, { number: 45 }, null, { number: 67 }, null, null]
+    ];
+
+    expect(WinPatterns.findMatch(card, balls(1, 22, 44, 66), ['one_line'], bingo90)).toBeNull();
+    expect(WinPatterns.findMatch(card, balls(1, 22, 44, 66, 88), ['one_line'], bingo90)).toBe('one_line');
+  });
+});
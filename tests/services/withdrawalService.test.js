@@ -0,0 +1,271 @@
+process.env.TRC20_PAYOUT_PROVIDER = 'stub';
+process.env.ERC20_PAYOUT_PROVIDER = 'missing';
+
+jest.mock('../../src/config/redis', () => ({ publish: jest.fn() }));
+
+const { Op } = require('sequelize');
+const { getAddress, hexlify, randomBytes } = require('ethers');
+const WithdrawalService = require('../../src/services/withdrawalService');
+const GameEngine = require('../../src/services/gameEngine');
+const Wallet = require('../../src/services/wallet');
+const { registerProvider, notSent } = require('../../src/services/payouts');
+const { formatAddress } = require('../../src/utils/address');
+const { Transaction, User, sequelize } = require('../../src/models');
+
+const HOUR = 60 * 60 * 1000;
+const tronAddress = () => formatAddress('tron', getAddress(hexlify(randomBytes(20))));
+
+// Sends whatever the test tells it to
+const stub = { key: 'stub', send: jest.fn() };
+registerProvider(stub);
+
+// Withdrawal rows and ledger postings kept in memory
+let rows;
+let postings;
+let player;
+
+const row = (fields) => ({
+  created_at: new Date(),
+  updated_at: new Date(),
+  ...fields,
+  async update(changes) {
+    Object.assign(this, changes, { updated_at: new Date() });
+    return this;
+  }
+});
+
+const inStage = (where) => (record) =>
+  record.type === where.type &&
+  record.status === where.status &&
+  record.metadata.stage === where.metadata.stage &&
+  (!where.updated_at || record.updated_at < where.updated_at[Op.lt]);
+
+// Let work started without waiting, like a payout after approval, run to the end
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+const held = (withdrawal) => postings
+  .filter(posting => posting.transactionId === withdrawal.id)
+  .map(posting => posting.type);
+
+describe('WithdrawalService', () => {
+  beforeEach(() => {
+    rows = [];
+    postings = [];
+    player = { id: 'user-1', telegram_id: null, is_verified: true, is_banned: false, balance: 0, balances: {} };
+    stub.send.mockReset().mockResolvedValue({ txHash: '0xpaid' });
+    GameEngine.isLeader = true;
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(GameEngine, 'emit').mockImplementation(() => true);
+    jest.spyOn(sequelize, 'transaction').mockImplementation((options, work) => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    jest.spyOn(User, 'findByPk').mockImplementation(async (id) => (id === player.id ? player : null));
+    jest.spyOn(User, 'increment').mockResolvedValue();
+    jest.spyOn(Wallet, 'post').mockImplementation(async (type, legs, transaction, { transactionId }) => {
+      postings.push({ type, legs, transactionId });
+    });
+    jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => {
+      const record = row({ id: fields.id || `tx-${rows.length + 1}`, ...fields });
+      rows.push(record);
+      return record;
+    });
+    jest.spyOn(Transaction, 'findOne').mockImplementation(async ({ where }) =>
+      rows.find(r => r.id === where.id && (!where.user_id || r.user_id === where.user_id)) || null);
+    jest.spyOn(Transaction, 'findAll').mockImplementation(async ({ where }) => rows.filter(inStage(where)));
+    jest.spyOn(Transaction, 'sum').mockImplementation(async (field, { where }) => rows
+      .filter(r => r.user_id === where.user_id && where.status.includes(r.status) && r.created_at >= where.created_at[Op.gte])
+      .reduce((sum, r) => sum + parseFloat(r.amount), 0));
+  });
+
+  afterEach(() => {
+    GameEngine.isLeader = false;
+    jest.restoreAllMocks();
+  });
+
+  describe('request', () => {
+    test('refuses amounts outside the limits, odd amounts and bad addresses', async () => {
+      const address = tronAddress();
+      await expect(WithdrawalService.request(player.id, { amount: 0, address })).rejects.toThrow('Amount must be positive');
+      await expect(WithdrawalService.request(player.id, { amount: 10.005, address })).rejects.toThrow('whole cents');
+      await expect(WithdrawalService.request(player.id, { amount: 9.99, address })).rejects.toThrow('between 10 and 5000');
+      await expect(WithdrawalService.request(player.id, { amount: 5000.01, address })).rejects.toThrow('between 10 and 5000');
+      await expect(WithdrawalService.request(player.id, { amount: 20, network: 'BEP20', address })).rejects.toThrow('Unsupported withdrawal network');
+      await expect(WithdrawalService.request(player.id, { amount: 20, address: 'T-not-an-address' })).rejects.toThrow('Invalid TRC20 address');
+      expect(rows).toEqual([]);
+    });
+
+    test('refuses unverified and suspended players', async () => {
+      player.is_verified = false;
+      await expect(WithdrawalService.request(player.id, { amount: 20, address: tronAddress() })).rejects.toThrow('Verify your account');
+
+      player.is_verified = true;
+      player.is_banned = true;
+      await expect(WithdrawalService.request(player.id, { amount: 20, address: tronAddress() })).rejects.toThrow('suspended');
+    });
+
+    test('holds the amount, sends small ones straight away and queues large ones for review', async () => {
+      const small = await WithdrawalService.request(player.id, { amount: 20, address: tronAddress() });
+      const large = await WithdrawalService.request(player.id, { amount: 600, address: tronAddress() });
+      await settle();
+
+      expect(postings[0]).toEqual({
+        type: 'withdraw',
+        legs: [['user:user-1', -2000], [`withdrawal:${small.id}`, 2000]],
+        transactionId: small.id
+      });
+      expect(small).toMatchObject({ status: 'completed', tx_hash: '0xpaid', metadata: { stage: 'paid', provider: 'stub' } });
+      expect(held(small)).toEqual(['withdraw', 'withdraw_payout']);
+
+      expect(large).toMatchObject({ status: 'pending', metadata: { stage: 'review' } });
+      expect(held(large)).toEqual(['withdraw']);
+      expect(stub.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('counts what is not given back against the daily limit', async () => {
+      const address = tronAddress();
+      rows.push(row({ id: 'old', user_id: player.id, type: 'withdraw', amount: '5000.00', status: 'completed', created_at: new Date(Date.now() - 25 * HOUR) }));
+      rows.push(row({ id: 'returned', user_id: player.id, type: 'withdraw', amount: '5000.00', status: 'failed' }));
+      rows.push(row({ id: 'today', user_id: player.id, type: 'withdraw', amount: '5000.00', status: 'completed' }));
+      rows.push(row({ id: 'queued', user_id: player.id, type: 'withdraw', amount: '4990.00', status: 'pending', metadata: { stage: 'review' } }));
+
+      await expect(WithdrawalService.request(player.id, { amount: 10.01, address })).rejects.toThrow('Daily withdrawal limit of 10000 reached');
+      await expect(WithdrawalService.request(player.id, { amount: 10, address })).resolves.toMatchObject({ amount: 10 });
+    });
+  });
+
+  describe('review', () => {
+    let withdrawal;
+
+    beforeEach(async () => {
+      withdrawal = await WithdrawalService.request(player.id, { amount: 600, address: tronAddress() });
+    });
+
+    test('an approval sends it', async () => {
+      await WithdrawalService.approve(withdrawal.id, 'admin-1');
+      await settle();
+
+      expect(withdrawal).toMatchObject({ status: 'completed', metadata: { stage: 'paid', reviewed_by: 'admin-1' } });
+      expect(User.increment).toHaveBeenCalledWith('total_withdrawn', expect.objectContaining({ by: 600 }));
+      expect(postings.at(-1).legs).toEqual([[`withdrawal:${withdrawal.id}`, -60000], ['custody', 60000]]);
+    });
+
+    test('a rejection gives the amount back', async () => {
+      await WithdrawalService.reject(withdrawal.id, 'admin-1', 'looks odd');
+
+      expect(withdrawal).toMatchObject({ status: 'cancelled', metadata: { stage: 'rejected', reviewed_by: 'admin-1', reason: 'looks odd' } });
+      expect(postings.at(-1)).toMatchObject({
+        type: 'withdraw_release',
+        legs: [[`withdrawal:${withdrawal.id}`, -60000], ['user:user-1', 60000]]
+      });
+      expect(stub.send).not.toHaveBeenCalled();
+    });
+
+    test('a decided withdrawal cannot be decided again', async () => {
+      await WithdrawalService.reject(withdrawal.id, 'admin-1');
+
+      await expect(WithdrawalService.approve(withdrawal.id, 'admin-2')).rejects.toThrow('Withdrawal is cancelled');
+      await expect(WithdrawalService.reject('nope', 'admin-2')).rejects.toThrow('Withdrawal not found');
+    });
+  });
+
+  describe('payouts', () => {
+    const requestAndSend = async (fields = {}) => {
+      const withdrawal = await WithdrawalService.request(player.id, { amount: 20, address: tronAddress(), ...fields });
+      await settle();
+      return withdrawal;
+    };
+
+    test('an error raised before sending gives the amount back', async () => {
+      stub.send.mockRejectedValue(notSent(new Error('No payout key configured for TRC20')));
+
+      const withdrawal = await requestAndSend();
+
+      expect(withdrawal).toMatchObject({ status: 'failed', metadata: { stage: 'failed', reason: 'No payout key configured for TRC20' } });
+      expect(held(withdrawal)).toEqual(['withdraw', 'withdraw_release']);
+    });
+
+    test('a network without a known provider fails instead of throwing', async () => {
+      const withdrawal = await requestAndSend({ network: 'ERC20', address: getAddress(hexlify(randomBytes(20))) });
+
+      expect(withdrawal).toMatchObject({ status: 'failed', metadata: { reason: 'Unknown payout provider: missing' } });
+      expect(held(withdrawal)).toEqual(['withdraw', 'withdraw_release']);
+    });
+
+    test('an error after handing it over keeps the amount held for staff', async () => {
+      stub.send.mockRejectedValue(Object.assign(new Error('socket hang up'), { txHash: '0xmaybe' }));
+
+      const withdrawal = await requestAndSend();
+
+      expect(withdrawal).toMatchObject({
+        status: 'pending',
+        metadata: { stage: 'unconfirmed', reason: 'socket hang up', provider: 'stub', tx_hash: '0xmaybe' }
+      });
+      expect(held(withdrawal)).toEqual(['withdraw']);
+
+      await WithdrawalService.markPaid(withdrawal.id, '0xmaybe', { paid_by: 'admin-1' });
+      expect(withdrawal).toMatchObject({ status: 'completed', tx_hash: '0xmaybe', metadata: { stage: 'paid' } });
+    });
+
+    test('staff can fail an unconfirmed payout that never landed', async () => {
+      stub.send.mockRejectedValue(new Error('timeout'));
+      const withdrawal = await requestAndSend();
+
+      await WithdrawalService.fail(withdrawal.id, 'not on chain', { reviewed_by: 'admin-1' });
+
+      expect(withdrawal).toMatchObject({ status: 'failed', metadata: { stage: 'failed', reason: 'not on chain' } });
+      expect(held(withdrawal)).toEqual(['withdraw', 'withdraw_release']);
+    });
+
+    test('a manual provider leaves it awaiting payout', async () => {
+      stub.send.mockResolvedValue({ manual: true });
+
+      const withdrawal = await requestAndSend();
+
+      expect(withdrawal).toMatchObject({ status: 'pending', metadata: { stage: 'awaiting_payout', provider: 'stub' } });
+    });
+  });
+
+  describe('tick', () => {
+    test('sends approved withdrawals and parks ones stuck processing', async () => {
+      const fresh = row({ id: 'fresh', user_id: player.id, type: 'withdraw', network: 'TRC20', amount: '20.00', status: 'pending', metadata: { stage: 'processing' } });
+      const stuck = row({ id: 'stuck', user_id: player.id, type: 'withdraw', network: 'TRC20', amount: '20.00', status: 'pending', metadata: { stage: 'processing' }, updated_at: new Date(Date.now() - HOUR) });
+      const queued = row({ id: 'queued', user_id: player.id, type: 'withdraw', network: 'TRC20', wallet_address: tronAddress(), amount: '20.00', status: 'pending', metadata: { stage: 'approved' } });
+      rows.push(fresh, stuck, queued);
+
+      await WithdrawalService.tick();
+
+      expect(queued).toMatchObject({ status: 'completed', metadata: { stage: 'paid' } });
+      expect(stuck).toMatchObject({ status: 'pending', metadata: { stage: 'unconfirmed', reason: 'processing_timed_out' } });
+      expect(fresh.metadata.stage).toBe('processing');
+      expect(postings).toEqual([expect.objectContaining({ type: 'withdraw_payout', transactionId: 'queued' })]);
+    });
+
+    test('does nothing off the leader', async () => {
+      GameEngine.isLeader = false;
+
+      await WithdrawalService.tick();
+
+      expect(Transaction.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  test('queries the timestamp columns by their names', async () => {
+    Transaction.findAll.mockRestore();
+    Transaction.sum.mockRestore();
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+    await WithdrawalService.list(player.id);
+    await WithdrawalService.queue();
+    await WithdrawalService.tick();
+    await WithdrawalService.request(player.id, { amount: 600, address: tronAddress() });
+
+    const sql = query.mock.calls.map(([statement]) => statement);
+    expect(sql).toHaveLength(5);
+    for (const statement of sql) {
+      expect(statement).toMatch(/"created_at"|"updated_at"/);
+      expect(statement).not.toMatch(/"createdAt"|"updatedAt"/);
+    }
+  });
+});
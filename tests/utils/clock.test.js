@@ -0,0 +1,60 @@
+const { VirtualClock } = require('../../src/utils/clock');
+
+describe('VirtualClock', () => {
+  test('runs timers in time order and only when advanced', async () => {
+    const clock = new VirtualClock(1000);
+    const fired = [];
+
+    clock.setTimeout(() => fired.push('b'), 200);
+    clock.setTimeout(() => fired.push('a'), 100);
+    clock.setTimeout(() => fired.push('c'), 300);
+
+    await clock.advance(99);
+    expect(fired).toEqual([]);
+
+    await clock.advance(151);
+    expect(fired).toEqual(['a', 'b']);
+    expect(clock.now()).toBe(1250);
+
+    await clock.advance(1000);
+    expect(fired).toEqual(['a', 'b', 'c']);
+  });
+
+  test('repeats intervals until cleared and sees the time each one fired', async () => {
+    const clock = new VirtualClock();
+    const times = [];
+
+    const handle = clock.setInterval(() => times.push(clock.now()), 3000);
+    await clock.advance(10000);
+    clock.clearInterval(handle);
+    await clock.advance(10000);
+
+    expect(times).toEqual([3000, 6000, 9000]);
+  });
+
+  test('awaits async callbacks, including timers they schedule', async () => {
+    const clock = new VirtualClock();
+    const fired = [];
+
+    clock.setTimeout(async () => {
+      await Promise.resolve();
+      fired.push(clock.now());
+      clock.setTimeout(() => fired.push(clock.now()), 500);
+    }, 1000);
+
+    await clock.advance(2000);
+    expect(fired).toEqual([1000, 1500]);
+  });
+
+  test('advanceUntil stops once the predicate holds, or at the limit', async () => {
+    const clock = new VirtualClock();
+    let done = false;
+    clock.setTimeout(() => { done = true; }, 4500);
+
+    expect(await clock.advanceUntil(() => done, 1000)).toBe(true);
+    expect(clock.now()).toBe(5000);
+
+    expect(await clock.advanceUntil(() => false, 1000, 3000)).toBe(false);
+    expect(clock.now()).toBe(8000);
+  });
+});
@@ -0,0 +1,53 @@
+const { toCents, fromCents, prizeCents, splitCents, shareCents, formatMoney } = require('../../src/utils/money');
+
+describe('money', () => {
+  test('converts to and from whole cents without float drift', () => {
+    expect(toCents('10.10')).toBe(1010);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents(null)).toBe(0);
+    expect(fromCents(1999)).toBe(19.99);
+  });
+
+  test('the prize after the house fee rounds down', () => {
+    expect(prizeCents(100, 0.05)).toBe(9500);
+    expect(prizeCents(0.33, 0.05)).toBe(31);
+    expect(prizeCents(70, 0.1)).toBe(6300);
+  });
+
+  test('splits give leftover cents to the first shares and lose nothing', () => {
+    expect(splitCents(1000, 3)).toEqual([334, 333, 333]);
+    expect(splitCents(2, 3)).toEqual([1, 1, 0]);
+    expect(splitCents(500, 0)).toEqual([]);
+  });
+
+  describe('shareCents (tournament payouts by rank)', () => {
+    test('pays every cent of the pool, rounding cents to the winner', () => {
+      const prizes = shareCents(10001, [0.5, 0.3, 0.2]);
+      expect(prizes).toEqual([5001, 3000, 2000]);
+      expect(prizes.reduce((sum, prize) => sum + prize, 0)).toBe(10001);
+    });
+
+    test('scales the shares up when fewer players finish than places are paid', () => {
+      expect(shareCents(1000, [0.5, 0.3])).toEqual([625, 375]);
+      expect(shareCents(999, [0.6])).toEqual([999]);
+    });
+
+    test('never pays more than the pool for awkward shares', () => {
+      for (const pool of [1, 7, 99, 12345]) {
+        const prizes = shareCents(pool, [1 / 3, 1 / 3, 1 / 3]);
+        expect(prizes.reduce((sum, prize) => sum + prize, 0)).toBe(pool);
+        expect(Math.max(...prizes) - Math.min(...prizes)).toBeLessThanOrEqual(2);
+      }
+    });
+
+    test('pays nothing without places, and everything to the winner when no share is set', () => {
+      expect(shareCents(1000, [])).toEqual([]);
+      expect(shareCents(1000, [0, 0])).toEqual([1000, 0]);
+    });
+  });
+
+  test('formats amounts with their currency', () => {
+    expect(formatMoney(12.5, 'ETB')).toBe('12.50 ETB');
+    expect(formatMoney('3')).toBe('3.00 USDT');
+  });
+});